@@ -8,6 +8,30 @@ import ClassMethodDoc      from './ClassMethodDoc.js';
  */
 export default class ClassMemberDoc extends ClassMemberDocBase
 {
+   /**
+    * Applies all doc properties and additionally `_$isPrivateName`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$isPrivateName');
+   }
+
+   /** Private class members, e.g. `this.#foo = 1`, are always private. */
+   static _$access()
+   {
+      super._$access();
+
+      if (this._node.left.property.type === 'PrivateName') { this._value.access = 'private'; }
+   }
+
+   /** Indicates that the member is a private name; e.g. `this.#foo = 1`. */
+   static _$isPrivateName()
+   {
+      this._value.isPrivateName = this._node.left.property.type === 'PrivateName';
+   }
+
    /** Borrow {@link MethodDoc#@_memberof} */
    static _$memberof()
    {
@@ -19,7 +43,15 @@ export default class ClassMemberDoc extends ClassMemberDocBase
    {
       let name;
 
-      if (this._node.left.computed)
+      // e.g. `Foo.prototype.bar = 1` or `Foo.bar = 1`
+      const es5Member = this._node.left.object.type !== 'ThisExpression' ?
+       this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, this._node) : null;
+
+      if (es5Member)
+      {
+         name = es5Member.name;
+      }
+      else if (this._node.left.computed)
       {
          const expression = babelGenerator(this._node.left.property).code.replace(/^this/, '');
          name = `[${expression}]`;
@@ -32,29 +64,173 @@ export default class ClassMemberDoc extends ClassMemberDocBase
       this._value.name = name;
    }
 
-   /** Assign static property */
+   /** Assign static property from the enclosing class method, static block or ES5 class assignment. */
    static _$static()
    {
+      const es5Member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, this._node);
+
+      if (es5Member)
+      {
+         this._value.static = es5Member.isStatic;
+         return;
+      }
+
       let parent = this._node.parent;
 
       while (parent)
       {
-         if (parent.type === 'ClassMethod')
+         if (parent.type === 'ClassMethod' || parent.type === 'ClassPrivateMethod')
          {
             this._value.static = parent.static;
             break;
          }
+
+         // e.g. `static { this.foo = 1; }`
+         if (parent.type === 'StaticBlock')
+         {
+            this._value.static = true;
+            break;
+         }
+
          parent = parent.parent;
       }
    }
 
-   /** If @type does not exist then guess type by using self node */
+   /**
+    * If @type does not exist then guess type by using self node. An identifier bound by a param of the enclosing
+    * method takes the type of the param; e.g. `constructor(logger) { this.logger = logger; }`.
+    */
    static _$type()
    {
       super._$type();
 
       if (this._value.type) { return; }
 
-      this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', this._node.right);
+      const rightNode = this._node.right;
+
+      if (rightNode && rightNode.type === 'Identifier')
+      {
+         const paramType = this._findParamType(rightNode.name);
+
+         if (paramType)
+         {
+            this._value.type = paramType;
+            return;
+         }
+      }
+
+      // Resolve the class longname of a new expression including classes bound by `import` or `require`.
+      if (rightNode && rightNode.type === 'NewExpression' && rightNode.callee.type === 'Identifier')
+      {
+         this._value.type = { types: [this._findClassLongname(rightNode.callee.name) || '*'] };
+         return;
+      }
+
+      this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', rightNode);
+   }
+
+   /**
+    * Finds the type of a param of the enclosing method bound to the given name. The type is taken from the `@param`
+    * tag of the method doc comment parsed the same as for the method doc, any Flow / TypeScript type annotation or
+    * guessed from any default value. The `@param` tags of a doc comment are parsed once for all members assigned in
+    * the method.
+    *
+    * @param {string}   name - The identifier name.
+    *
+    * @returns {ParsedParam|null} The param type.
+    * @private
+    */
+   static _findParamType(name)
+   {
+      const binding = this._eventbus.triggerSync('tjsdoc:system:ast:scope:binding:find', this._ast, name, this._node);
+
+      if (!binding || binding.kind !== 'param') { return null; }
+
+      const methodNode = binding.node;
+
+      // The doc comment of an exported ES5 constructor function is attached to the export node.
+      const commentNode = !methodNode.leadingComments && methodNode.parent &&
+       methodNode.parent.type.startsWith('Export') ? methodNode.parent : methodNode;
+
+      if (Array.isArray(commentNode.leadingComments) && commentNode.leadingComments.length > 0)
+      {
+         const param = this._parseParamTypes(commentNode.leadingComments[commentNode.leadingComments.length - 1])
+          .get(name);
+
+         // Copy the param type as the types of each doc object may be updated; e.g. by resolving imported names.
+         if (param) { return Object.assign({}, param, { types: param.types.slice() }); }
+      }
+
+      // e.g. `constructor(logger: Logger) {}`
+      const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+       binding.identifier.typeAnnotation);
+
+      if (annotation) { return annotation; }
+
+      const init = binding.init;
+
+      if (!init) { return null; }
+
+      // e.g. `constructor(logger = new Logger()) {}`
+      if (init.type === 'NewExpression' && init.callee.type === 'Identifier')
+      {
+         return { types: [this._findClassLongname(init.callee.name) || '*'] };
+      }
+
+      return this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', init);
+   }
+
+   /**
+    * Parses the types of the `@param` tags with a type of the given doc comment by param name. The result is cached
+    * by doc comment.
+    *
+    * @param {ASTNode}  comment - A doc comment.
+    *
+    * @returns {Map<string, ParsedParam>} The param types by param name.
+    * @private
+    */
+   static _parseParamTypes(comment)
+   {
+      let paramTypes = s_PARAM_TYPES.get(comment);
+
+      if (paramTypes) { return paramTypes; }
+
+      paramTypes = new Map();
+
+      for (const tag of this._eventbus.triggerSync('tjsdoc:system:parser:comment:parse', comment))
+      {
+         if (tag.tagName !== '@param') { continue; }
+
+         const { typeText, paramName, paramDesc } = this._eventbus.triggerSync(
+          'tjsdoc:system:parser:param:value:parse', tag.tagValue, { type: true, name: true, desc: true });
+
+         if (!typeText) { continue; }
+
+         // e.g. `@param {?Logger} [logger=console]`
+         const param = this._eventbus.triggerSync('tjsdoc:system:parser:param:parse', typeText, paramName,
+          paramDesc);
+
+         // The first `@param` tag of a name is used.
+         if (paramTypes.has(param.name)) { continue; }
+
+         const result = { types: param.types };
+
+         if (param.nullable) { result.nullable = param.nullable; }
+
+         paramTypes.set(param.name, result);
+      }
+
+      s_PARAM_TYPES.set(comment, paramTypes);
+
+      return paramTypes;
    }
 }
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Caches the param types of the `@param` tags parsed by doc comment.
+ * @type {WeakMap<ASTNode, Map<string, ParsedParam>>}
+ * @ignore
+ */
+const s_PARAM_TYPES = new WeakMap();
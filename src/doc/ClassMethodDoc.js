@@ -1,11 +1,32 @@
 import babelGenerator      from 'babel-generator';
 import ClassMethodDocBase  from 'tjsdoc-docs-common/src/doc/base/ClassMethodDocBase';
 
+import ModuleFunctionDoc   from './ModuleFunctionDoc.js';
+
 /**
- * Doc Class from Method Definition AST node.
+ * Doc Class from Method Definition AST node, ES5 class method function AST node or object literal namespace method
+ * AST node.
  */
 export default class ClassMethodDoc extends ClassMethodDocBase
 {
+   /**
+    * Applies all doc properties and additionally `_$isPrivateName`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$isPrivateName');
+   }
+
+   /** Private class elements, e.g. `#foo() {}`, are always private. */
+   static _$access()
+   {
+      super._$access();
+
+      if (this._node.key && this._node.key.type === 'PrivateName') { this._value.access = 'private'; }
+   }
+
    /** Use kind property of self node to determine if method is an accessor (get / set). */
    static _$accessor()
    {
@@ -26,13 +47,25 @@ export default class ClassMethodDoc extends ClassMethodDocBase
       this._value.category = this._node.kind === 'get' || this._node.kind === 'set' ? 'ClassMember' : 'ClassMethod';
    }
 
+   /** Borrow {@link ModuleFunctionDoc#@_emits} */
+   static _$emits()
+   {
+      Reflect.apply(ModuleFunctionDoc._$emits, this, []);
+   }
+
    /** use generator property of self node. */
    static _$generator()
    {
       this._value.generator = this._node.generator;
    }
 
-   /** take out memberof from parent class node */
+   /** Indicates that the key of self node is a private name; e.g. `#foo() {}`. */
+   static _$isPrivateName()
+   {
+      this._value.isPrivateName = !!this._node.key && this._node.key.type === 'PrivateName';
+   }
+
+   /** take out memberof from parent class node, ES5 constructor function or object literal namespace. */
    static _$memberof()
    {
       let memberof;
@@ -48,40 +81,105 @@ export default class ClassMethodDoc extends ClassMethodDocBase
          }
          parent = parent.parent;
       }
+
+      // e.g. `Foo.prototype.bar = function() {}`
+      const es5Member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, this._node);
+
+      if (es5Member)
+      {
+         this._value.memberof = `${this._pathResolver.filePath}~${es5Member.className}`;
+         return;
+      }
+
+      // e.g. `export const foo = { bar() {} }`; the default exported namespace is named by the file name.
+      const namespaceMember = this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find',
+       this._node);
+
+      if (namespaceMember)
+      {
+         const namespace = namespaceMember.namespace || this._eventbus.triggerSync('tjsdoc:system:filepath:to:name',
+          this._pathResolver.filePath);
+
+         this._value.memberof = `${this._pathResolver.filePath}~${namespace}`;
+      }
    }
 
    /** take out self name from self node */
    static _$name()
    {
-      if (this._node.computed)
+      // ES5 class and namespace methods may be function nodes without a key; e.g. `Foo.prototype.bar = function() {}`
+      // or `const foo = { bar: function() {} }`.
+      if (!this._node.key)
+      {
+         const member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast,
+          this._node) || this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find', this._node);
+
+         if (member) { this._value.name = member.name; }
+      }
+      else if (this._node.computed)
       {
          const expression = babelGenerator(this._node.key).code;
          this._value.name = `[${expression}]`;
       }
+      else if (this._node.key.type === 'PrivateName')
+      {
+         this._value.name = `#${this._node.key.id.name}`;
+      }
       else
       {
          this._value.name = this._node.key.name;
       }
    }
 
-   /** If @param does not exist guess type of param by using self node. but accessors are not guessed. */
+   /**
+    * If @param does not exist guess type of param by using self node. but accessors are not guessed. Any parameter
+    * decorators are added to the matching param by name; e.g. `constructor(@Inject(TOKEN) logger) {}`.
+    */
    static _$param()
    {
       super._$param();
 
-      if (this._value.params) { return; }
+      if (!this._value.params)
+      {
+         this._ensureApplied('_$accessor');
 
-      this._ensureApplied('_$accessor');
+         if (this._value.accessor) { return; }
 
-      if (this._value.accessor) { return; }
+         this._value.params = this._eventbus.triggerSync('tjsdoc:system:parser:param:guess', this._node.params);
+      }
 
-      this._value.params = this._eventbus.triggerSync('tjsdoc:system:parser:param:guess', this._node.params);
+      for (const paramNode of this._node.params)
+      {
+         const decorators = this._eventbus.triggerSync('tjsdoc:system:ast:decorators:find', paramNode, this._ast,
+          this._pathResolver);
+
+         if (!decorators) { continue; }
+
+         // e.g. TypeScript `constructor(@Inject(TOKEN) private logger) {}`
+         const target = paramNode.type === 'TSParameterProperty' ? paramNode.parameter : paramNode;
+         const name = target.type === 'AssignmentPattern' ? target.left.name : target.name;
+
+         const param = this._value.params.find((entry) => entry.name === name);
+
+         if (param) { param.decorators = decorators; }
+      }
    }
 
-   /** Use kind property of self node to assign method qualifier (constructor, get, method, set). */
+   /**
+    * Use kind property of self node to assign method qualifier (constructor, get, method, set). ES5 class methods are
+    * `constructor` for the constructor function otherwise `method`.
+    */
    static _$qualifier()
    {
-      this._value.qualifier = this._node.kind;
+      if (this._node.kind)
+      {
+         this._value.qualifier = this._node.kind;
+         return;
+      }
+
+      const es5Member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, this._node);
+
+      this._value.qualifier = es5Member && es5Member.isConstructor ? 'constructor' : 'method';
    }
 
    /**
@@ -104,7 +202,17 @@ export default class ClassMethodDoc extends ClassMethodDocBase
             return;
       }
 
-      const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node.body);
+      // A Flow / TypeScript return type annotation takes precedence; `void` has no return value.
+      const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+       this._node.returnType);
+
+      if (annotation)
+      {
+         if (!annotation.types.every((type) => type === 'void')) { this._value.return = annotation; }
+         return;
+      }
+
+      const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node);
 
       if (result)
       {
@@ -117,10 +225,38 @@ export default class ClassMethodDoc extends ClassMethodDocBase
     */
    static _$static()
    {
-      if ('static' in this._node) { this._value.static = this._node.static; }
+      if ('static' in this._node)
+      {
+         this._value.static = this._node.static;
+         return;
+      }
+
+      // e.g. `Foo.bar = function() {}`
+      const es5Member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, this._node);
+
+      if (es5Member)
+      {
+         this._value.static = es5Member.isStatic;
+         return;
+      }
+
+      // Namespace members are always static; e.g. `const foo = { bar() {} }`
+      if (this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find', this._node))
+      {
+         this._value.static = true;
+      }
+   }
+
+   /** Borrow {@link ModuleFunctionDoc#@_throws} */
+   static _$throws()
+   {
+      Reflect.apply(ModuleFunctionDoc._$throws, this, []);
    }
 
-   /** if @type is not exists, guess type by using self node. only ``get`` and ``set`` are guess. */
+   /**
+    * if @type is not exists, guess type by using self node or any Flow / TypeScript type annotation. only ``get`` and
+    * ``set`` are guess.
+    */
    static _$type()
    {
       super._$type();
@@ -132,12 +268,24 @@ export default class ClassMethodDoc extends ClassMethodDocBase
       switch (this._value.qualifier)
       {
          case 'set':
-            this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', this._node.right);
+         {
+            // e.g. set value(value: number) {}
+            const annotation = this._node.params.length ? this._eventbus.triggerSync(
+             'tjsdoc:system:parser:param:type:annotation:parse', this._node.params[0].typeAnnotation) : null;
+
+            this._value.type = annotation ||
+             this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', this._node.right);
             break;
+         }
 
          case 'get':
          {
-            const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node.body);
+            // e.g. get value(): number {}
+            const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+             this._node.returnType);
+
+            const result = annotation ||
+             this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node);
 
             if (result) { this._value.type = result; }
             break;
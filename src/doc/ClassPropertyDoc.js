@@ -3,10 +3,32 @@ import ClassPropertyDocBase   from 'tjsdoc-docs-common/src/doc/base/ClassPropert
 import ClassMethodDoc         from './ClassMethodDoc.js';
 
 /**
- * Doc Class from ClassProperty AST node.
+ * Doc Class from ClassProperty AST node or object literal namespace ObjectProperty AST node.
  */
 export default class ClassPropertyDoc extends ClassPropertyDocBase
 {
+   /**
+    * Applies all doc properties and additionally `_$isPrivateName`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$isPrivateName');
+   }
+
+   /** Borrow {@link MethodDoc#@_access} */
+   static _$access()
+   {
+      Reflect.apply(ClassMethodDoc._$access, this, []);
+   }
+
+   /** Borrow {@link MethodDoc#@_isPrivateName} */
+   static _$isPrivateName()
+   {
+      Reflect.apply(ClassMethodDoc._$isPrivateName, this, []);
+   }
+
    /** Borrow {@link MethodDoc#@_memberof} */
    static _$memberof()
    {
@@ -16,11 +38,22 @@ export default class ClassPropertyDoc extends ClassPropertyDocBase
    /** Take out self name from self node */
    static _$name()
    {
-      this._value.name = this._node.key.name;
+      // e.g. `const foo = { 'bar-baz': 1 }`
+      const namespaceMember = this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find',
+       this._node);
+
+      if (namespaceMember)
+      {
+         this._value.name = namespaceMember.name;
+         return;
+      }
+
+      // e.g. `#foo = 1;`
+      this._value.name = this._node.key.type === 'PrivateName' ? `#${this._node.key.id.name}` : this._node.key.name;
    }
 
    /**
-    * Decide if `static`.
+    * Decide if `static`. Namespace members are always static.
     */
    static _$static()
    {
@@ -28,6 +61,10 @@ export default class ClassPropertyDoc extends ClassPropertyDocBase
       {
          this._value.static = this._node.static;
       }
+      else if (this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find', this._node))
+      {
+         this._value.static = true;
+      }
    }
 
    /** If @type does not exist then guess type by using self node */
@@ -37,6 +74,25 @@ export default class ClassPropertyDoc extends ClassPropertyDocBase
 
       if (this._value.type) { return; }
 
-      this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', this._node.value);
+      // e.g. `foo: number = 1;`
+      const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+       this._node.typeAnnotation);
+
+      if (annotation)
+      {
+         this._value.type = annotation;
+         return;
+      }
+
+      const valueNode = this._node.value;
+
+      // Resolve the class longname of a new expression including classes bound by `import` or `require`.
+      if (valueNode && valueNode.type === 'NewExpression' && valueNode.callee.type === 'Identifier')
+      {
+         this._value.type = { types: [this._findClassLongname(valueNode.callee.name) || '*'] };
+         return;
+      }
+
+      this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', valueNode);
    }
 }
@@ -0,0 +1,154 @@
+import DocBase   from 'tjsdoc-docs-common/src/doc/base/DocBase.js';
+
+/**
+ * Doc Class for event bindings registered in `onPluginLoad`; e.g. `eventbus.on('tjsdoc:system:ast:x', this.x, this)`.
+ * The name is the event name and the binding is a member of the enclosing class or the file.
+ *
+ * The handler data is stored in the following fields:
+ * - `eventHandler`: The longname of the handler method / function; null for inline functions.
+ * - `eventHandlerInline`: Indicates that the handler is an inline function.
+ *
+ * The params and return of inline handlers are guessed from the inline function. For handler methods in the same file
+ * the params and return are copied from the handler doc object by `DocGenerator` which also adds the binding longname
+ * to `eventBindings` of the handler doc object.
+ */
+export default class EventBindingDoc extends DocBase
+{
+   /**
+    * Applies all doc properties and additionally `_$eventHandler`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$eventHandler');
+   }
+
+   /** Specify `EventBinding` to category. */
+   static _$category()
+   {
+      this._value.category = 'EventBinding';
+   }
+
+   /** Resolve the handler longname from the second argument of self node. */
+   static _$eventHandler()
+   {
+      const handler = this._node.arguments[1];
+
+      this._value.eventHandler = null;
+      this._value.eventHandlerInline = false;
+
+      if (!handler) { return; }
+
+      switch (handler.type)
+      {
+         case 'ArrowFunctionExpression':
+         case 'FunctionExpression':
+            this._value.eventHandlerInline = true;
+            break;
+
+         case 'Identifier':
+            this._value.eventHandler = this._resolveLongname(handler.name);
+            break;
+
+         case 'MemberExpression':
+         {
+            if (handler.computed) { break; }
+
+            // e.g. `this.findDecorators`
+            if (handler.object.type === 'ThisExpression')
+            {
+               const classNode = this._findClassNode();
+
+               if (!classNode) { break; }
+
+               const methodNode = classNode.body.body.find((node) => node.type === 'ClassMethod' &&
+                !node.computed && node.key.name === handler.property.name);
+
+               const scope = methodNode && methodNode.static ? '.' : '#';
+
+               this._value.eventHandler = `${this._pathResolver.filePath}~${classNode._tjsdocDocName}${scope}${
+                handler.property.name}`;
+
+               break;
+            }
+
+            // e.g. `Foo.bar`
+            const fullIdentifier = this._eventbus.triggerSync('tjsdoc:system:ast:member:expression:flatten', handler);
+
+            const rootLongname = this._resolveLongname(fullIdentifier.split('.')[0]);
+
+            this._value.eventHandler = `${rootLongname.replace(/~.*/, '')}~${fullIdentifier}`;
+            break;
+         }
+      }
+   }
+
+   /** Take out memberof from the enclosing class node otherwise the file. */
+   static _$memberof()
+   {
+      const classNode = this._findClassNode();
+
+      this._value.memberof = classNode ? `${this._pathResolver.filePath}~${classNode._tjsdocDocName}` :
+       this._pathResolver.filePath;
+   }
+
+   /** Take out self name from the event name. */
+   static _$name()
+   {
+      const eventNode = this._node.arguments[0];
+
+      this._value.name = eventNode.type === 'StringLiteral' ? eventNode.value : eventNode.quasis[0].value.cooked;
+   }
+
+   /** If @param does not exist guess type of param by using an inline handler function. */
+   static _$param()
+   {
+      super._$param();
+
+      if (this._value.params) { return; }
+
+      this._ensureApplied('_$eventHandler');
+
+      if (!this._value.eventHandlerInline) { return; }
+
+      this._value.params = this._eventbus.triggerSync('tjsdoc:system:parser:param:guess',
+       this._node.arguments[1].params);
+   }
+
+   /** If @return does not exist guess type of return by using an inline handler function. */
+   static _$return()
+   {
+      super._$return();
+
+      if (this._value.return) { return; }
+
+      this._ensureApplied('_$eventHandler');
+
+      if (!this._value.eventHandlerInline) { return; }
+
+      const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node.arguments[1]);
+
+      if (result) { this._value.return = result; }
+   }
+
+   /**
+    * Finds the enclosing class node of self node.
+    *
+    * @returns {ASTNode|null} The class node.
+    * @private
+    */
+   static _findClassNode()
+   {
+      let parent = this._node.parent;
+
+      while (parent)
+      {
+         if (parent.type === 'ClassDeclaration' || parent.type === 'ClassExpression') { return parent; }
+
+         parent = parent.parent;
+      }
+
+      return null;
+   }
+}
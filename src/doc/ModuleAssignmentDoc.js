@@ -6,12 +6,26 @@ import ModuleAssignmentDocBase   from 'tjsdoc-docs-common/src/doc/base/ModuleAss
 export default class ModuleAssignmentDoc extends ModuleAssignmentDocBase
 {
    /**
-    * Take out self name from self node.
+    * Take out self name from self node. CommonJS export assignments take the exported name or for `module.exports`
+    * the name derived from the file path.
     */
    static _$name()
    {
-      this._value.name = this._eventbus.triggerSync('tjsdoc:system:ast:member:expression:flatten',
-       this._node.left).replace(/^this\./, '');
+      const exportName = this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:name:find', this._node.left);
+
+      if (exportName === 'default')
+      {
+         this._value.name = this._eventbus.triggerSync('tjsdoc:system:filepath:to:name', this._pathResolver.filePath);
+      }
+      else if (exportName)
+      {
+         this._value.name = exportName;
+      }
+      else
+      {
+         this._value.name = this._eventbus.triggerSync('tjsdoc:system:ast:member:expression:flatten',
+          this._node.left).replace(/^this\./, '');
+      }
    }
 }
 
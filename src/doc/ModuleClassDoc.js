@@ -1,11 +1,11 @@
 import ModuleClassDocBase  from 'tjsdoc-docs-common/src/doc/base/ModuleClassDocBase.js';
 
 /**
- * Doc Class from Class Declaration AST node.
+ * Doc Class from Class Declaration AST node or ES5 constructor function AST node.
  */
 export default class ModuleClassDoc extends ModuleClassDocBase
 {
-   /** Support for @extends and direct ES module inheritance. */
+   /** Support for @extends and direct ES module / CommonJS / ES5 constructor function inheritance. */
    static _$extends()
    {
       const values = this._findAllTagValues(['@extends']);
@@ -25,20 +25,30 @@ export default class ModuleClassDoc extends ModuleClassDocBase
          return;
       }
 
-      if (this._node.superClass)
+      const superClass = this._node.superClass || this._findES5SuperClass();
+
+      if (superClass)
       {
-         const node = this._node;
          const targets = [];
 
          let longnames = [];
 
-         if (node.superClass.type === 'CallExpression')
+         // e.g. `class Foo extends require('./Bar.js')` or `class Foo extends require('./bar.js').Bar`
+         const requireBinding = this._eventbus.triggerSync('tjsdoc:system:ast:require:binding:find', superClass);
+
+         if (requireBinding)
+         {
+            this._value.extends = [this._resolveRequireLongname(requireBinding)];
+            return;
+         }
+
+         if (superClass.type === 'CallExpression')
          {
-            targets.push(node.superClass.callee, ...node.superClass.arguments);
+            targets.push(superClass.callee, ...superClass.arguments);
          }
          else
          {
-            targets.push(node.superClass);
+            targets.push(superClass);
          }
 
          for (const target of targets)
@@ -66,15 +76,15 @@ export default class ModuleClassDoc extends ModuleClassDocBase
             }
          }
 
-         if (node.superClass.type === 'CallExpression')
+         if (superClass.type === 'CallExpression')
          {
             // expression extends may be a Class or a function, so filter by leading upper or lowercase.
             longnames = longnames.filter((v) => v.match(/^[a-zA-Z]|^[$_][a-zA-Z]/));
 
             const filePath = this._pathResolver.absolutePath;
-            const line = node.superClass.loc.start.line;
-            const start = node.superClass.loc.start.column;
-            const end = node.superClass.loc.end.column;
+            const line = superClass.loc.start.line;
+            const start = superClass.loc.start.column;
+            const end = superClass.loc.end.column;
 
             this._value.expressionExtends = this._readSelection(filePath, line, start, end);
          }
@@ -86,10 +96,10 @@ export default class ModuleClassDoc extends ModuleClassDocBase
    /** Take out self name from self node */
    static _$name()
    {
-      // Provide special handling when this doc is a `ClassExpression`.
-      if (this._node.type === 'ClassExpression')
+      // Provide special handling when this doc is a `ClassExpression` or an ES5 constructor `FunctionExpression`.
+      if (this._node.type === 'ClassExpression' || this._node.type === 'FunctionExpression')
       {
-         // Handle case when parent node is `AssignmentExpression` or `VariableDeclaration`.
+         // Handle case when parent node is `AssignmentExpression`, `VariableDeclaration` or `VariableDeclarator`.
          switch (this._node.parent.type)
          {
             case 'AssignmentExpression':
@@ -103,8 +113,16 @@ export default class ModuleClassDoc extends ModuleClassDocBase
                      return;
 
                   case 'MemberExpression':
-                     this._value.name = assignmentNode.left.property.name;
+                  {
+                     const exportName = this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:name:find',
+                      assignmentNode.left);
+
+                     // For `module.exports = ...` the name is derived from `this._node` below.
+                     if (exportName === 'default') { break; }
+
+                     this._value.name = exportName || assignmentNode.left.property.name;
                      return;
+                  }
                }
                break;
             }
@@ -112,6 +130,10 @@ export default class ModuleClassDoc extends ModuleClassDocBase
             case 'VariableDeclaration':
                this._value.name = this._node.parent.declarations[0].id.name;
                return;
+
+            case 'VariableDeclarator':
+               this._value.name = this._node.parent.id.name;
+               return;
          }
       }
 
@@ -125,4 +147,43 @@ export default class ModuleClassDoc extends ModuleClassDocBase
          this._value.name = this._eventbus.triggerSync('tjsdoc:system:filepath:to:name', this._pathResolver.filePath);
       }
    }
+
+   /**
+    * Finds the super class node of an ES5 constructor function; e.g. `Base` from `util.inherits(Foo, Base)`.
+    *
+    * @returns {ASTNode|null} The super class node.
+    * @private
+    */
+   static _findES5SuperClass()
+   {
+      const classes = this._eventbus.triggerSync('tjsdoc:system:ast:es5:classes:find', this._ast);
+
+      for (const es5Class of classes.values())
+      {
+         if (es5Class.node === this._node) { return es5Class.superClass; }
+      }
+
+      return null;
+   }
+
+   /**
+    * Resolves the longname of the module value bound by a `require` call. The value of `module.exports` takes the name
+    * derived from the required file path.
+    *
+    * @param {{imported: string, source: string}}  requireBinding - The require binding.
+    *
+    * @returns {string} The longname.
+    * @private
+    */
+   static _resolveRequireLongname({ imported, source })
+   {
+      const name = imported === 'default' ? this._eventbus.triggerSync('tjsdoc:system:filepath:to:name', source) :
+       imported;
+
+      // Only relative / absolute module paths are resolved against the current file.
+      const filePath = this._eventbus.triggerSync('tjsdoc:system:ast:import:source:file:path:find', source,
+       this._pathResolver);
+
+      return `${filePath || source}~${name}`;
+   }
 }
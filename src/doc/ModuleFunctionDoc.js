@@ -14,6 +14,24 @@ export default class ModuleFunctionDoc extends ModuleFunctionDocBase
       this._value.async = this._node.async;
    }
 
+   /**
+    * If @emits does not exist then infer the string literal event names passed to emitter method calls of the function
+    * body; e.g. `this.emit('change')`.
+    */
+   static _$emits()
+   {
+      super._$emits();
+
+      if (this._value.emits) { return; }
+
+      const names = this._eventbus.triggerSync('tjsdoc:system:parser:param:emits:guess', this._node);
+
+      if (names.length)
+      {
+         this._value.emits = names.map((name) => ({ types: [name], description: '', inferred: true }));
+      }
+   }
+
    /** Assign generator property from self node */
    static _$generator()
    {
@@ -26,7 +44,7 @@ export default class ModuleFunctionDoc extends ModuleFunctionDocBase
       // Provide special handling when this doc is an `ArrowFunctionExpression` or `FunctionExpression`.
       if (this._node.type === 'ArrowFunctionExpression' || this._node.type === 'FunctionExpression')
       {
-         // Handle case when parent node is `AssignmentExpression` or `VariableDeclaration`.
+         // Handle case when parent node is `AssignmentExpression`, `VariableDeclaration` or `VariableDeclarator`.
          switch (this._node.parent.type)
          {
             case 'AssignmentExpression':
@@ -40,8 +58,16 @@ export default class ModuleFunctionDoc extends ModuleFunctionDocBase
                      return;
 
                   case 'MemberExpression':
-                     this._value.name = assignmentNode.left.property.name;
+                  {
+                     const exportName = this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:name:find',
+                      assignmentNode.left);
+
+                     // For `module.exports = ...` the name is derived from `this._node` below.
+                     if (exportName === 'default') { break; }
+
+                     this._value.name = exportName || assignmentNode.left.property.name;
                      return;
+                  }
                }
                break;
             }
@@ -49,6 +75,10 @@ export default class ModuleFunctionDoc extends ModuleFunctionDocBase
             case 'VariableDeclaration':
                this._value.name = this._node.parent.declarations[0].id.name;
                return;
+
+            case 'VariableDeclarator':
+               this._value.name = this._node.parent.id.name;
+               return;
          }
       }
 
@@ -89,11 +119,45 @@ export default class ModuleFunctionDoc extends ModuleFunctionDocBase
 
       if (this._value.return) { return; }
 
-      const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node.body);
+      // A Flow / TypeScript return type annotation takes precedence; `void` has no return value.
+      const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+       this._node.returnType);
+
+      if (annotation)
+      {
+         if (!annotation.types.every((type) => type === 'void')) { this._value.return = annotation; }
+         return;
+      }
+
+      const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:return:guess', this._node);
 
       if (result)
       {
          this._value.return = result;
       }
    }
+
+   /**
+    * If @throws does not exist then infer the classes thrown by `throw new X()` statements of the function body. The
+    * class names are resolved to longnames including classes bound by `import` or `require`. Dotted names such as
+    * `errors.NotFound` are kept as is and only resolved when bound by a namespace import along with the other
+    * imported type names by `DocGenerator`.
+    */
+   static _$throws()
+   {
+      super._$throws();
+
+      if (this._value.throws) { return; }
+
+      const names = this._eventbus.triggerSync('tjsdoc:system:parser:param:throws:guess', this._node);
+
+      if (names.length)
+      {
+         this._value.throws = names.map((name) => ({
+            types: [name.includes('.') ? name : this._findClassLongname(name) || name],
+            description: '',
+            inferred: true
+         }));
+      }
+   }
 }
@@ -0,0 +1,167 @@
+import ModuleDocBase   from 'tjsdoc-docs-common/src/doc/base/ModuleDocBase.js';
+
+/**
+ * Doc Class for re-export AST nodes. This covers `export * from`, `export * as ns from`, `export A from`,
+ * `export { a } from` along with local export specifiers / default exports of imported bindings such as
+ * `import A from './A.js'; export { A };`.
+ *
+ * The re-export data is stored in the following fields:
+ * - `reexportExported`: The exported name; `*` for `export * from` and `default` for default exports.
+ * - `reexportImported`: The imported name from the source module; `default` or `*` for namespaces.
+ * - `reexportSource`: The raw source module path.
+ * - `reexportFilePath`: The source module file path resolved against the current file.
+ * - `reexportLinks`: The longnames of the doc objects re-exported; filled in by `DocGenerator`.
+ * - `reexportResolved`: Indicates that `reexportLinks` has been resolved.
+ */
+export default class ModuleReExportDoc extends ModuleDocBase
+{
+   /**
+    * Applies all doc properties and additionally `_$reexport`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$reexport');
+   }
+
+   /** Specify `ModuleReExport` to category. */
+   static _$category()
+   {
+      this._value.category = 'ModuleReExport';
+   }
+
+   /** Re-exports are always exported. */
+   static _$export()
+   {
+      this._value.export = true;
+   }
+
+   /** Set import style from the exported name. */
+   static _$importStyle()
+   {
+      this._ensureApplied('_$name');
+
+      switch (this._value.reexportExported)
+      {
+         case '*':
+            this._value.importStyle = null;
+            break;
+
+         case 'default':
+            this._value.importStyle = this._value.name;
+            break;
+
+         default:
+            this._value.importStyle = `{${this._value.name}}`;
+            break;
+      }
+   }
+
+   /** Take out self name from the exported name. */
+   static _$name()
+   {
+      this._ensureApplied('_$reexport');
+
+      switch (this._value.reexportExported)
+      {
+         case '*':
+            this._value.name = `* from '${this._value.reexportSource}'`;
+            break;
+
+         case 'default':
+            this._value.name = this._eventbus.triggerSync('tjsdoc:system:filepath:to:name',
+             this._value.reexportSource);
+            break;
+
+         default:
+            this._value.name = this._value.reexportExported;
+            break;
+      }
+   }
+
+   /** Take out the exported / imported names and source module from self node. */
+   static _$reexport()
+   {
+      const node = this._node;
+      const parent = node.parent;
+
+      let exported, imported, source;
+
+      switch (node.type)
+      {
+         case 'ExportAllDeclaration':
+            exported = '*';
+            imported = '*';
+            source = node.source.value;
+            break;
+
+         case 'ExportDefaultDeclaration':
+         {
+            // e.g. `import A from './A.js'; export default A;`
+            const binding = this._eventbus.triggerSync('tjsdoc:system:ast:import:binding:find', this._ast,
+             node.declaration.name);
+
+            exported = 'default';
+            imported = binding.imported;
+            source = binding.source;
+            break;
+         }
+
+         case 'ExportDefaultSpecifier':
+            exported = node.exported.name;
+            imported = 'default';
+            source = parent.source.value;
+            break;
+
+         case 'ExportNamespaceSpecifier':
+            exported = node.exported.name;
+            imported = '*';
+            source = parent.source.value;
+            break;
+
+         case 'ExportSpecifier':
+            exported = node.exported.name;
+
+            if (parent.source)
+            {
+               imported = node.local.name;
+               source = parent.source.value;
+            }
+            else
+            {
+               // e.g. `import A from './A.js'; export { A };`
+               const binding = this._eventbus.triggerSync('tjsdoc:system:ast:import:binding:find', this._ast,
+                node.local.name);
+
+               imported = binding.imported;
+               source = binding.source;
+            }
+            break;
+
+         default:
+            throw new Error(`unknown re-export node type: ${node.type}`);
+      }
+
+      this._value.reexportExported = exported;
+      this._value.reexportImported = imported;
+      this._value.reexportSource = source;
+      this._value.reexportLinks = [];
+
+      const filePath = this._eventbus.triggerSync('tjsdoc:system:ast:import:source:file:path:find', source,
+       this._pathResolver);
+
+      // Only relative / absolute module paths are resolved against the current file otherwise the re-export is from
+      // an external package and there is nothing further to link.
+      if (filePath)
+      {
+         this._value.reexportFilePath = filePath;
+         this._value.reexportResolved = false;
+      }
+      else
+      {
+         this._value.reexportFilePath = source;
+         this._value.reexportResolved = true;
+      }
+   }
+}
@@ -1,35 +1,30 @@
 import ModuleVariableDocBase  from 'tjsdoc-docs-common/src/doc/base/ModuleVariableDocBase.js';
 
 /**
- * Doc Class from Variable Declaration AST node.
+ * Doc Class from Variable Declaration AST node or default exported Object Expression AST node.
  */
 export default class ModuleVariableDoc extends ModuleVariableDocBase
 {
-   /** set name by using self node. */
+   /**
+    * set name by using self node. The node is either the identifier bound by a declarator, a virtual variable
+    * declaration synthesized by DocGenerator or a default exported object literal which is named by the file name.
+    */
    static _$name()
    {
-      const type = this._node.declarations[0].id.type;
-
-      switch (type)
+      switch (this._node.type)
       {
-         case 'Identifier':
-            this._value.name = this._node.declarations[0].id.name;
+         case 'ObjectExpression':
+            this._value.name = this._eventbus.triggerSync('tjsdoc:system:filepath:to:name',
+             this._pathResolver.filePath);
             break;
 
-         case 'ObjectPattern':
-            // TODO: optimize for multi variables.
-            // e.g. export const {a, b} = obj
-            this._value.name = this._node.declarations[0].id.properties[0].key.name;
-            break;
-
-         case 'ArrayPattern':
-            // TODO: optimize for multi variables.
-            // e.g. export cont [a, b] = arr
-            this._value.name = this._node.declarations[0].id.elements.find((v) => v).name;
+         case 'VariableDeclaration':
+            this._value.name = this._node.declarations[0].id.name;
             break;
 
          default:
-            throw new Error(`unknown declarations type: ${type}`);
+            this._value.name = this._node.name;
+            break;
       }
    }
 
@@ -46,9 +41,21 @@ export default class ModuleVariableDoc extends ModuleVariableDocBase
 
       if (this._value.type) { return; }
 
-      if (this._node.declarations[0].init.type === 'NewExpression')
+      const { id, init } = this._findBinding();
+
+      // e.g. `const foo: number = 1;`
+      const annotation = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:annotation:parse',
+       id.typeAnnotation);
+
+      if (annotation)
+      {
+         this._value.type = annotation;
+         return;
+      }
+
+      if (init && init.type === 'NewExpression')
       {
-         const className = this._node.declarations[0].init.callee.name;
+         const className = init.callee.name;
          let longname = this._findClassLongname(className);
 
          if (!longname) { longname = '*'; }
@@ -57,8 +64,32 @@ export default class ModuleVariableDoc extends ModuleVariableDocBase
       }
       else
       {
-         this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess',
-          this._node.declarations[0].init);
+         this._value.type = this._eventbus.triggerSync('tjsdoc:system:parser:param:type:guess', init);
       }
    }
+
+   /**
+    * Finds the bound identifier and the matching part of the initializer for this doc. For destructuring patterns the
+    * initializer is only matched for object and array literals.
+    *
+    * @returns {{id: ASTNode, init: (ASTNode|undefined)}} The bound identifier and matching initializer.
+    * @private
+    */
+   static _findBinding()
+   {
+      if (this._node.type === 'VariableDeclaration')
+      {
+         return { id: this._node.declarations[0].id, init: this._node.declarations[0].init };
+      }
+
+      // e.g. `export default { foo: 1 }`
+      if (this._node.type === 'ObjectExpression') { return { id: this._node, init: this._node }; }
+
+      const declarator = this._node.parent;
+
+      const binding = this._eventbus.triggerSync('tjsdoc:system:ast:pattern:bindings:find', declarator.id,
+       declarator.init).find((entry) => entry.node === this._node);
+
+      return { id: this._node, init: binding ? binding.init : void 0 };
+   }
 }
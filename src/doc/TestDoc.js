@@ -5,14 +5,36 @@ import TestDocBase  from 'tjsdoc-docs-common/src/doc/base/TestDocBase.js';
  */
 export default class TestDoc extends TestDocBase
 {
-   /** set describe by using test node arguments. */
+   /**
+    * Applies all doc properties and additionally `_$hook` / `_$status`.
+    */
+   static _apply()
+   {
+      super._apply();
+
+      this._ensureApplied('_$hook');
+      this._ensureApplied('_$status');
+   }
+
+   /** set describe by using any title set by TestDocGenerator otherwise the test node arguments. */
    static _$desc()
    {
       super._$desc();
 
       if (this._value.description) { return; }
 
-      this._value.description = this._node.arguments[0].value;
+      this._value.description = this._node._tjsdocTestTitle !== void 0 ? this._node._tjsdocTestTitle :
+       this._node.arguments[0].value;
+   }
+
+   /** Set the hook function name and the last source line of lifecycle hooks set by TestDocGenerator. */
+   static _$hook()
+   {
+      if (!this._node._tjsdocTestHook) { return; }
+
+      this._value.hook = this._node._tjsdocTestHook;
+
+      if (this._node.loc) { this._value.lineNumberEnd = this._node.loc.end.line; }
    }
 
    /** set memberof to use parent test nod and file path. */
@@ -42,9 +64,18 @@ export default class TestDoc extends TestDocBase
       }
    }
 
-   /** Use name property of self node to determine test qualifier. */
+   /**
+    * Use any qualifier set by TestDocGenerator; `describe`, `it`, `hook` or `snapshot` for Jest tests. Otherwise use
+    * name property of self node to determine test qualifier.
+    */
    static _$qualifier()
    {
+      if (this._node._tjsdocTestQualifier)
+      {
+         this._value.qualifier = this._node._tjsdocTestQualifier;
+         return;
+      }
+
       switch (this._node.callee.name)
       {
          case 'suite':
@@ -62,4 +93,10 @@ export default class TestDoc extends TestDocBase
             throw new Error(`Unknown name. node.callee.name = ${this._node.callee.name}`);
       }
    }
+
+   /** Set any test status set by TestDocGenerator; `only`, `pending` or `skip`. */
+   static _$status()
+   {
+      if (this._node._tjsdocTestStatus) { this._value.status = this._node._tjsdocTestStatus; }
+   }
 }
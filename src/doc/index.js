@@ -2,9 +2,11 @@
 export { default as ClassMemberDoc }      from './ClassMemberDoc.js';
 export { default as ClassMethodDoc }      from './ClassMethodDoc.js';
 export { default as ClassPropertyDoc }    from './ClassPropertyDoc';
+export { default as EventBindingDoc }     from './EventBindingDoc.js';
 export { default as ModuleAssignmentDoc } from './ModuleAssignmentDoc.js';
 export { default as ModuleClassDoc }      from './ModuleClassDoc.js';
 export { default as ModuleFunctionDoc }   from './ModuleFunctionDoc.js';
+export { default as ModuleReExportDoc }   from './ModuleReExportDoc.js';
 export { default as ModuleVariableDoc }   from './ModuleVariableDoc.js';
 export { default as TestDoc }             from './TestDoc.js';
 export { default as VirtualTypedefDoc }   from './VirtualTypedefDoc.js';
@@ -0,0 +1,214 @@
+import crypto          from 'crypto';
+import fs              from 'fs';
+import path            from 'path';
+
+import DocSerializer   from './DocSerializer.js';
+
+/**
+ * Provides a local on-disk cache of the doc objects generated per file. Cache entries are keyed by a hash of the file
+ * contents, the version of this plugin, the given config and any generator specific options. Generators include any
+ * doc filter and the plugin options of this plugin. Each entry stores the doc objects serialized by `DocSerializer`
+ * after the second pass of a traversal along with any invalid code and warnings logged during the traversal, so on a
+ * cache hit the doc objects are inserted into the target DocDB without any traversal and the diagnostics are logged
+ * again.
+ *
+ * Any errors reading a cache entry are treated as a cache miss. Cache entries are never invalidated individually as
+ * any change in the file contents, plugin version or config results in a new key; remove the cache directory to
+ * clear it.
+ *
+ * @example
+ * const cache = new DocCache({ directory: './.tjsdoc-cache', config: mainConfig });
+ *
+ * new DocGenerator({ ast, docDB, pathResolver, eventbus, cache }).traverse();
+ */
+export default class DocCache
+{
+   /**
+    * Instantiates DocCache.
+    *
+    * @param {string}   directory - The cache directory.
+    *
+    * @param {object}   [config={}] - Any config which affects doc generation; it must be serializable to JSON.
+    */
+   constructor({ directory, config = {} } = {})
+   {
+      if (typeof directory !== 'string') { throw new TypeError(`'directory' is not a 'string'.`); }
+
+      /**
+       * The cache directory.
+       * @type {string}
+       * @private
+       */
+      this._directory = directory;
+
+      /**
+       * The serialized config included in each cache key.
+       * @type {string}
+       * @private
+       */
+      this._config = JSON.stringify(config);
+   }
+
+   /**
+    * Creates a cache key from the given file contents and generator specific options. Any function option such as a
+    * doc filter is included by its source code.
+    *
+    * @param {string}   contents - The file contents.
+    *
+    * @param {object}   [options={}] - Generator specific options which affect doc generation.
+    *
+    * @returns {string} The cache key.
+    */
+   createKey(contents, options = {})
+   {
+      return crypto.createHash('sha256')
+       .update(s_VERSION)
+       .update('\0')
+       .update(this._config)
+       .update('\0')
+       .update(JSON.stringify(options, (key, value) => typeof value === 'function' ? value.toString() : value))
+       .update('\0')
+       .update(contents)
+       .digest('hex');
+   }
+
+   /**
+    * Invokes the given callback recording any invalid code and warnings logged on the eventbus, so they may be stored
+    * with a cache entry.
+    *
+    * @param {EventProxy}  eventbus - An event proxy for the plugin eventbus.
+    *
+    * @param {function}    callback - The callback which performs the traversal.
+    *
+    * @returns {CacheDiagnostics} The recorded diagnostics.
+    */
+   recordDiagnostics(eventbus, callback)
+   {
+      const diagnostics = { invalidCode: [], warnings: [] };
+
+      const onInvalidCode = (data) => diagnostics.invalidCode.push(DocSerializer.serializeInvalidCode(data, eventbus));
+
+      const onWarn = (...args) => diagnostics.warnings.push(args);
+
+      eventbus.on('tjsdoc:system:invalid:code:add', onInvalidCode);
+      eventbus.on('log:warn', onWarn);
+
+      try
+      {
+         callback();
+      }
+      finally
+      {
+         eventbus.off('tjsdoc:system:invalid:code:add', onInvalidCode);
+         eventbus.off('log:warn', onWarn);
+      }
+
+      return diagnostics;
+   }
+
+   /**
+    * Logs the invalid code and warnings stored with a cache entry again on the eventbus.
+    *
+    * @param {CacheDiagnostics}  data - The data of a cache entry.
+    *
+    * @param {EventProxy}        eventbus - An event proxy for the plugin eventbus.
+    */
+   replayDiagnostics(data, eventbus)
+   {
+      for (const invalidCode of data.invalidCode || [])
+      {
+         eventbus.trigger('tjsdoc:system:invalid:code:add', DocSerializer.deserializeInvalidCode(invalidCode));
+      }
+
+      for (const args of data.warnings || []) { eventbus.trigger('log:warn', ...args); }
+   }
+
+   /**
+    * Gets the serialized doc objects for the given key.
+    *
+    * @param {string}   key - The cache key.
+    *
+    * @returns {SerializedDocs|undefined} The serialized doc objects and any diagnostics or undefined on a cache miss.
+    */
+   get(key)
+   {
+      try
+      {
+         return JSON.parse(fs.readFileSync(this._getFilePath(key), 'utf8'));
+      }
+      catch (err)
+      {
+         return void 0;
+      }
+   }
+
+   /**
+    * Sets the serialized doc objects and any diagnostics for the given key.
+    *
+    * @param {string}         key - The cache key.
+    *
+    * @param {SerializedDocs} data - The serialized doc objects and any diagnostics.
+    */
+   set(key, data)
+   {
+      const filePath = this._getFilePath(key);
+
+      s_MKDIRS(path.dirname(filePath));
+
+      // Write to a temporary file first, so a partially written entry is never read.
+      const tempFilePath = `${filePath}.${process.pid}.tmp`;
+
+      fs.writeFileSync(tempFilePath, JSON.stringify(data));
+      fs.renameSync(tempFilePath, filePath);
+   }
+
+   /**
+    * Gets the file path of a cache entry. Entries are sharded by the first two characters of the key.
+    *
+    * @param {string}   key - The cache key.
+    *
+    * @returns {string} The file path of the cache entry.
+    * @private
+    */
+   _getFilePath(key)
+   {
+      return path.resolve(this._directory, key.slice(0, 2), `${key}.json`);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The version of this plugin included in each cache key.
+ * @type {string}
+ * @ignore
+ */
+const s_VERSION = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../package.json'), 'utf8')).version;
+
+/**
+ * Creates a directory and any missing parent directories.
+ *
+ * @param {string}   dirPath - The directory to create.
+ * @ignore
+ */
+const s_MKDIRS = (dirPath) =>
+{
+   if (fs.existsSync(dirPath)) { return; }
+
+   s_MKDIRS(path.dirname(dirPath));
+
+   try
+   {
+      fs.mkdirSync(dirPath);
+   }
+   catch (err)
+   {
+      if (err.code !== 'EEXIST') { throw err; }
+   }
+};
+
+/**
+ * @typedef {object} CacheDiagnostics
+ * @property {object[]} invalidCode - Any invalid code data serialized by `DocSerializer.serializeInvalidCode`.
+ * @property {Array<Array<*>>}   warnings - The arguments of any `log:warn` events.
+ */
@@ -1,4 +1,8 @@
-import * as Docs  from '../doc/';
+import fs              from 'fs';
+
+import * as Docs       from '../doc/';
+
+import DocSerializer   from './DocSerializer.js';
 
 /**
  * Doc generator. Provides static doc object generation for main source files incrementally inserting into the given
@@ -13,16 +17,28 @@ import * as Docs  from '../doc/';
  * which is set in `ModuleDocBase` and `ignore` which is set in `DocBase`. It should be noted that if a module variable
  * or class has the @ignore tag, but is exported the export has higher precedence and will set the doc object to not
  * be ignored unless the @ignore tag is also present on the export. If @ignore is added to any export nodes it is not
- * processed in the second pass.
+ * processed in the second pass. Export specifiers are resolved by the local name and every public export name of a
+ * doc object is added to `exportedAs` with every import style added to `importStyles`; e.g.
+ * `export { internalFoo as foo }`.
+ *
+ * The second pass resolves the local name of each export through the symbol table to the declaration node. The
+ * module level declaration doc object created from the declaration node is found by identity from a per file export
+ * table. Exports which do not resolve to a declaration doc object are reported by `log:warn`.
+ *
+ * Type names and inline `{@link}` targets of the doc objects of a file which are bound by imports are resolved to the
+ * longnames in the source modules; e.g. `@param {Foo}` with `import Foo from './Foo.js'`.
  *
  * An event binding, `tjsdoc:system:doc:generator:get` is available which simply returns DocGenerator. This is used in
  * `tjsdoc-runtime-common` / `GenerateDocData` which controls the doc generation process providing additional event
  * bindings for generating docs for main and test sources along with creating a DocDB or using one that is passed into
  * these bindings along with generating any AST for source to process.
  *
- * The main entry point for doc generation is `resetAndTraverse`. It should be noted that to process in memory code
- * the final `code` parameter should include the in memory source otherwise if this is not provided the AST passed in
- * is considered a source code from a file.
+ * Each traversal is performed by a separate DocGenerator instance which holds all state for the traversal, so multiple
+ * files may be processed independently and an error thrown during traversal leaves no stale state behind. The
+ * instance entry point for doc generation is `traverse` and the static `resetAndTraverse` remains as a compatibility
+ * wrapper which creates an instance per invocation. It should be noted that to process in memory code the `code`
+ * option should include the in memory source otherwise if this is not provided the AST passed in is considered a
+ * source code from a file.
  *
  * Each doc object created gets a unique ID which is retrieved by the event binding
  * `tjsdoc:data:docdb:current:id:increment:get` which is the main DocDB added to the eventbus. This isn't necessarily
@@ -34,25 +50,418 @@ import * as Docs  from '../doc/';
  * standard doc object processing `log` is passed in for `handleError` in `resetAndTraverse` which will post events
  * by `tjsdoc:system:invalid:code:add` which adds a log message to `InvalidCodeLogger` from `tjsdoc-runtime-common`.
  *
+ * Re-exports such as `export * from './A.js'`, `export { a } from './A.js'` or exports of imported bindings like
+ * `import A from './A.js'; export { A };` create `ModuleReExport` doc objects. After the second pass any unresolved
+ * re-export doc objects in the target DocDB are linked to the doc objects they re-export in the source module. The
+ * linked doc objects are marked as exported with the import path / style of the re-exporting module closest to the
+ * package entry point. As files may be processed in any order unresolved re-exports are retried after each traversal.
+ *
+ * CommonJS modules are supported. Top level `module.exports` / `exports.x` assignments of identifiers, new expressions
+ * and `require` calls are converted to the equivalent ES export nodes by the event binding
+ * `tjsdoc:system:ast:commonjs:export:nodes:create` and processed like ES exports. Assignments of functions, classes
+ * and any other values create doc objects directly where `module.exports` is the default export and `exports.x` the
+ * named export `x`.
+ *
+ * Object literals bound to top level variables or the default export are namespaces. Each method, function value and
+ * property of a namespace creates a static `ClassMethod` / `ClassProperty` doc object as a member of the namespace.
+ *
+ * Class private properties / methods and static blocks are supported for ASTs from a Babel 7 parser,
+ * `@babel/parser`, which produces `ClassPrivateProperty`, `ClassPrivateMethod`, `PrivateName` and `StaticBlock` nodes.
+ * Babylon 6 does not parse this syntax.
+ *
+ * Event bindings registered in `onPluginLoad` such as `eventbus.on('tjsdoc:system:x', this.x, this)` create
+ * `EventBinding` doc objects which are linked to the doc objects of their handlers after traversal.
+ *
+ * Type names, emitted events and event bindings are resolved by `resolveModule` after the doc objects of a file are
+ * inserted. The doc objects generated per file are independent of the other files processed, so they may be cached
+ * or generated in worker threads and merged with `mergeSerializedDocs` which resolves them in the target DocDB.
+ *
+ * An optional `DocCache` may be provided to read / write the doc objects generated per file. On a cache hit the cached
+ * doc objects are inserted through any doc filter with new doc IDs and no traversal is performed.
+ *
  * For the time being the older 1-pass algorithm is still available for testing purposes and is located in
  * `DocGeneratorOld`. To enable the older 1-pass algorithm alter `./src/index.js` and comment out adding `DocGenerator`
  * for `DocGeneratorOld`. The older 1-pass algorithm will be removed after an expanded set of docs proves the 2-pass
  * algorithm is thorough.
  *
  * @example
- * DocGenerator.resetAndTraverse(ast, docDB, pathResolver, eventbus);
+ * new DocGenerator({ ast, docDB, pathResolver, eventbus }).traverse();
+ *
+ * // Compatibility wrapper
+ * DocGenerator.resetAndTraverse({ ast, docDB, pathResolver, eventbus });
  */
 export default class DocGenerator
 {
    /**
-    * Stores export nodes that need to be resolved in a second pass.
-    * @type {ASTNode[]}
+    * Resets DocGenerator and traverses code for doc object / docDB insertion. This is a compatibility wrapper which
+    * creates a new DocGenerator instance for the given AST and performs the traversal.
+    *
+    * @param {object}   options - The options passed to the DocGenerator constructor.
+    *
+    * @see {@link DocGenerator#constructor}
+    */
+   static resetAndTraverse(options = {})
+   {
+      new DocGenerator(options).traverse();
+   }
+
+   /**
+    * Links all unresolved re-export doc objects in the given DocDB. As re-exports may chain through other re-exports
+    * linking is repeated until no further re-export doc objects are resolved. This is invoked after each traversal and
+    * is available for any DocDB that has doc objects merged from separate traversals.
+    *
+    * @param {DocDB}    docDB - The DocDB to link.
+    */
+   static linkReExports(docDB)
+   {
+      const reexportDocs = docDB.find({ category: 'ModuleReExport', reexportResolved: false });
+
+      let resolved;
+
+      do
+      {
+         resolved = false;
+
+         for (const reexportDoc of reexportDocs)
+         {
+            if (!reexportDoc.reexportResolved && DocGenerator._linkReExport(docDB, reexportDoc)) { resolved = true; }
+         }
+      } while (resolved);
+   }
+
+   /**
+    * Inserts serialized doc objects of a single traversal created by `traverseSerialized` or stored in a `DocCache`
+    * into the given DocDB through any doc filter with new doc IDs then resolves the doc objects against the other
+    * files in the DocDB with `resolveModule`. Re-exports are not linked, so invoke `linkReExports` afterward.
+    *
+    * @param {DocDB}                docDB - The target DocDB.
+    *
+    * @param {SerializedModuleDocs} data - Serialized doc objects of a single traversal.
+    *
+    * @param {EventProxy}           eventbus - An event proxy for the plugin eventbus.
+    *
+    * @param {function}             [docFilter] - An optional function invoked with the static doc before inserting
+    *                                             into the given DocDB.
+    */
+   static mergeSerializedDocs(docDB, data, eventbus, docFilter = void 0)
+   {
+      for (const docObject of DocSerializer.deserialize(data, eventbus))
+      {
+         docDB.insertStaticDoc(DocSerializer.toStaticDoc(docObject), docFilter);
+      }
+
+      // No module doc object is serialized when the traversal failed.
+      if (typeof data.moduleID === 'number') { DocGenerator.resolveModule(docDB, data.moduleID, data.importTable); }
+   }
+
+   /**
+    * Resolves the doc objects of a single file / module against the other files in the given DocDB. Type names and
+    * `{@link}` targets bound by imports are resolved to the longnames in the source modules, the emitted events of
+    * class members are aggregated to their class and event bindings are linked to their handler doc objects. As this
+    * depends on the files already processed into the DocDB it is not part of the doc objects serialized per file.
+    *
+    * @param {DocDB}                      docDB - The target DocDB.
+    *
+    * @param {number}                     moduleID - The doc ID of the module doc object.
+    *
+    * @param {Object<string, ImportEntry>} [importTable={}] - The import bindings of the module by local name.
+    */
+   static resolveModule(docDB, moduleID, importTable = {})
+   {
+      // Resolves type names and `{@link}` targets bound by imports to the longnames in the source modules.
+      DocGenerator._resolveImportedNames(docDB, moduleID, importTable);
+
+      // Aggregates the emitted events of class members to their class.
+      DocGenerator._aggregateClassEmits(docDB, moduleID);
+
+      // Links event bindings to their handler doc objects.
+      DocGenerator._linkEventBindings(docDB, moduleID);
+   }
+
+   /**
+    * Aggregates the emitted events of all member doc objects of each class doc object of a file / module to the class
+    * doc object, so each class shows the events it fires. Emitted events documented by `@emits` on the class are kept
+    * and duplicate events are only added once.
+    *
+    * @param {DocDB}    docDB - The target DocDB.
+    *
+    * @param {number}   moduleID - The doc ID of the module doc object.
+    *
+    * @private
+    */
+   static _aggregateClassEmits(docDB, moduleID)
+   {
+      for (const classDoc of docDB.find({ category: 'ModuleClass', __moduleID__: moduleID }))
+      {
+         const emits = Array.isArray(classDoc.emits) ? classDoc.emits.slice() : [];
+
+         const keys = new Set(emits.map((entry) => entry.types.join('|')));
+
+         for (const memberDoc of docDB.find({ memberof: classDoc.longname, __moduleID__: moduleID }))
+         {
+            if (!Array.isArray(memberDoc.emits)) { continue; }
+
+            for (const entry of memberDoc.emits)
+            {
+               const key = entry.types.join('|');
+
+               if (keys.has(key)) { continue; }
+
+               keys.add(key);
+               emits.push(entry);
+            }
+         }
+
+         if (emits.length) { classDoc.emits = emits; }
+      }
+   }
+
+   /**
+    * Finds the longname of the default export of the given source module. The default export may only be found once
+    * the source module has been processed into the target DocDB.
+    *
+    * @param {DocDB}    docDB - The target DocDB.
+    *
+    * @param {string}   filePath - The file path of the source module.
+    *
+    * @returns {string|null} The longname of the default export.
+    * @private
+    */
+   static _findDefaultExportLongname(docDB, filePath)
+   {
+      const doc = docDB.find({ filePath }).find((sourceDoc) => s_REEXPORT_CATEGORIES.has(sourceDoc.category) &&
+       sourceDoc.export && s_IMPORT_STYLES(sourceDoc).some((style) => !style.startsWith('{')));
+
+      if (!doc) { return null; }
+
+      // e.g. `export { default } from './Foo.js'`
+      if (doc.category === 'ModuleReExport') { return doc.reexportResolved ? doc.reexportLinks[0] || null : null; }
+
+      return doc.longname;
+   }
+
+   /**
+    * Links the event binding doc objects of a file / module to the doc objects of their handler methods / functions
+    * in the same file. The params and return of the handler doc object are copied to the event binding doc object
+    * when not documented by the binding and the binding longname is added to `eventBindings` of the handler doc
+    * object.
+    *
+    * @param {DocDB}    docDB - The target DocDB.
+    *
+    * @param {number}   moduleID - The doc ID of the module doc object.
+    *
+    * @private
+    */
+   static _linkEventBindings(docDB, moduleID)
+   {
+      for (const bindingDoc of docDB.find({ category: 'EventBinding', __moduleID__: moduleID }))
+      {
+         if (!bindingDoc.eventHandler) { continue; }
+
+         const handlerDoc = docDB.find({ longname: bindingDoc.eventHandler, __moduleID__: moduleID })[0];
+
+         if (!handlerDoc) { continue; }
+
+         if (!bindingDoc.params && handlerDoc.params) { bindingDoc.params = handlerDoc.params; }
+         if (!bindingDoc.return && handlerDoc.return) { bindingDoc.return = handlerDoc.return; }
+
+         if (!Array.isArray(handlerDoc.eventBindings)) { handlerDoc.eventBindings = []; }
+
+         if (!handlerDoc.eventBindings.includes(bindingDoc.longname))
+         {
+            handlerDoc.eventBindings.push(bindingDoc.longname);
+         }
+      }
+   }
+
+   /**
+    * Attempts to link a re-export doc object to the doc objects it re-exports. This is only possible once the source
+    * module has been processed into the target DocDB and any re-exports the source module itself contains are
+    * resolved. Each linked doc object is marked as exported and if the re-exporting module is closer to the package
+    * entry point than the current import path the import path / style are updated to match the re-exporting module.
+    *
+    * @param {DocDB}       docDB - The DocDB containing the re-export doc object.
+    *
+    * @param {DocObject}   reexportDoc - A `ModuleReExport` doc object.
+    *
+    * @returns {boolean} True if the re-export doc object is resolved.
+    * @private
+    */
+   static _linkReExport(docDB, reexportDoc)
+   {
+      const sourceDocs = docDB.find({ filePath: reexportDoc.reexportFilePath });
+
+      // The source module has not been processed yet.
+      if (sourceDocs.length === 0) { return false; }
+
+      const imported = reexportDoc.reexportImported;
+
+      let candidates;
+
+      switch (imported)
+      {
+         case '*':
+            // `export * as ns from` re-exports the module namespace and not individual doc objects.
+            if (reexportDoc.reexportExported !== '*')
+            {
+               candidates = [];
+               break;
+            }
+
+            // All named exports including any nested `export * from` of the source module.
+            candidates = sourceDocs.filter((doc) => s_REEXPORT_CATEGORIES.has(doc.category) && doc.export &&
+             (s_IMPORT_STYLES(doc).some((style) => style.startsWith('{')) || doc.reexportExported === '*'));
+            break;
+
+         case 'default':
+            candidates = sourceDocs.filter((doc) => s_REEXPORT_CATEGORIES.has(doc.category) && doc.export &&
+             s_IMPORT_STYLES(doc).some((style) => !style.startsWith('{')));
+            break;
+
+         default:
+            candidates = sourceDocs.filter((doc) => s_REEXPORT_CATEGORIES.has(doc.category) && doc.export &&
+             s_IMPORT_STYLES(doc).includes(`{${imported}}`));
+            break;
+      }
+
+      const targetDocs = [];
+
+      for (const doc of candidates)
+      {
+         if (doc.category !== 'ModuleReExport')
+         {
+            targetDocs.push(doc);
+            continue;
+         }
+
+         // Chained re-exports are resolved through the already linked doc objects.
+         if (!doc.reexportResolved) { return false; }
+
+         for (const longname of doc.reexportLinks) { targetDocs.push(...docDB.find({ longname })); }
+      }
+
+      for (const doc of targetDocs)
+      {
+         doc.export = true;
+         doc.ignore = false;
+
+         if (!Array.isArray(doc.reexportedBy)) { doc.reexportedBy = []; }
+
+         doc.reexportedBy.push(reexportDoc.longname);
+
+         // Prefer the import path closest to the package entry point.
+         if (typeof reexportDoc.importPath === 'string' && (typeof doc.importPath !== 'string' ||
+          reexportDoc.importPath.split('/').length < doc.importPath.split('/').length))
+         {
+            doc.importPath = reexportDoc.importPath;
+
+            // `export * from` retains the import style of the source module.
+            if (reexportDoc.reexportExported !== '*') { doc.importStyle = reexportDoc.importStyle; }
+         }
+      }
+
+      reexportDoc.reexportLinks = targetDocs.map((doc) => doc.longname);
+      reexportDoc.reexportResolved = true;
+
+      return true;
+   }
+
+   /**
+    * Resolves the type names of the doc objects of a file / module along with inline `{@link}` targets in
+    * descriptions which are bound by an import declaration or `require` to the longname in the source module. The
+    * imported declaration is then linked even when other modules or packages have a declaration with the same name;
+    * e.g. `@param {Foo}` with `import { Foo } from './Foo.js'` resolves to `src/Foo.js~Foo`. Names of namespace imports
+    * are resolved by member; e.g. `{@link ns.Foo#bar}` with `import * as ns from './ns.js'`. Names of default imports
+    * are resolved to the default export of the source module when it has already been processed into the target
+    * DocDB. Imports from external packages are not resolved.
+    *
+    * @param {DocDB}                      docDB - The target DocDB.
+    *
+    * @param {number}                     moduleID - The doc ID of the module doc object.
+    *
+    * @param {Object<string, ImportEntry>} importTable - The import bindings of the module by local name.
+    *
     * @private
     */
-   static _exportNodesPass = [];
+   static _resolveImportedNames(docDB, moduleID, importTable)
+   {
+      // Resolves a name with an optional member suffix; e.g. `Foo`, `ns.Foo` or `Foo#bar`.
+      const resolveName = (name) =>
+      {
+         const [, root, suffix] = (/^([A-Za-z_$][\w$]*)(.*)$/).exec(name) || [];
+
+         if (!root || !(/^(?:[.#][\w$.#]*)?$/).test(suffix)) { return name; }
+
+         const entry = Object.prototype.hasOwnProperty.call(importTable, root) ? importTable[root] : void 0;
+
+         // Imports from external packages are not resolved.
+         if (!entry || !entry.filePath) { return name; }
+
+         let member = entry.imported;
+         let rest = suffix;
+
+         if (member === '*')
+         {
+            // A namespace import itself has no doc object; e.g. `{@link ns}`.
+            const [, namespaceMember, namespaceRest] = (/^\.([A-Za-z_$][\w$]*)(.*)$/).exec(suffix) || [];
+
+            if (!namespaceMember) { return name; }
+
+            member = namespaceMember;
+            rest = namespaceRest;
+         }
+         else if (member === 'default')
+         {
+            const longname = DocGenerator._findDefaultExportLongname(docDB, entry.filePath);
+
+            return longname ? `${longname}${rest}` : name;
+         }
+
+         return `${entry.filePath}~${member}${rest}`;
+      };
+
+      const resolveType = (type) => type.replace(s_TYPE_NAME, (match, prefix, name, offset) =>
+      {
+         // Skip names which are part of a longname; e.g. `Foo` in `src/Foo.js~Foo`.
+         if (prefix !== void 0) { return match; }
+
+         // Skip record type keys; e.g. `{foo: number}`.
+         if ((/[{,]\s*$/).test(type.slice(0, offset)) && (/^\s*:/).test(type.slice(offset + name.length)))
+         {
+            return name;
+         }
+
+         return resolveName(name);
+      });
+
+      const resolveLinks = (text) => text.replace(/\{@link\s+([^\s}|]+)/g, (match, target) =>
+       match.replace(target, resolveName(target)));
+
+      const docs = new Set([...docDB.find({ __docId__: moduleID }), ...docDB.find({ __moduleID__: moduleID })]);
+
+      for (const doc of docs)
+      {
+         if (typeof doc.description === 'string') { doc.description = resolveLinks(doc.description); }
+
+         for (const field of s_DOC_TYPE_FIELDS)
+         {
+            const entries = Array.isArray(doc[field]) ? doc[field] : doc[field] ? [doc[field]] : [];
+
+            for (const entry of entries)
+            {
+               // Inferred emitted events are event names and not type names.
+               if (field === 'emits' && entry.inferred) { continue; }
+
+               if (Array.isArray(entry.types)) { entry.types = entry.types.map(resolveType); }
+
+               if (typeof entry.description === 'string') { entry.description = resolveLinks(entry.description); }
+            }
+         }
+      }
+   }
 
    /**
-    * Resets DocGenerator and traverses code for doc object / docDB insertion.
+    * Instantiates DocGenerator for a single traversal of the given AST.
     *
     * @param {AST}            ast - AST of source code.
     *
@@ -69,9 +478,11 @@ export default class DocGenerator
     *
     * @param {function}       [docFilter] - An optional function invoked with the static doc before inserting into the
     *                                       given DocDB.
+    *
+    * @param {DocCache}       [cache] - An optional cache to read / write the doc objects generated for the source.
     */
-   static resetAndTraverse(
-    { ast, docDB, pathResolver, eventbus, handleError = 'throw', code = void 0, docFilter = void 0 } = {})
+   constructor({ ast, docDB, pathResolver, eventbus, handleError = 'throw', code = void 0, docFilter = void 0,
+    cache = void 0 } = {})
    {
       /**
        * AST of source code.
@@ -80,78 +491,500 @@ export default class DocGenerator
        */
       this._ast = ast;
 
-      /**
-       * The target DocDB.
-       * @type {DocDB}
-       * @private
-       */
-      this._docDB = docDB;
+      /**
+       * In memory source code if defined otherwise the AST is from a file.
+       * @type {string}
+       * @private
+       */
+      this._code = code;
+
+      /**
+       * The target DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._docDB = docDB;
+
+      /**
+       * The path resolver of source code.
+       * @type {PathResolver}
+       * @private
+       */
+      this._pathResolver = pathResolver;
+
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       * @private
+       */
+      this._eventbus = eventbus;
+
+      /**
+       * Determines how to handle errors. Options are `log` and `throw` with the default being to throw any errors
+       * encountered.
+       * @type {string}
+       * @private
+       */
+      this._handleError = handleError;
+
+      /**
+       * Optional function to invoke before a static doc is added to the given DocDB.
+       * @type {Function}
+       * @private
+       */
+      this._docFilter = docFilter;
+
+      /**
+       * Optional cache to read / write the doc objects generated for the source.
+       * @type {DocCache}
+       * @private
+       */
+      this._cache = cache;
+
+      /**
+       * Stores all doc IDs retrieved during traversal in order.
+       * @type {number[]}
+       * @private
+       */
+      this._docIDs = [];
+
+      /**
+       * Stores export nodes that need to be resolved in a second pass.
+       * @type {ASTNode[]}
+       * @private
+       */
+      this._exportNodesPass = [];
+
+      /**
+       * Stores the import bindings of the module by local name which are resolved after traversal.
+       * @type {Object<string, ImportEntry>}
+       * @private
+       */
+      this._importTable = {};
+
+      /**
+       * Stores the docID for the memory / file and add it to all children doc data as `__moduleID__`.
+       * @type {number}
+       * @private
+       */
+      this._moduleID = void 0;
+
+      /**
+       * Indicates that traversal has been invoked.
+       * @type {boolean}
+       * @private
+       */
+      this._traversed = false;
+
+      /**
+       * Stores the doc IDs of the first accessor doc objects inserted by class, static-ness and name for merging
+       * getter / setter pairs.
+       * @type {Map<string, number>}
+       * @private
+       */
+      this._accessorDocIDs = new Map();
+
+      /**
+       * Per file export table which stores the doc IDs of module level declaration doc objects by declaration node.
+       * Exports processed in the second pass are resolved by identity through this table.
+       * @type {Map<ASTNode, number>}
+       * @private
+       */
+      this._exportTable = new Map();
+   }
+
+   /**
+    * Traverses code for doc object / docDB insertion. A DocGenerator instance may only be traversed once.
+    *
+    * If a cache is available and has an entry for the source the cached doc objects are inserted without traversal
+    * and any invalid code and warnings logged when the entry was stored are logged again otherwise the doc objects
+    * generated and the diagnostics logged are stored in the cache after the second pass. In both cases the doc objects
+    * are then resolved against the other files in the target DocDB, so cache entries do not depend on the order files
+    * are processed in.
+    */
+   traverse()
+   {
+      this._setTraversed();
+
+      if (this._cache)
+      {
+         const isMemory = typeof this._code === 'string';
+
+         const contents = isMemory ? this._code : fs.readFileSync(this._pathResolver.absolutePath, 'utf8');
+
+         // The doc filter and plugin options also affect the doc objects generated.
+         const cacheKey = this._cache.createKey(contents, {
+            generator: 'DocGenerator',
+            filePath: this._pathResolver.filePath,
+            isMemory,
+            docFilter: this._docFilter,
+            pluginOptions: this._eventbus.triggerSync('tjsdoc:data:docs:plugin:options:get')
+         });
+
+         const cachedDocs = this._cache.get(cacheKey);
+
+         if (cachedDocs)
+         {
+            DocGenerator.mergeSerializedDocs(this._docDB, cachedDocs, this._eventbus, this._docFilter);
+
+            this._cache.replayDiagnostics(cachedDocs, this._eventbus);
+
+            DocGenerator.linkReExports(this._docDB);
+            return;
+         }
+
+         const diagnostics = this._cache.recordDiagnostics(this._eventbus, () => this._generate());
+
+         // Cache the doc objects before resolving them as resolving depends on the other files in the target DocDB.
+         this._cache.set(cacheKey, Object.assign(this._serialize(), diagnostics));
+      }
+      else
+      {
+         this._generate();
+      }
+
+      // Resolves the doc objects of the source against the other files in the target DocDB.
+      if (typeof this._moduleID === 'number')
+      {
+         DocGenerator.resolveModule(this._docDB, this._moduleID, this._importTable);
+      }
+
+      // Links any re-exports in the target DocDB which are now resolvable.
+      DocGenerator.linkReExports(this._docDB);
+   }
+
+   /**
+    * Traverses code for doc object / docDB insertion without resolving the doc objects against the other files in the
+    * target DocDB and returns the doc objects serialized. This is used by `ParallelDocGenerator` workers as the doc
+    * objects may only be resolved once merged with `mergeSerializedDocs` into the main DocDB. A DocGenerator instance
+    * may only be traversed once.
+    *
+    * @returns {SerializedModuleDocs} Serialized doc objects.
+    */
+   traverseSerialized()
+   {
+      this._setTraversed();
+
+      this._generate();
+
+      return this._serialize();
+   }
+
+   /**
+    * Creates the import table of the module from the import / `require` bindings of the program scope. The source
+    * of each binding is resolved to a file path, so the table may be serialized and names bound by imports resolved
+    * without the AST.
+    *
+    * @param {Scope}    scope - The program scope.
+    *
+    * @private
+    */
+   _createImportTable(scope)
+   {
+      for (const [local, binding] of scope.bindings)
+      {
+         if (binding.source === null) { continue; }
+
+         this._importTable[local] = {
+            imported: binding.imported,
+            source: binding.source,
+            filePath: this._eventbus.triggerSync('tjsdoc:system:ast:import:source:file:path:find', binding.source,
+             this._pathResolver)
+         };
+      }
+   }
+
+   /**
+    * Generates all doc objects of the source with the two pass traversal algorithm. The doc objects are not resolved
+    * against other files; see `resolveModule`.
+    *
+    * @private
+    */
+   _generate()
+   {
+      const ast = this._ast;
+
+      // Gets the current global / main plugin DocDB counter doc ID then increment it.
+      const docID = this._getNextDocID();
+
+      // If code is defined then treat it as an memory doc otherwise a file doc.
+      const staticDoc = typeof this._code === 'string' ? Docs.ModuleMemoryDoc.create(docID, ast, ast,
+       this._pathResolver, [], this._eventbus, this._code) : Docs.ModuleFileDoc.create(docID, ast, ast,
+        this._pathResolver, [], this._eventbus);
+
+      // Insert file or memory doc and reset.
+      this._insertStaticDoc(staticDoc);
+
+      this._moduleID = docID;
+
+      // AST does not have a body or children nodes so only comments are potentially present.
+      if (ast.program.body.length === 0 && ast.program.innerComments)
+      {
+         this._traverseComments(void 0, ast, ast.program.innerComments);
+      }
+
+      // Creates the symbol table before traversal as nodes are sanitized during traversal.
+      this._createImportTable(this._eventbus.triggerSync('tjsdoc:system:ast:scope:create', ast));
+
+      // Performs the two pass traversal algorithm.
+      this._traverse();
+   }
+
+   /**
+    * Updates a doc object with the export semantics of a public export name. A doc object may be exported under
+    * several names along with as both a default and named export, so every export name is added to `exportedAs` and
+    * every import style to `importStyles`. `importStyle` remains the first import style of an exported doc object.
+    *
+    * @param {DocObject}   doc - The doc object to update.
+    *
+    * @param {string}      exportedName - The public export name; `default` for default exports.
+    *
+    * @param {string}      importStyle - The import style of the export name; e.g. `foo` or `{foo}`.
+    *
+    * @private
+    */
+   _addExportedAs(doc, exportedName, importStyle)
+   {
+      if (!Array.isArray(doc.exportedAs))
+      {
+         doc.exportedAs = [];
+         doc.importStyles = [];
+
+         // Include the export name of a directly exported declaration; e.g. `export function foo() {}`.
+         if (doc.export && typeof doc.importStyle === 'string')
+         {
+            doc.exportedAs.push(doc.importStyle.startsWith('{') ? doc.importStyle.slice(1, -1) : 'default');
+            doc.importStyles.push(doc.importStyle);
+         }
+      }
+
+      if (!doc.exportedAs.includes(exportedName)) { doc.exportedAs.push(exportedName); }
+      if (!doc.importStyles.includes(importStyle)) { doc.importStyles.push(importStyle); }
+
+      if (!doc.export || typeof doc.importStyle !== 'string') { doc.importStyle = importStyle; }
+
+      doc.export = true;
+      doc.ignore = false;
+   }
+
+   /**
+    * Creates the static doc for a decided doc object type with the next global doc ID and current file / module ID.
+    *
+    * @param {DocObjectType}  result - A decided doc object type.
+    *
+    * @param {Tag[]}          tags - Doc tags of the target node.
+    *
+    * @returns {StaticDoc|undefined} The static doc class which contains the created doc object.
+    *
+    * @private
+    */
+   _createStaticDoc(result, tags)
+   {
+      // Stores the associated StaticDoc for the give doc object type.
+      let StaticDoc;
+
+      // Select the StaticDoc for the given doc object type.
+      switch (result.type)
+      {
+         case 'ClassMember':
+            StaticDoc = Docs.ClassMemberDoc;
+            break;
+
+         case 'ClassMethod':
+            StaticDoc = Docs.ClassMethodDoc;
+            break;
+
+         case 'ClassProperty':
+            StaticDoc = Docs.ClassPropertyDoc;
+            break;
+
+         case 'EventBinding':
+            StaticDoc = Docs.EventBindingDoc;
+            break;
+
+         case 'ModuleAssignment':
+            StaticDoc = Docs.ModuleAssignmentDoc;
+            break;
+
+         case 'ModuleClass':
+            StaticDoc = Docs.ModuleClassDoc;
+            break;
+
+         case 'ModuleFunction':
+            StaticDoc = Docs.ModuleFunctionDoc;
+            break;
+
+         case 'ModuleReExport':
+            StaticDoc = Docs.ModuleReExportDoc;
+            break;
+
+         case 'ModuleVariable':
+            StaticDoc = Docs.ModuleVariableDoc;
+            break;
+
+         case 'VirtualExternal':
+            StaticDoc = Docs.VirtualExternalDoc;
+            break;
+
+         case 'VirtualTypedef':
+            StaticDoc = Docs.VirtualTypedefDoc;
+            break;
+
+         default:
+            throw new Error(`Unexpected type: ${result.type}`);
+      }
+
+      // If no StaticDoc is found exit early.
+      if (!StaticDoc) { return void 0; }
+
+      // Create the static doc with the next global doc ID and current file / module ID.
+      return StaticDoc.create(this._getNextDocID(), this._moduleID, this._ast, result.node, this._pathResolver, tags,
+       this._eventbus);
+   }
+
+   /**
+    * Decide ModuleClass and constructor ClassMethod doc object types from ES5 constructor functions. The constructor
+    * method doc carries the params of the constructor function.
+    *
+    * @example
+    * function ClassName(value) { this.value = value; }
+    * ClassName.prototype.method = function() {};
+    * util.inherits(ClassName, SuperClassName);
+    *
+    * @param {ASTNode} node - Target node that is a function declaration or variable declared function expression.
+    *
+    * @returns {DocObjectType[]|undefined} Decided DocObjectTypes or undefined if the function is not an ES5 class.
+    * @private
+    */
+   _decideES5ClassType(node)
+   {
+      const member = this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, node);
+
+      if (!member || !member.isConstructor) { return void 0; }
+
+      return [{ type: 'ModuleClass', node }, { type: 'ClassMethod', node }];
+   }
+
+   /**
+    * Decide ClassMethod / ClassMember doc object types from top level assignments to an ES5 class or its prototype.
+    * Functions are decided as `ClassMethod` types with the function node and any other values as `ClassMember` types.
+    * Assigning an object to the prototype decides a `ClassMethod` type for each method / function value.
+    *
+    * @example
+    * ClassName.prototype.method = function() {};
+    * ClassName.prototype.member = 1;
+    * ClassName.staticMethod = function() {};
+    * ClassName.prototype = { method() {}, otherMethod: function() {} };
+    *
+    * @param {ASTNode} node - Target node that is an expression of a top level expression statement.
+    *
+    * @returns {DocObjectType|DocObjectType[]|undefined} Decided DocObjectType(s) or undefined.
+    * @private
+    */
+   _decideES5ClassMemberType(node)
+   {
+      if (node.type !== 'AssignmentExpression') { return void 0; }
+
+      const right = node.right;
+
+      // e.g. `ClassName.prototype = { method() {} }`
+      if (right.type === 'ObjectExpression')
+      {
+         Reflect.defineProperty(right, 'parent', { value: node });
+
+         const results = [];
+
+         for (const property of right.properties)
+         {
+            const methodNode = property.type === 'ObjectMethod' ? property : property.value;
+
+            if (!methodNode || (methodNode.type !== 'ObjectMethod' && !methodNode.type.endsWith('FunctionExpression')))
+            {
+               continue;
+            }
+
+            Reflect.defineProperty(property, 'parent', { value: right });
+
+            if (methodNode !== property) { Reflect.defineProperty(methodNode, 'parent', { value: property }); }
+
+            if (!this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, methodNode))
+            {
+               continue;
+            }
+
+            methodNode[s_ALREADY] = true;
 
-      /**
-       * The path resolver of source code.
-       * @type {PathResolver}
-       * @private
-       */
-      this._pathResolver = pathResolver;
+            results.push({ type: 'ClassMethod', node: methodNode });
+         }
 
-      /**
-       * Stores the plugin eventbus proxy.
-       * @type {EventProxy}
-       * @private
-       */
-      this._eventbus = eventbus;
+         return results.length ? results : void 0;
+      }
 
-      /**
-       * Determines how to handle errors. Options are `log` and `throw` with the default being to throw any errors
-       * encountered.
-       * @type {string}
-       * @private
-       */
-      this._handleError = handleError;
+      if (!this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast, node)) { return void 0; }
 
-      /**
-       * Optional function to invoke before a static doc is added to the given DocDB.
-       * @type {Function}
-       * @private
-       */
-      this._docFilter = docFilter;
+      node[s_ALREADY] = true;
 
-      // Reset 2nd pass export tracking array.
-      this._exportNodesPass.length = 0;
+      if (right.type === 'ArrowFunctionExpression' || right.type === 'FunctionExpression')
+      {
+         Reflect.defineProperty(right, 'parent', { value: node });
 
-      // Gets the current global / main plugin DocDB counter doc ID then increment it.
-      const docID = eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get');
+         right[s_ALREADY] = true;
 
-      // If code is defined then treat it as an memory doc otherwise a file doc.
-      const staticDoc = typeof code === 'string' ? Docs.ModuleMemoryDoc.create(docID, ast, ast, pathResolver, [],
-       this._eventbus, code) : Docs.ModuleFileDoc.create(docID, ast, ast, pathResolver, [], this._eventbus);
+         return { type: 'ClassMethod', node: right };
+      }
 
-      // Insert file or memory doc and reset.
-      this._insertStaticDoc(staticDoc);
+      return { type: 'ClassMember', node };
+   }
 
-      /**
-       * Store the docID for the memory / file and add it to all children doc data as `__moduleID__`.
-       * @type {number}
-       */
-      this._moduleID = docID;
+   /**
+    * Decide EventBinding doc object type from event bindings registered in `onPluginLoad`. The event name must be a
+    * string literal and the receiver must be the plugin eventbus; `ev.eventbus` where `ev` is the first parameter of
+    * `onPluginLoad` or a local variable / `this` member assigned from it.
+    *
+    * @example
+    * onPluginLoad(ev)
+    * {
+    *    ev.eventbus.on('tjsdoc:system:ast:decorators:find', this.findDecorators, this);
+    *
+    *    const eventbus = ev.eventbus;
+    *    eventbus.on('tjsdoc:system:ast:scope:find', this.findScope, this);
+    *
+    *    this._eventbus = ev.eventbus;
+    *    this._eventbus.on('tjsdoc:system:ast:scope:create', this.createScope, this);
+    * }
+    *
+    * @param {ASTNode} node - Target node that is a call expression of an expression statement.
+    *
+    * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
+    * @private
+    */
+   _decideEventBindingType(node)
+   {
+      const callee = node.callee;
 
-      // AST does not have a body or children nodes so only comments are potentially present.
-      if (ast.program.body.length === 0 && ast.program.innerComments)
+      if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'on') { return void 0; }
+
+      const eventNode = node.arguments[0];
+
+      if (node.arguments.length < 2 || (eventNode.type !== 'StringLiteral' &&
+       (eventNode.type !== 'TemplateLiteral' || eventNode.expressions.length > 0)))
       {
-         this._traverseComments(void 0, ast, ast.program.innerComments);
+         return void 0;
       }
 
-      // Performs the two pass traversal algorithm.
-      this._traverse();
+      // The nearest enclosing function other than arrow functions must be `onPluginLoad`.
+      const functionNode = this._findUp(node, ['ClassMethod', 'FunctionDeclaration', 'FunctionExpression',
+       'ObjectMethod']);
 
-      // Reset statically stored data after traversal to make sure all data goes out of scope.
-      this._ast = void 0;
-      this._docDB = void 0;
-      this._pathResolver = void 0;
-      this._eventbus = void 0;
-      this._handleError = void 0;
-      this._moduleID = void 0;
-      this._exportNodesPass.length = 0;
+      if (!functionNode) { return void 0; }
+
+      const functionName = functionNode.key ? functionNode.key.name : functionNode.id && functionNode.id.name;
+
+      if (functionName !== 'onPluginLoad' || !this._isPluginEventbus(callee.object, functionNode)) { return void 0; }
+
+      node[s_ALREADY] = true;
+
+      return { type: 'EventBinding', node };
    }
 
    /**
@@ -167,13 +1000,24 @@ export default class DocGenerator
     *    }
     * }
     *
+    * Top level CommonJS export assignments are also decided by `_decideModuleCommonJSExportType` and ES5 class
+    * member assignments by `_decideES5ClassMemberType`.
+    *
     * @param {ASTNode} node - Target node that is an expression statement node.
     *
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideExpressionStatementType(node)
+   _decideExpressionStatementType(node)
    {
+      // e.g. `eventbus.on('tjsdoc:system:ast:decorators:find', this.findDecorators, this);`
+      if (node.expression.type === 'CallExpression')
+      {
+         Reflect.defineProperty(node.expression, 'parent', { value: node });
+
+         return this._decideEventBindingType(node.expression);
+      }
+
       if (!node.expression.right) { return void 0; }
 
       // Add parent `node` to `node.expression`.
@@ -185,13 +1029,27 @@ export default class DocGenerator
          const classNode = this._findUp(node.expression, ['ClassExpression', 'ClassDeclaration']);
 
          // No class node was found in an upward search. In certain situations this could be a function meant to
-         // be applied with a particular context for `this`. However, it's not considered a member doc node.
-         if (!classNode) { return void 0; }
+         // be applied with a particular context for `this`. However, it's not considered a member doc node unless
+         // the function is an ES5 constructor function.
+         if (!classNode && !this._eventbus.triggerSync('tjsdoc:system:ast:es5:class:member:find', this._ast,
+          node.expression))
+         {
+            return void 0;
+         }
 
          node.expression[s_ALREADY] = true;
 
          return { type: 'ClassMember', node: node.expression };
       }
+      else if (node.parent.type === 'Program' &&
+       this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:name:find', node.expression.left))
+      {
+         return this._decideModuleCommonJSExportType(node.expression);
+      }
+      else if (node.parent.type === 'Program')
+      {
+         return this._decideES5ClassMemberType(node.expression);
+      }
       else
       {
          return void 0;
@@ -206,7 +1064,7 @@ export default class DocGenerator
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleArrowFunctionExpressionType(node)
+   _decideModuleArrowFunctionExpressionType(node)
    {
       if (!this._isTopDepthInBody(node)) { return void 0; }
 
@@ -228,7 +1086,7 @@ export default class DocGenerator
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleAssignmentType(node)
+   _decideModuleAssignmentType(node)
    {
       if (!this._isTopDepthInBody(node)) { return void 0; }
 
@@ -266,13 +1124,59 @@ export default class DocGenerator
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleClassDeclarationType(node)
+   _decideModuleClassDeclarationType(node)
    {
       if (!this._isTopDepthInBody(node)) { return void 0; }
 
       return { type: 'ModuleClass', node };
    }
 
+   /**
+    * Decide doc object type from top level CommonJS export assignments. Functions and classes are returned as
+    * `ModuleFunction` or `ModuleClass` types with the inner node and any other values as a `ModuleAssignment` type.
+    * `export` and `importStyle` are determined from the assignment target. CommonJS exports of identifiers, new
+    * expressions and `require` calls are converted to ES export nodes in `_traverse` and never reach this method.
+    *
+    * @example
+    * module.exports = function functionName() {}
+    * exports.ClassName = class {}
+    * exports.value = 42;
+    *
+    * @param {ASTNode} node - Target node that is an assignment node.
+    *
+    * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
+    * @private
+    */
+   _decideModuleCommonJSExportType(node)
+   {
+      node[s_ALREADY] = true;
+
+      let innerType;
+
+      switch (node.right.type)
+      {
+         case 'ArrowFunctionExpression':
+         case 'FunctionExpression':
+            innerType = 'ModuleFunction';
+            break;
+
+         case 'ClassExpression':
+            innerType = 'ModuleClass';
+            break;
+
+         default:
+            return { type: 'ModuleAssignment', node };
+      }
+
+      const innerNode = node.right;
+
+      Reflect.defineProperty(innerNode, 'parent', { value: node });
+
+      innerNode[s_ALREADY] = true;
+
+      return { type: innerType, node: innerNode };
+   }
+
    /**
     * Decide ModuleFunction doc object type from function declaration nodes. These nodes must be in the AST body / top
     * level.
@@ -282,11 +1186,11 @@ export default class DocGenerator
     * @returns {DocObjectType} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleFunctionDeclarationType(node)
+   _decideModuleFunctionDeclarationType(node)
    {
       if (!this._isTopDepthInBody(node)) { return void 0; }
 
-      return { type: 'ModuleFunction', node };
+      return this._decideES5ClassType(node) || { type: 'ModuleFunction', node };
    }
 
    /**
@@ -298,7 +1202,7 @@ export default class DocGenerator
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleFunctionExpressionType(node)
+   _decideModuleFunctionExpressionType(node)
    {
       if (!node.async || !this._isTopDepthInBody(node)) { return void 0; }
 
@@ -306,45 +1210,181 @@ export default class DocGenerator
    }
 
    /**
-    * Decide ModuleVariable doc object type from `VariableDeclaration` nodes from the top level body. If the right
-    * node type is `ArrowFunctionExpression`, `ClassExpression` or `FunctionExpression` The inner type and node is
-    * returned as `ModuleClass` or `ModuleFunction` types.
+    * Decide ModuleVariable doc object type from an object literal that is the default export. The object literal is
+    * a namespace and its properties are decided by `_decideObjectNamespaceMemberType`.
     *
-    * @param {ASTNode} node - Target node that is variable declaration node.
+    * @example
+    * export default { method() {}, member: 1 };
+    *
+    * @param {ASTNode} node - Target node that is an object expression node.
     *
     * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
     * @private
     */
-   static _decideModuleVariableType(node)
+   _decideModuleObjectExpressionType(node)
    {
-      if (!this._isTopDepthInBody(node)) { return void 0; }
+      if (!node.parent || node.parent.type !== 'ExportDefaultDeclaration') { return void 0; }
 
-      if (!node.declarations[0].init) { return void 0; }
+      return { type: 'ModuleVariable', node };
+   }
 
-      let innerType = void 0;
+   /**
+    * Decide ModuleReExport doc object type from export nodes that re-export from another module. Export nodes and
+    * specifiers with a source module are always re-exports. Local export specifiers and default exports are only
+    * re-exports when they reference an imported binding.
+    *
+    * @example
+    * export * from './A.js';
+    * export { a, b as c } from './A.js';
+    * export A from './A.js';
+    *
+    * import B from './B.js';
+    * export { B };
+    *
+    * @param {ASTNode} node - Target node that is an export declaration or export specifier node.
+    *
+    * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
+    * @private
+    */
+   _decideModuleReExportType(node)
+   {
+      let localName;
 
-      switch (node.declarations[0].init.type)
+      switch (node.type)
       {
-         case 'ArrowFunctionExpression':
-         case 'FunctionExpression':
-            innerType = 'ModuleFunction';
-            break;
+         case 'ExportAllDeclaration':
+            return { type: 'ModuleReExport', node };
 
-         case 'ClassExpression':
-            innerType = 'ModuleClass';
+         case 'ExportDefaultDeclaration':
+            if (node.declaration.type !== 'Identifier') { return void 0; }
+
+            localName = node.declaration.name;
             break;
 
          default:
-            return { type: 'ModuleVariable', node };
+            if (!node.parent) { return void 0; }
+
+            if (node.parent.source) { return { type: 'ModuleReExport', node }; }
+
+            if (!node.local) { return void 0; }
+
+            localName = node.local.name;
+            break;
       }
 
-      const innerNode = node.declarations[0].init;
+      if (!this._eventbus.triggerSync('tjsdoc:system:ast:import:binding:find', this._ast, localName)) { return void 0; }
 
-      Reflect.defineProperty(innerNode, 'parent', { value: node });
+      return { type: 'ModuleReExport', node };
+   }
 
-      innerNode[s_ALREADY] = true;
+   /**
+    * Decide ModuleVariable doc object types from `VariableDeclaration` nodes from the top level body. Each declarator
+    * with an initializer is decided separately. If the initializer of an identifier declarator is an
+    * `ArrowFunctionExpression`, `ClassExpression` or `FunctionExpression` the inner type and node is decided as
+    * `ModuleClass` or `ModuleFunction` types. Otherwise a `ModuleVariable` type is decided for each identifier bound by
+    * the declarator including nested and renamed destructuring patterns where the node is the bound identifier.
+    *
+    * @example
+    * export const a = 1, b = () => {};
+    * export const { c, d: { e }, f: g } = obj;
+    * export const [h, , i] = arr;
+    *
+    * @param {ASTNode} node - Target node that is variable declaration node.
+    *
+    * @returns {DocObjectType[]|undefined} Decided DocObjectTypes or undefined.
+    * @private
+    */
+   _decideModuleVariableType(node)
+   {
+      if (!this._isTopDepthInBody(node)) { return void 0; }
 
-      return { type: innerType, node: innerNode };
+      const results = [];
+
+      for (const declarator of node.declarations)
+      {
+         if (!declarator.init) { continue; }
+
+         Reflect.defineProperty(declarator, 'parent', { value: node });
+
+         let innerType = void 0;
+
+         if (declarator.id.type === 'Identifier')
+         {
+            switch (declarator.init.type)
+            {
+               case 'ArrowFunctionExpression':
+               case 'FunctionExpression':
+                  innerType = 'ModuleFunction';
+                  break;
+
+               case 'ClassExpression':
+                  innerType = 'ModuleClass';
+                  break;
+            }
+         }
+
+         if (innerType)
+         {
+            const innerNode = declarator.init;
+
+            Reflect.defineProperty(innerNode, 'parent', { value: declarator });
+
+            innerNode[s_ALREADY] = true;
+
+            const es5ClassResults = innerType === 'ModuleFunction' ? this._decideES5ClassType(innerNode) : void 0;
+
+            if (es5ClassResults) { results.push(...es5ClassResults); }
+            else { results.push({ type: innerType, node: innerNode }); }
+
+            continue;
+         }
+
+         const bindings = this._eventbus.triggerSync('tjsdoc:system:ast:pattern:bindings:find', declarator.id,
+          declarator.init);
+
+         for (const binding of bindings)
+         {
+            // The bound identifier refers to the declarator for upward traversal.
+            Reflect.defineProperty(binding.node, 'parent', { value: declarator });
+
+            results.push({ type: 'ModuleVariable', node: binding.node });
+         }
+      }
+
+      return results.length ? results : void 0;
+   }
+
+   /**
+    * Decide ClassMethod / ClassProperty doc object types from the properties of a module scope object literal
+    * namespace. Methods and function values are decided as `ClassMethod` types with the function node and any other
+    * values as `ClassProperty` types. The namespace itself is a module variable or the default export.
+    *
+    * @example
+    * export const namespace = { method() {}, otherMethod: function() {}, member: 1 };
+    *
+    * @param {ASTNode} node - Target node that is an object method or object property node.
+    *
+    * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
+    * @private
+    */
+   _decideObjectNamespaceMemberType(node)
+   {
+      if (!this._eventbus.triggerSync('tjsdoc:system:ast:object:namespace:member:find', node)) { return void 0; }
+
+      if (node.type === 'ObjectMethod') { return { type: 'ClassMethod', node }; }
+
+      const value = node.value;
+
+      if (value.type === 'ArrowFunctionExpression' || value.type === 'FunctionExpression')
+      {
+         Reflect.defineProperty(value, 'parent', { value: node });
+
+         value[s_ALREADY] = true;
+
+         return { type: 'ClassMethod', node: value };
+      }
+
+      return { type: 'ClassProperty', node };
    }
 
    /**
@@ -354,10 +1394,10 @@ export default class DocGenerator
     *
     * @param {Tag[]}    tags - Documentation Tags of the node.
     *
-    * @returns {DocObjectType|undefined} Decided DocObjectType or undefined.
+    * @returns {DocObjectType|DocObjectType[]|undefined} Decided DocObjectType(s) or undefined.
     * @private
     */
-   static _decideType(node, tags)
+   _decideType(node, tags)
    {
       // First process tags to find any virtual doc object types. Immediately return if a virtual doc object is found.
       for (const tag of tags)
@@ -387,11 +1427,20 @@ export default class DocGenerator
             return this._decideModuleClassDeclarationType(node);
 
          case 'ClassMethod':
+         case 'ClassPrivateMethod':
             return { type: 'ClassMethod', node };
 
+         case 'ClassPrivateProperty':
          case 'ClassProperty':
             return { type: 'ClassProperty', node };
 
+         case 'ExportAllDeclaration':
+         case 'ExportDefaultDeclaration':
+         case 'ExportDefaultSpecifier':
+         case 'ExportNamespaceSpecifier':
+         case 'ExportSpecifier':
+            return this._decideModuleReExportType(node);
+
          case 'ExpressionStatement':
             return this._decideExpressionStatementType(node);
 
@@ -401,6 +1450,13 @@ export default class DocGenerator
          case 'FunctionExpression':
             return this._decideModuleFunctionExpressionType(node);
 
+         case 'ObjectExpression':
+            return this._decideModuleObjectExpressionType(node);
+
+         case 'ObjectMethod':
+         case 'ObjectProperty':
+            return this._decideObjectNamespaceMemberType(node);
+
          case 'VariableDeclaration':
             return this._decideModuleVariableType(node);
       }
@@ -408,6 +1464,59 @@ export default class DocGenerator
       return void 0;
    }
 
+   /**
+    * Finds the doc ID of the module level declaration doc object of a scope binding from the export table.
+    *
+    * @param {ScopeBinding}   binding - A scope binding declared in this module.
+    *
+    * @returns {number|undefined} The doc ID of the declaration doc object.
+    * @private
+    */
+   _findDeclarationDocID(binding)
+   {
+      // e.g. the identifier of `const foo = 1`, the function of `const foo = () => {}` or `function foo() {}`.
+      const declarationNode = [binding.identifier, binding.init, binding.node].find((node) =>
+       node && this._exportTable.has(node));
+
+      return declarationNode ? this._exportTable.get(declarationNode) : void 0;
+   }
+
+   /**
+    * Finds the module level declaration doc object of a local name referenced by an export node from the export table.
+    * The local name is resolved by the symbol table to the declaration node and the doc object created from the
+    * declaration node is found by identity, so typedefs, class members or other doc objects with the same name are
+    * never matched. Unresolved exports other than imported bindings are reported as warnings.
+    *
+    * @param {string}   localName - The local name referenced by the export node.
+    *
+    * @param {ASTNode}  exportNode - The export node.
+    *
+    * @returns {DocObject|null} The declaration doc object; null if unresolved or not inserted due to any doc filter.
+    * @private
+    */
+   _findExportDoc(localName, exportNode)
+   {
+      const binding = this._eventbus.triggerSync('tjsdoc:system:ast:scope:binding:find', this._ast, localName);
+
+      // Imported bindings are not declared in this module and are not reported; e.g. the class of a pseudo class
+      // export.
+      if (binding && binding.source !== null) { return null; }
+
+      const docID = binding ? this._findDeclarationDocID(binding) : void 0;
+
+      if (docID === void 0)
+      {
+         const line = exportNode.loc ? ` at line ${exportNode.loc.start.line}` : '';
+
+         this._eventbus.trigger('log:warn', `Unresolved export of '${localName}' in '${this._pathResolver.filePath}'${
+          line}; no module level declaration doc object found.`);
+
+         return null;
+      }
+
+      return this._docDB.find({ __docId__: docID })[0] || null;
+   }
+
    /**
     * Find node while traversing up the parent tree. This is used to verify that a parent node exists such as
     * ClassDeclaration / ClassExpression.
@@ -419,18 +1528,34 @@ export default class DocGenerator
     * @returns {ASTNode|undefined} The first node matched.
     * @private
     */
-   static _findUp(node, types)
+   _findUp(node, types)
+   {
+      let parent = node.parent;
+
+      while (parent)
+      {
+         if (types.includes(parent.type)) { return parent; }
+
+         parent = parent.parent;
+      }
+
+      return void 0;
+   }
+
+   /**
+    * Gets the next doc ID from the current global / main plugin DocDB counter and stores it as retrieved during
+    * traversal.
+    *
+    * @returns {number} The next doc ID.
+    * @private
+    */
+   _getNextDocID()
    {
-      let parent = node.parent;
-
-      while (parent)
-      {
-         if (types.includes(parent.type)) { return parent; }
+      const docID = this._eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get');
 
-         parent = parent.parent;
-      }
+      this._docIDs.push(docID);
 
-      return void 0;
+      return docID;
    }
 
    /**
@@ -440,7 +1565,7 @@ export default class DocGenerator
     *
     * @private
     */
-   static _insertStaticDoc(staticDoc)
+   _insertStaticDoc(staticDoc)
    {
       this._docDB.insertStaticDoc(staticDoc, this._docFilter);
    }
@@ -453,7 +1578,7 @@ export default class DocGenerator
     * @returns {boolean} True if the node is stored for a second pass.
     * @private
     */
-   static _isExportSecondPass(node)
+   _isExportSecondPass(node)
    {
       // Export default declarations that reference an identifier or create a new expression need to be processed
       // in a second pass to ensure that the target expression is resolved.
@@ -467,8 +1592,9 @@ export default class DocGenerator
       }
       else if (node.type === 'ExportNamedDeclaration')
       {
-         // Any named export with specifiers needs to be processed in a second pass.
-         if (node.specifiers.length > 0)
+         // Any named export with local specifiers needs to be processed in a second pass. Re-exports from another
+         // module are processed in the first pass.
+         if (node.specifiers.length > 0 && !node.source)
          {
             this._exportNodesPass.push(node);
             return true;
@@ -508,7 +1634,7 @@ export default class DocGenerator
     * @returns {boolean} True if the node is last in parent body array.
     * @private
     */
-   static _isLastNodeInParent(node, parentNode)
+   _isLastNodeInParent(node, parentNode)
    {
       if (parentNode && Array.isArray(parentNode.body))
       {
@@ -519,6 +1645,71 @@ export default class DocGenerator
       return false;
    }
 
+   /**
+    * Determine if the receiver of an event binding in `onPluginLoad` is the plugin eventbus; `ev.eventbus` where `ev`
+    * is the first parameter of `onPluginLoad`, a local variable initialized with `ev.eventbus` or a `this` member
+    * assigned `ev.eventbus` in `onPluginLoad`.
+    *
+    * @param {ASTNode} receiver - The object of the `on` member expression.
+    *
+    * @param {ASTNode} functionNode - The `onPluginLoad` function node.
+    *
+    * @returns {boolean} True if the receiver is the plugin eventbus.
+    * @private
+    */
+   _isPluginEventbus(receiver, functionNode)
+   {
+      const param = functionNode.params[0];
+
+      if (!param || param.type !== 'Identifier') { return false; }
+
+      // e.g. `ev.eventbus`
+      const isEventbus = (node) => !!node && node.type === 'MemberExpression' && !node.computed &&
+       node.object.type === 'Identifier' && node.object.name === param.name && node.property.name === 'eventbus';
+
+      if (isEventbus(receiver)) { return true; }
+
+      // e.g. `const eventbus = ev.eventbus;`
+      if (receiver.type === 'Identifier')
+      {
+         const binding = this._eventbus.triggerSync('tjsdoc:system:ast:scope:binding:find', this._ast, receiver.name,
+          receiver);
+
+         return !!binding && binding.source === null && isEventbus(binding.init);
+      }
+
+      // e.g. `this._eventbus = ev.eventbus;`
+      if (receiver.type !== 'MemberExpression' || receiver.computed || receiver.object.type !== 'ThisExpression')
+      {
+         return false;
+      }
+
+      let assigned = false;
+
+      this._eventbus.trigger('typhonjs:ast:walker:traverse', functionNode.body,
+      {
+         enterNode: (child) =>
+         {
+            // `this` differs in nested functions other than arrow functions.
+            if (child.type === 'FunctionDeclaration' || child.type === 'FunctionExpression' ||
+             child.type.endsWith('Method') || child.type.startsWith('Class'))
+            {
+               return null;
+            }
+
+            if (child.type === 'AssignmentExpression' && child.operator === '=' &&
+             child.left.type === 'MemberExpression' && !child.left.computed &&
+              child.left.object.type === 'ThisExpression' && child.left.property.name === receiver.property.name &&
+               isEventbus(child.right))
+            {
+               assigned = true;
+            }
+         }
+      });
+
+      return assigned;
+   }
+
    /**
     * Determine if the node is at the top program node body. Direct child nodes of exports are considered top level.
     *
@@ -527,7 +1718,7 @@ export default class DocGenerator
     * @returns {boolean} True if the node is in top program node body.
     * @private
     */
-   static _isTopDepthInBody(node)
+   _isTopDepthInBody(node)
    {
       const parentNode = node.parent;
 
@@ -543,6 +1734,64 @@ export default class DocGenerator
       return node.parent.type === 'Program';
    }
 
+   /**
+    * Merges getter / setter pairs into a single accessor member doc object. Accessors are paired by class, static-ness
+    * and name. The first accessor of a pair is inserted with `readonly` set for a getter or `writeonly` set for a
+    * setter. When the second accessor is found it is merged into the doc object of the first accessor which is then
+    * neither `readonly` nor `writeonly` and has the qualifier `accessor` instead of `get` / `set`; descriptions are
+    * merged and the type is reconciled from the getter type / return and the setter type / first parameter.
+    *
+    * @param {StaticDoc}   staticDoc - Static doc to merge.
+    *
+    * @returns {boolean} True if the static doc is merged and must not be inserted.
+    * @private
+    */
+   _mergeAccessorDoc(staticDoc)
+   {
+      const value = staticDoc.value;
+
+      if (value.category !== 'ClassMember' || !value.accessor) { return false; }
+
+      const key = `${value.memberof}#${value.static ? 'static' : 'instance'}#${value.name}`;
+
+      const docObject = this._accessorDocIDs.has(key) ?
+       this._docDB.find({ __docId__: this._accessorDocIDs.get(key) })[0] : void 0;
+
+      // The first accessor or a duplicate accessor of the same kind is inserted.
+      if (!docObject || docObject.qualifier === value.qualifier)
+      {
+         value.readonly = value.qualifier === 'get';
+         value.writeonly = value.qualifier === 'set';
+
+         this._accessorDocIDs.set(key, value.__docId__);
+
+         return false;
+      }
+
+      const getter = docObject.qualifier === 'get' ? docObject : value;
+      const setter = docObject.qualifier === 'set' ? docObject : value;
+
+      docObject.qualifier = 'accessor';
+      docObject.readonly = false;
+      docObject.writeonly = false;
+
+      const description = [getter.description, setter.description].filter((entry, index, entries) =>
+       entry && entries.indexOf(entry) === index).join('\n');
+
+      if (description) { docObject.description = description; }
+
+      docObject.type = s_RECONCILE_ACCESSOR_TYPE([getter.type, getter.return, setter.type,
+       Array.isArray(setter.params) ? setter.params[0] : void 0]);
+
+      docObject.undocument = !!(getter.undocument && setter.undocument);
+      docObject.ignore = !!(getter.ignore && setter.ignore);
+
+      // Only one pair is merged per key.
+      this._accessorDocIDs.delete(key);
+
+      return true;
+   }
+
    /**
     * Performs second pass processing of default export nodes. The target class, function or variable referenced
     * by the export node is found in the DocDB and the existing DocObject is updated with any applicable export
@@ -578,9 +1827,8 @@ export default class DocGenerator
     * @private
     * @todo support function export.
     */
-   static _processDefaultExport(exportNode)
+   _processDefaultExport(exportNode)
    {
-      const filePath = this._pathResolver.filePath;
       let targetClassName = void 0;
       let targetVariableName = void 0;
       let pseudoClassExport;
@@ -610,6 +1858,13 @@ export default class DocGenerator
 
          case 'Identifier':
          {
+            // A default export of an imported binding is a re-export.
+            if (this._decideModuleReExportType(exportNode))
+            {
+               this._traverseComments(exportNode, exportNode.parent, exportNode.leadingComments);
+               return;
+            }
+
             const varNode = this._eventbus.triggerSync('tjsdoc:system:ast:variable:declaration:new:expression:find',
              this._ast, exportNode.declaration.name);
 
@@ -632,37 +1887,33 @@ export default class DocGenerator
          default:
             this._eventbus.trigger('log:warn', `Unknown export declaration type. type = "${
              exportNode.declaration.type}"`);
-            break;
+            return;
       }
 
-      const classDoc = this._docDB.find({ name: targetClassName, filePath });
-
-      if (classDoc.length > 0)
+      // e.g. `export default new Foo()` or `const foo = new Foo(); export default foo;`
+      if (pseudoClassExport)
       {
-         classDoc[0].importStyle = pseudoClassExport ? null : targetClassName;
-         classDoc[0].export = true;
-         classDoc[0].ignore = false;
+         const classDoc = targetClassName ? this._findExportDoc(targetClassName, exportNode) : null;
 
-         if (targetVariableName) { this._updateOrCreateVarDoc(targetVariableName, targetClassName, exportNode); }
-      }
+         if (classDoc)
+         {
+            classDoc.importStyle = null;
+            classDoc.export = true;
+            classDoc.ignore = false;
 
-      const funcDoc = this._docDB.find({ name: exportNode.declaration.name, filePath });
+            if (targetVariableName) { this._updateOrCreateVarDoc(targetVariableName, targetClassName, exportNode); }
 
-      if (funcDoc.length > 0)
-      {
-         funcDoc[0].importStyle = exportNode.declaration.name;
-         funcDoc[0].export = true;
-         funcDoc[0].ignore = false;
+            return;
+         }
+
+         // The variable of an imported class is exported; e.g. `const foo = new Foo(); export default foo;` where
+         // `Foo` is imported.
+         if (exportNode.declaration.type !== 'Identifier') { return; }
       }
 
-      const varDoc = this._docDB.find({ name: exportNode.declaration.name, filePath });
+      const doc = this._findExportDoc(exportNode.declaration.name, exportNode);
 
-      if (varDoc.length > 0)
-      {
-         varDoc[0].importStyle = exportNode.declaration.name;
-         varDoc[0].export = true;
-         varDoc[0].ignore = false;
-      }
+      if (doc) { this._addExportedAs(doc, 'default', exportNode.declaration.name); }
    }
 
    /**
@@ -672,7 +1923,7 @@ export default class DocGenerator
     *
     * @private
     */
-   static _processExports()
+   _processExports()
    {
       for (const exportNode of this._exportNodesPass)
       {
@@ -727,15 +1978,20 @@ export default class DocGenerator
     * export {foo};
     * ```
     *
+    * case3: renamed export; the doc object of `internalFoo` is exported as `foo` and the default export.
+    *
+    * ```javascript
+    * function internalFoo() {}
+    * export { internalFoo as foo, internalFoo as default };
+    * ```
+    *
     * @param {ASTNode}  exportNode - target default export to process.
     *
     * @private
     * @todo support function export.
     */
-   static _processNamedExport(exportNode)
+   _processNamedExport(exportNode)
    {
-      const filePath = this._pathResolver.filePath;
-
       if (exportNode.declaration && exportNode.declaration.type === 'VariableDeclaration')
       {
          for (const declaration of exportNode.declaration.declarations)
@@ -745,13 +2001,13 @@ export default class DocGenerator
             const targetClassName = declaration.init.callee.name;
             const targetVariableName = declaration.id.name;
 
-            const classDoc = this._docDB.find({ name: targetClassName, filePath });
+            const classDoc = targetClassName ? this._findExportDoc(targetClassName, exportNode) : null;
 
-            if (Array.isArray(classDoc) && classDoc.length > 0)
+            if (classDoc)
             {
-               classDoc[0].export = true;
-               classDoc[0].ignore = false;
-               classDoc[0].importStyle = null;
+               classDoc.export = true;
+               classDoc.ignore = false;
+               classDoc.importStyle = null;
             }
 
             if (targetVariableName && targetClassName)
@@ -768,57 +2024,25 @@ export default class DocGenerator
       {
          if (specifier.type !== 'ExportSpecifier') { continue; }
 
-         let targetClassName = void 0;
-         let pseudoClassExport;
-
-         const varNode = this._eventbus.triggerSync('tjsdoc:system:ast:variable:declaration:new:expression:find',
-          this._ast, specifier.exported.name);
-
-         if (varNode)
-         {
-            const varDoc = this._docDB.find({ name: specifier.exported.name, filePath });
-
-            if (varDoc.length > 0)
-            {
-               varDoc[0].importStyle = `{${specifier.exported.name}}`;
-               varDoc[0].export = true;
-               varDoc[0].ignore = false;
-            }
-
-            targetClassName = varNode.declarations[0].init.callee.name;
-            pseudoClassExport = true;
-         }
-         else
-         {
-            targetClassName = specifier.exported.name;
-            pseudoClassExport = false;
-         }
-
-         const classDoc = this._docDB.find({ name: specifier.exported.name, filePath });
+         // A local export specifier of an imported binding is a re-export.
+         Reflect.defineProperty(specifier, 'parent', { value: exportNode });
 
-         if (classDoc.length > 0)
+         if (this._decideModuleReExportType(specifier))
          {
-            classDoc[0].importStyle = pseudoClassExport ? null : `{${targetClassName}}`;
-            classDoc[0].export = true;
-            classDoc[0].ignore = false;
+            this._traverseReExportSpecifier(specifier, exportNode);
+            continue;
          }
 
-         const funcDoc = this._docDB.find({ name: specifier.exported.name, filePath });
-
-         if (funcDoc.length > 0)
-         {
-            funcDoc[0].importStyle = `{${specifier.exported.name}}`;
-            funcDoc[0].export = true;
-            funcDoc[0].ignore = false;
-         }
+         // The doc object is found by the local name; e.g. `export { internalFoo as foo }`.
+         const localName = specifier.local.name;
+         const exportedName = specifier.exported.name;
 
-         const varDoc = this._docDB.find({ name: specifier.exported.name, filePath });
+         const doc = this._findExportDoc(localName, exportNode);
 
-         if (varDoc.length > 0)
+         // e.g. `export { foo as default }` is a default export.
+         if (doc)
          {
-            varDoc[0].importStyle = `{${specifier.exported.name}}`;
-            varDoc[0].export = true;
-            varDoc[0].ignore = false;
+            this._addExportedAs(doc, exportedName, exportedName === 'default' ? localName : `{${exportedName}}`);
          }
       }
    }
@@ -826,76 +2050,42 @@ export default class DocGenerator
    /**
     * Processes the AST node via any matched StaticDoc class which stores the doc object by node type. First
     * `_decideType` is invoked to determine if the given AST node is a valid doc object type. If so then it is
-    * processed.
+    * processed. Multiple doc objects are created when multiple doc object types are decided for a single node such as
+    * variable declarations with multiple bindings.
     *
     * @param {ASTNode}  node - Target node.
     *
     * @param {Tag[]}    tags - Doc tags of target node.
     *
-    * @returns {StaticDoc} The static doc class which contains the currently processed doc object.
+    * @returns {StaticDoc[]} The static doc classes which contain the currently processed doc objects.
     *
     * @private
     */
-   static _processNode(node, tags)
+   _processNode(node, tags)
    {
       // Decide if there is a doc type to process based on tags and node.
       const result = this._decideType(node, tags);
 
       // No doc object type has been found so exit early.
-      if (!result) { return void 0; }
+      if (!result) { return []; }
 
-      // Stores the associated StaticDoc for the give doc object type.
-      let StaticDoc;
+      const staticDocs = [];
 
-      // Select the StaticDoc for the given doc object type.
-      switch (result.type)
+      for (const docObjectType of Array.isArray(result) ? result : [result])
       {
-         case 'ClassMember':
-            StaticDoc = Docs.ClassMemberDoc;
-            break;
-
-         case 'ClassMethod':
-            StaticDoc = Docs.ClassMethodDoc;
-            break;
-
-         case 'ClassProperty':
-            StaticDoc = Docs.ClassPropertyDoc;
-            break;
-
-         case 'ModuleAssignment':
-            StaticDoc = Docs.ModuleAssignmentDoc;
-            break;
-
-         case 'ModuleClass':
-            StaticDoc = Docs.ModuleClassDoc;
-            break;
-
-         case 'ModuleFunction':
-            StaticDoc = Docs.ModuleFunctionDoc;
-            break;
-
-         case 'ModuleVariable':
-            StaticDoc = Docs.ModuleVariableDoc;
-            break;
+         const staticDoc = this._createStaticDoc(docObjectType, tags);
 
-         case 'VirtualExternal':
-            StaticDoc = Docs.VirtualExternalDoc;
-            break;
+         if (!staticDoc) { continue; }
 
-         case 'VirtualTypedef':
-            StaticDoc = Docs.VirtualTypedefDoc;
-            break;
+         staticDocs.push(staticDoc);
 
-         default:
-            throw new Error(`Unexpected type: ${result.type}`);
+         if (s_DECLARATION_CATEGORIES.has(staticDoc.value.category))
+         {
+            this._exportTable.set(docObjectType.node, staticDoc.value.__docId__);
+         }
       }
 
-      // If no StaticDoc is found exit early.
-      if (!StaticDoc) { return void 0; }
-
-      // Create the static doc with the next global doc ID and current file / module ID.
-      return StaticDoc.create(this._eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get'), this._moduleID,
-       this._ast, result.node, this._pathResolver, tags, this._eventbus);
+      return staticDocs;
    }
 
    /**
@@ -905,7 +2095,7 @@ export default class DocGenerator
     *
     * @param {ASTNode} parentNode - Parent node of target node.
     */
-   static _push(node, parentNode)
+   _push(node, parentNode)
    {
       if (node === this._ast) { return; }
 
@@ -921,6 +2111,7 @@ export default class DocGenerator
       switch (node.type)
       {
          // Unwrap export declarations and traverse.
+         case 'ExportAllDeclaration':
          case 'ExportDefaultDeclaration':
          case 'ExportNamedDeclaration':
             this._unwrapExportNodeAndTraverse(node, isLastNodeInParent);
@@ -932,12 +2123,37 @@ export default class DocGenerator
       }
    }
 
+   /**
+    * Serializes the doc objects of the traversal along with the module doc ID and import table, so they may be
+    * resolved when merged by `mergeSerializedDocs`.
+    *
+    * @returns {SerializedModuleDocs} Serialized doc objects.
+    * @private
+    */
+   _serialize()
+   {
+      return Object.assign(DocSerializer.serialize(this._docDB, this._docIDs, this._moduleID),
+       { importTable: this._importTable });
+   }
+
+   /**
+    * Marks this instance as traversed throwing if a traversal has already been invoked.
+    *
+    * @private
+    */
+   _setTraversed()
+   {
+      if (this._traversed) { throw new Error(`'traverse' may only be invoked once.`); }
+
+      this._traversed = true;
+   }
+
    /**
     * Traverse doc comments in given file.
     *
     * @private
     */
-   static _traverse()
+   _traverse()
    {
       const filePath = this._pathResolver.filePath;
 
@@ -947,9 +2163,39 @@ export default class DocGenerator
          {
             try
             {
+               // CommonJS exports of identifiers, new expressions and `require` calls are processed as the
+               // equivalent ES export nodes. Stop further traversal of children nodes.
+               if (parent && parent.type === 'Program' && node.type === 'ExpressionStatement')
+               {
+                  const exportNodes = this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:nodes:create',
+                   node);
+
+                  if (exportNodes.length > 0)
+                  {
+                     for (const exportNode of exportNodes)
+                     {
+                        if (this._isExportSecondPass(exportNode))
+                        {
+                           Reflect.defineProperty(exportNode, 'parent', { value: parent });
+                        }
+                        else
+                        {
+                           this._push(exportNode, parent);
+                        }
+                     }
+
+                     return null;
+                  }
+               }
+
                // Some export nodes are resolved in a second pass. If this is the case stop further traversal of
                // children nodes.
-               if (this._isExportSecondPass(node)) { return null; }
+               if (this._isExportSecondPass(node))
+               {
+                  // Add parent to node to allow upward traversal in the second pass.
+                  Reflect.defineProperty(node, 'parent', { value: parent });
+                  return null;
+               }
 
                this._push(node, parent);
             }
@@ -983,7 +2229,7 @@ export default class DocGenerator
     *
     * @private
     */
-   static _traverseComments(node, parentNode, comments)
+   _traverseComments(node, parentNode, comments)
    {
       if (!node)
       {
@@ -1022,11 +2268,11 @@ export default class DocGenerator
       {
          const tags = this._eventbus.triggerSync('tjsdoc:system:parser:comment:parse', comment);
 
-         let staticDoc;
+         let staticDocs;
 
          if (comment === lastComment)
          {
-            staticDoc = this._processNode(node, tags);
+            staticDocs = this._processNode(node, tags);
          }
          else
          {
@@ -1034,11 +2280,14 @@ export default class DocGenerator
 
             Reflect.defineProperty(virtualNode, 'parent', { value: parentNode });
 
-            staticDoc = this._processNode(virtualNode, tags);
+            staticDocs = this._processNode(virtualNode, tags);
          }
 
-         // Insert doc and reset.
-         if (staticDoc) { this._insertStaticDoc(staticDoc); }
+         // Insert docs and reset. The second accessor of a getter / setter pair is merged into the first.
+         for (const staticDoc of staticDocs)
+         {
+            if (!this._mergeAccessorDoc(staticDoc)) { this._insertStaticDoc(staticDoc); }
+         }
       }
    }
 
@@ -1053,7 +2302,7 @@ export default class DocGenerator
     *
     * @private
     */
-   static _traverseNode(node, parentNode, isLastNodeInParent)
+   _traverseNode(node, parentNode, isLastNodeInParent)
    {
       // If node has decorators leading comments are attached to decorators.
       if (node.decorators && node.decorators[0].leadingComments)
@@ -1073,6 +2322,60 @@ export default class DocGenerator
       }
    }
 
+   /**
+    * Traverses a re-export node with a source module creating a re-export doc object for `export * from` or each
+    * export specifier.
+    *
+    * @param {ASTNode} node - target node that is an export declaration node with a source module.
+    *
+    * @param {boolean} isLastNodeInParent - Indicates the node is the last in its parent node body.
+    *
+    * @private
+    */
+   _traverseReExport(node, isLastNodeInParent)
+   {
+      if (node.type === 'ExportAllDeclaration')
+      {
+         this._traverseComments(node, node.parent, node.leadingComments);
+      }
+      else
+      {
+         for (const specifier of node.specifiers) { this._traverseReExportSpecifier(specifier, node); }
+      }
+
+      // For trailing comments traverse with only last node preventing duplication of trailing comments.
+      if (node.trailingComments && isLastNodeInParent)
+      {
+         this._traverseComments(void 0, node.parent, node.trailingComments);
+      }
+   }
+
+   /**
+    * Traverses a re-export specifier. Leading comments of the specifier are used if available otherwise the leading
+    * comments of the export node are associated with the first specifier.
+    *
+    * @param {ASTNode} specifier - target export specifier node.
+    *
+    * @param {ASTNode} exportNode - parent export declaration node.
+    *
+    * @private
+    */
+   _traverseReExportSpecifier(specifier, exportNode)
+   {
+      specifier[s_ALREADY] = true;
+
+      Reflect.defineProperty(specifier, 'parent', { value: exportNode });
+
+      let comments = specifier.leadingComments;
+
+      if ((!comments || comments.length === 0) && specifier === exportNode.specifiers[0])
+      {
+         comments = exportNode.leadingComments;
+      }
+
+      this._traverseComments(specifier, exportNode, comments);
+   }
+
    /**
     * Unwraps exported node.
     *
@@ -1082,9 +2385,16 @@ export default class DocGenerator
     *
     * @private
     */
-   static _unwrapExportNodeAndTraverse(node, isLastNodeInParent)
+   _unwrapExportNodeAndTraverse(node, isLastNodeInParent)
    {
-      // e.g. `export A from './A.js'` has no declaration
+      // e.g. `export * from './A.js'`, `export A from './A.js'` and `export { a } from './A.js'` are re-exports.
+      if (node.source)
+      {
+         this._traverseReExport(node, isLastNodeInParent);
+         return;
+      }
+
+      // e.g. `export {}` has no declaration
       if (!node.declaration) { return; }
 
       const exportedASTNode = node.declaration;
@@ -1132,7 +2442,7 @@ export default class DocGenerator
     *
     * @private
     */
-   static _updateOrCreateVarDoc(targetVariableName, targetClassName, exportNode)
+   _updateOrCreateVarDoc(targetVariableName, targetClassName, exportNode)
    {
       const filePath = this._pathResolver.filePath;
       const isDefaultExport = exportNode.type === 'ExportDefaultDeclaration';
@@ -1152,26 +2462,32 @@ export default class DocGenerator
           virtualVarNode.leadingComments[virtualVarNode.leadingComments.length - 1]);
       }
 
-      const virtualVarDoc = Docs.ModuleVariableDoc.create(
-       this._eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get'), this._moduleID,
-        this._ast, virtualVarNode, this._pathResolver, tags, this._eventbus);
+      const virtualVarDoc = Docs.ModuleVariableDoc.create(this._getNextDocID(), this._moduleID, this._ast,
+       virtualVarNode, this._pathResolver, tags, this._eventbus);
+
+      // Search for an existing variable doc of the declaration bound to the variable name in the export table.
+      const binding = this._eventbus.triggerSync('tjsdoc:system:ast:scope:binding:find', this._ast,
+       targetVariableName);
 
-      // Search for an existing variable doc with the same name.
-      const existingVarDoc = this._docDB.find({ category: 'ModuleVariable', name: targetVariableName, filePath });
+      const docID = binding && binding.source === null ? this._findDeclarationDocID(binding) : void 0;
+
+      const existingVarDoc = docID !== void 0 ? this._docDB.find({ __docId__: docID, category: 'ModuleVariable' })[0] :
+       void 0;
 
       // If there is an existing variable doc update it with the export data.
-      if (Array.isArray(existingVarDoc) && existingVarDoc.length > 0)
+      if (existingVarDoc)
       {
-         existingVarDoc[0].description += `\n${virtualVarDoc._value.description}`;
-         existingVarDoc[0].export = true;
-         existingVarDoc[0].importStyle = isDefaultExport ? targetVariableName : `{${targetVariableName}}`;
-         existingVarDoc[0].type = { types: [`${filePath}~${targetClassName}`] };
-         existingVarDoc[0].ignore = false;
+         existingVarDoc.description += `\n${virtualVarDoc._value.description}`;
+         existingVarDoc.type = { types: [`${filePath}~${targetClassName}`] };
+
+         this._addExportedAs(existingVarDoc, isDefaultExport ? 'default' : targetVariableName,
+          isDefaultExport ? targetVariableName : `{${targetVariableName}}`);
       }
       else
       {
-         virtualVarDoc._value.export = true;
-         virtualVarDoc._value.importStyle = isDefaultExport ? targetVariableName : `{${targetVariableName}}`;
+         this._addExportedAs(virtualVarDoc._value, isDefaultExport ? 'default' : targetVariableName,
+          isDefaultExport ? targetVariableName : `{${targetVariableName}}`);
+
          virtualVarDoc._value.type = { types: [`${filePath}~${targetClassName}`] };
 
          // No existing variable doc has been found, so insert the exported virtual variable doc.
@@ -1188,3 +2504,99 @@ export default class DocGenerator
  * @ignore
  */
 const s_ALREADY = Symbol('already');
+
+/**
+ * Defines the module level declaration doc object categories stored in the export table.
+ * @type {Set<string>}
+ * @ignore
+ */
+const s_DECLARATION_CATEGORIES = new Set(['ModuleClass', 'ModuleFunction', 'ModuleVariable']);
+
+/**
+ * Defines the doc object fields with type and description data; e.g. `params` or `return`.
+ * @type {string[]}
+ * @ignore
+ */
+const s_DOC_TYPE_FIELDS = ['emits', 'params', 'properties', 'return', 'throws', 'type'];
+
+/**
+ * Gets all import styles of an exported doc object; `importStyles` when exported under several names otherwise
+ * `importStyle`.
+ *
+ * @param {DocObject}   doc - An exported doc object.
+ *
+ * @returns {string[]} import styles.
+ * @ignore
+ */
+const s_IMPORT_STYLES = (doc) =>
+{
+   if (Array.isArray(doc.importStyles)) { return doc.importStyles; }
+
+   return typeof doc.importStyle === 'string' ? [doc.importStyle] : [];
+};
+
+/**
+ * Defines the module level doc object categories that may be linked by re-exports.
+ * @type {Set<string>}
+ * @ignore
+ */
+const s_REEXPORT_CATEGORIES = new Set(['ModuleAssignment', 'ModuleClass', 'ModuleFunction', 'ModuleReExport',
+ 'ModuleVariable']);
+
+/**
+ * Reconciles the type of a merged accessor doc object from the given candidate types. All distinct types other than
+ * `*` are combined; if there are none the first candidate type is returned.
+ *
+ * @param {Array<ParsedParam|undefined>}  candidates - The getter type / return and the setter type / first parameter.
+ *
+ * @returns {ParsedParam|undefined} The reconciled type.
+ * @ignore
+ */
+const s_RECONCILE_ACCESSOR_TYPE = (candidates) =>
+{
+   const types = [];
+
+   let first = void 0;
+
+   for (const candidate of candidates)
+   {
+      if (!candidate || !Array.isArray(candidate.types)) { continue; }
+
+      if (!first) { first = candidate; }
+
+      for (const type of candidate.types)
+      {
+         if (type !== '*' && !types.includes(type)) { types.push(type); }
+      }
+   }
+
+   if (types.length === 0) { return first; }
+
+   const result = { types };
+
+   if (first.nullable) { result.nullable = first.nullable; }
+
+   return result;
+};
+
+/**
+ * Matches the names in a type expression including dotted names; e.g. `Foo` and `ns.Bar` from
+ * `Array<Foo|ns.Bar>`. A name which is part of a longname is matched with the preceding character in the first
+ * capture group, so it can be skipped; lookbehind assertions are not supported by all Node versions.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_TYPE_NAME = /([\w$.~/#-])??([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)(?![\w$~/.])/g;
+
+/**
+ * @typedef {object} ImportEntry
+ * @property {string}         imported - The imported name; `default` for default imports or `*` for namespace imports.
+ * @property {string}         source - The source module path of the import / `require`.
+ * @property {string|null}    filePath - The resolved file path of the source module or null for external packages.
+ */
+
+/**
+ * @typedef {SerializedDocs} SerializedModuleDocs
+ * @property {number}                     [moduleID] - The file local doc ID of the module doc object.
+ * @property {Object<string, ImportEntry>} importTable - The import bindings of the module by local name.
+ */
@@ -0,0 +1,207 @@
+/**
+ * Serializes doc objects from a single traversal to plain data with file local doc IDs and deserializes that data
+ * assigning new doc IDs. The doc IDs retrieved during a traversal are replaced by their index, so when deserializing
+ * the same number of doc IDs are retrieved from `tjsdoc:data:docdb:current:id:increment:get` keeping doc IDs
+ * consistent with a serial traversal. This is used by `ParallelDocGenerator` to transfer doc objects from worker
+ * threads and by `DocCache` to store doc objects on disk. Errors and invalid code data logged during a traversal are
+ * also serialized, so they may be logged again on the main thread or on a cache hit.
+ */
+export default class DocSerializer
+{
+   /**
+    * Deserializes data created by `serialize` assigning new doc IDs from the main DocDB counter. Any module doc ID is
+    * also replaced by the new doc ID.
+    *
+    * @param {SerializedDocs} data - Serialized doc objects.
+    *
+    * @param {EventProxy}     eventbus - An event proxy for the plugin eventbus.
+    *
+    * @returns {DocObject[]} The deserialized doc objects.
+    */
+   static deserialize(data, eventbus)
+   {
+      const docIDs = [];
+
+      for (let cntr = 0; cntr < data.docIDCount; cntr++)
+      {
+         docIDs.push(eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get'));
+      }
+
+      for (const docObject of data.docObjects)
+      {
+         docObject.__docId__ = docIDs[docObject.__docId__];
+
+         if (typeof docObject.__moduleID__ === 'number') { docObject.__moduleID__ = docIDs[docObject.__moduleID__]; }
+      }
+
+      if (typeof data.moduleID === 'number') { data.moduleID = docIDs[data.moduleID]; }
+
+      return data.docObjects;
+   }
+
+   /**
+    * Recreates an error serialized by `serializeError`.
+    *
+    * @param {SerializedError}   data - Serialized error data.
+    *
+    * @returns {Error} The recreated error.
+    */
+   static deserializeError(data)
+   {
+      const error = new Error(data.message);
+
+      error.name = data.name;
+      error.stack = data.stack;
+
+      return error;
+   }
+
+   /**
+    * Recreates invalid code data serialized by `serializeInvalidCode` for `tjsdoc:system:invalid:code:add`.
+    *
+    * @param {object}   data - Serialized invalid code data.
+    *
+    * @returns {{filePath: string, node: (ASTNode|undefined), fatalError: Error}} The invalid code data.
+    */
+   static deserializeInvalidCode(data)
+   {
+      return { filePath: data.filePath, node: data.node, fatalError: DocSerializer.deserializeError(data.fatalError) };
+   }
+
+   /**
+    * Serializes the doc objects in the given DocDB with the given doc IDs replacing doc IDs with file local doc IDs.
+    *
+    * @param {DocDB}    docDB - The DocDB containing the doc objects.
+    *
+    * @param {number[]} docIDs - All doc IDs retrieved during a traversal in order.
+    *
+    * @param {number}   [moduleID] - The doc ID of the module doc object which is serialized as a file local doc ID.
+    *
+    * @returns {SerializedDocs} Serialized doc objects.
+    */
+   static serialize(docDB, docIDs, moduleID = void 0)
+   {
+      const localIDs = new Map(docIDs.map((docID, index) => [docID, index]));
+
+      const docObjects = [];
+
+      for (const docID of docIDs)
+      {
+         for (const docObject of docDB.find({ __docId__: docID }))
+         {
+            const data = {};
+
+            // Skip internal DocDB record properties.
+            for (const key of Object.keys(docObject))
+            {
+               if (!key.startsWith('___')) { data[key] = docObject[key]; }
+            }
+
+            const copy = JSON.parse(JSON.stringify(data));
+
+            copy.__docId__ = localIDs.get(docID);
+
+            if (localIDs.has(copy.__moduleID__)) { copy.__moduleID__ = localIDs.get(copy.__moduleID__); }
+
+            docObjects.push(copy);
+         }
+      }
+
+      const result = { docIDCount: docIDs.length, docObjects };
+
+      if (localIDs.has(moduleID)) { result.moduleID = localIDs.get(moduleID); }
+
+      return result;
+   }
+
+   /**
+    * Serializes an error as plain data.
+    *
+    * @param {Error}    error - The error to serialize.
+    *
+    * @returns {SerializedError} Serialized error data.
+    */
+   static serializeError(error)
+   {
+      return error instanceof Error ? { name: error.name, message: error.message, stack: error.stack } :
+       { name: 'Error', message: String(error), stack: void 0 };
+   }
+
+   /**
+    * Serializes invalid code data logged by `tjsdoc:system:invalid:code:add` as plain data. The AST node is sanitized
+    * leaving only comments and range data.
+    *
+    * @param {{filePath: string, node: (ASTNode|undefined), fatalError: Error}} data - The invalid code data.
+    *
+    * @param {EventProxy}     eventbus - An event proxy for the plugin eventbus.
+    *
+    * @returns {object} Serialized invalid code data.
+    */
+   static serializeInvalidCode({ filePath, node, fatalError } = {}, eventbus)
+   {
+      return {
+         filePath,
+         node: eventbus.triggerSync('tjsdoc:system:ast:node:sanitize:children', node),
+         fatalError: DocSerializer.serializeError(fatalError)
+      };
+   }
+
+   /**
+    * Wraps a deserialized doc object as a static doc, so it may be inserted with `DocDB.insertStaticDoc` through any
+    * doc filter.
+    *
+    * @param {DocObject}   docObject - A deserialized doc object.
+    *
+    * @returns {StaticDoc} A static doc wrapping the doc object.
+    */
+   static toStaticDoc(docObject)
+   {
+      return new SerializedStaticDoc(docObject);
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Provides the static doc accessors for a deserialized doc object.
+ *
+ * @ignore
+ */
+class SerializedStaticDoc
+{
+   /**
+    * Instantiates SerializedStaticDoc.
+    *
+    * @param {DocObject}   docObject - A deserialized doc object.
+    */
+   constructor(docObject)
+   {
+      /**
+       * The doc object.
+       * @type {DocObject}
+       * @private
+       */
+      this._value = docObject;
+   }
+
+   /**
+    * Returns the doc object.
+    *
+    * @returns {DocObject} The doc object.
+    */
+   get value() { return this._value; }
+}
+
+/**
+ * @typedef {object} SerializedError
+ * @property {string}   name - The error name.
+ * @property {string}   message - The error message.
+ * @property {string}   [stack] - The error stack.
+ */
+
+/**
+ * @typedef {object} SerializedDocs
+ * @property {number}   docIDCount - The number of doc IDs retrieved during the traversal.
+ * @property {object[]} docObjects - The serialized doc objects with file local doc IDs.
+ * @property {number}   [moduleID] - The file local doc ID of the module doc object.
+ */
@@ -0,0 +1,277 @@
+import os              from 'os';
+import path            from 'path';
+import { Worker }      from 'worker_threads';
+
+import DocGenerator    from './DocGenerator.js';
+import DocSerializer   from './DocSerializer.js';
+
+/**
+ * Parallel doc generator. Shards main source files across worker threads where each worker runs `DocGenerator` on
+ * a local DocDB and sends the serialized doc objects back to the main thread. The doc objects are then merged into
+ * the target DocDB in the order of the given file paths.
+ *
+ * Each worker creates a local plugin eventbus loading the given serializable plugin configs. Plugin instances and the
+ * main eventbus can not be transferred to worker threads, so each worker creates its own eventbus and plugin manager
+ * with `backbone-esnext-events` and `typhonjs-plugin-manager` just as TJSDoc does on the main thread. These plugins
+ * must provide the same event bindings as the main eventbus used in serial doc generation including
+ * `tjsdoc:system:parser:code:file:parse`, `tjsdoc:system:path:resolver:create`, `tjsdoc:system:docdb:create` and
+ * `typhonjs:ast:walker:traverse`. The DocDB ID counter, `tjsdoc:data:docdb:current:id:increment:get`, and
+ * `tjsdoc:system:invalid:code:add` are provided by the worker itself and must not be bound by the given plugins.
+ *
+ * Plugin configs with an `instance` are rejected as they can not be loaded by worker threads; each plugin must be
+ * loadable by `name` / `target`. Each worker loads separate plugin instances, so a plugin which gathers state from
+ * the doc generation events of all files, for instance to report on the main eventbus, only gathers the state of the
+ * files processed by that worker. Such plugins are not supported in parallel doc generation; use `DocGenerator`
+ * serially instead.
+ *
+ * Doc IDs remain consistent with a serial run. Each worker counts the IDs retrieved per file and the doc objects
+ * store IDs local to the file. When merging in file order the main thread retrieves the same number of IDs from
+ * `tjsdoc:data:docdb:current:id:increment:get` on the main eventbus and remaps the local IDs. The workers do not
+ * resolve doc objects against other files, so after merging each file the main thread resolves its doc objects with
+ * `DocGenerator.resolveModule` and links re-exports just as a serial run does after each traversal.
+ *
+ * Doc objects are transferred from worker threads in the format created by `DocSerializer`. A `docFilter` function can
+ * not be passed to worker threads, so it is invoked on the main thread as each doc object is merged into the target
+ * DocDB.
+ *
+ * @example
+ * await new ParallelDocGenerator({ filePaths, docDB, eventbus, plugins }).traverseAsync();
+ */
+export default class ParallelDocGenerator
+{
+   /**
+    * Instantiates ParallelDocGenerator for a single parallel traversal of the given files.
+    *
+    * @param {string[]}       filePaths - The file paths of the source code to process.
+    *
+    * @param {DocDB}          docDB - The target DocDB.
+    *
+    * @param {EventProxy}     eventbus - An event proxy for the plugin eventbus.
+    *
+    * @param {PluginConfig[]} plugins - Serializable plugin configs loaded into the eventbus of each worker; configs
+    *                                   with an `instance` are rejected.
+    *
+    * @param {string}         [handleError='throw'] - Determines how to handle errors. Options are `log` and `throw`
+    *                                                 with the default being to throw any errors encountered.
+    *
+    * @param {number}         [workerCount] - The number of worker threads; defaults to the number of CPUs.
+    *
+    * @param {function}       [docFilter] - An optional function invoked with the static doc of each merged doc
+    *                                         object before inserting into the target DocDB.
+    */
+   constructor({ filePaths, docDB, eventbus, plugins, handleError = 'throw', workerCount = os.cpus().length,
+    docFilter = void 0 } = {})
+   {
+      if (!Array.isArray(filePaths)) { throw new TypeError(`'filePaths' is not an 'array'.`); }
+      if (!Array.isArray(plugins)) { throw new TypeError(`'plugins' is not an 'array'.`); }
+
+      for (const plugin of plugins)
+      {
+         if (plugin !== null && typeof plugin === 'object' && plugin.instance !== void 0)
+         {
+            throw new TypeError(
+             `'plugins' entry '${plugin.name}' has an 'instance' which can not be loaded by worker threads.`);
+         }
+      }
+
+      if (!Number.isInteger(workerCount) || workerCount < 1)
+      {
+         throw new TypeError(`'workerCount' is not a positive 'integer'.`);
+      }
+
+      if (docFilter !== void 0 && typeof docFilter !== 'function')
+      {
+         throw new TypeError(`'docFilter' is not a 'function'.`);
+      }
+
+      /**
+       * The file paths of the source code to process.
+       * @type {string[]}
+       * @private
+       */
+      this._filePaths = filePaths;
+
+      /**
+       * The target DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._docDB = docDB;
+
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       * @private
+       */
+      this._eventbus = eventbus;
+
+      /**
+       * Serializable plugin configs loaded into the eventbus of each worker.
+       * @type {PluginConfig[]}
+       * @private
+       */
+      this._plugins = plugins;
+
+      /**
+       * Determines how to handle errors. Options are `log` and `throw` with the default being to throw any errors
+       * encountered.
+       * @type {string}
+       * @private
+       */
+      this._handleError = handleError;
+
+      /**
+       * An optional function invoked with the static doc of each merged doc object before inserting into the target
+       * DocDB.
+       * @type {function}
+       * @private
+       */
+      this._docFilter = docFilter;
+
+      /**
+       * The number of worker threads; never more than the number of files.
+       * @type {number}
+       * @private
+       */
+      this._workerCount = Math.min(workerCount, Math.max(filePaths.length, 1));
+
+      /**
+       * Stores worker results by file index until they are merged in file order.
+       * @type {Array<WorkerResult|undefined>}
+       * @private
+       */
+      this._results = new Array(filePaths.length);
+
+      /**
+       * The file index of the next worker result to merge.
+       * @type {number}
+       * @private
+       */
+      this._nextMergeIndex = 0;
+   }
+
+   /**
+    * Shards the files across worker threads and merges all doc objects into the target DocDB.
+    */
+   async traverseAsync()
+   {
+      const workerData =
+      {
+         babelRegister: Object.keys(require.cache).some((modulePath) => modulePath.includes(
+          `${path.sep}babel-register${path.sep}`)),
+         handleError: this._handleError,
+         plugins: this._plugins
+      };
+
+      const workers = [];
+
+      for (let cntr = 0; cntr < this._workerCount; cntr++)
+      {
+         workers.push(new Worker(path.resolve(__dirname, 'ParallelDocWorkerBootstrap.js'), { workerData }));
+      }
+
+      let nextFileIndex = 0;
+
+      try
+      {
+         // Each worker pulls the next file to process until all files are processed.
+         await Promise.all(workers.map(async (worker) =>
+         {
+            while (nextFileIndex < this._filePaths.length)
+            {
+               const index = nextFileIndex++;
+
+               this._results[index] = await s_REQUEST(worker, { index, filePath: this._filePaths[index] });
+
+               this._mergeResults();
+            }
+         }));
+      }
+      finally
+      {
+         await Promise.all(workers.map((worker) => worker.terminate()));
+      }
+   }
+
+   /**
+    * Merges all available worker results in file order into the target DocDB through any doc filter. `DocSerializer`
+    * remaps the file local doc IDs to doc IDs retrieved from the main DocDB counter. The doc objects of each file are
+    * resolved against the files already merged and re-exports are linked, so the target DocDB matches a serial run.
+    *
+    * @private
+    */
+   _mergeResults()
+   {
+      while (this._nextMergeIndex < this._results.length && this._results[this._nextMergeIndex])
+      {
+         const result = this._results[this._nextMergeIndex];
+
+         // Release the result as it is merged.
+         this._results[this._nextMergeIndex++] = null;
+
+         DocGenerator.mergeSerializedDocs(this._docDB, result, this._eventbus, this._docFilter);
+
+         for (const invalidCode of result.invalidCode)
+         {
+            this._eventbus.trigger('tjsdoc:system:invalid:code:add', DocSerializer.deserializeInvalidCode(invalidCode));
+         }
+
+         DocGenerator.linkReExports(this._docDB);
+      }
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Posts a file to process to the given worker and resolves with the worker result. Rejects if the worker errors or
+ * exits before posting the result.
+ *
+ * @param {Worker}   worker - The target worker.
+ *
+ * @param {{index: number, filePath: string}}   message - The file to process.
+ *
+ * @returns {Promise<WorkerResult>} The worker result.
+ * @ignore
+ */
+const s_REQUEST = (worker, message) => new Promise((resolve, reject) =>
+{
+   const onError = (error) =>
+   {
+      removeListeners();
+      reject(error);
+   };
+
+   const onExit = (exitCode) =>
+   {
+      removeListeners();
+      reject(new Error(`Worker exited with code '${exitCode}' before posting the result for '${message.filePath}'.`));
+   };
+
+   const onMessage = (result) =>
+   {
+      removeListeners();
+
+      if (result.error) { reject(DocSerializer.deserializeError(result.error)); }
+      else { resolve(result); }
+   };
+
+   const removeListeners = () =>
+   {
+      worker.removeListener('error', onError);
+      worker.removeListener('exit', onExit);
+      worker.removeListener('message', onMessage);
+   };
+
+   worker.on('error', onError);
+   worker.on('exit', onExit);
+   worker.on('message', onMessage);
+
+   worker.postMessage(message);
+});
+
+/**
+ * @typedef {SerializedModuleDocs} WorkerResult
+ * @property {number}   index - The file index.
+ * @property {object[]} invalidCode - Any invalid code data logged when processing the file.
+ */
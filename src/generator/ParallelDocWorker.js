@@ -0,0 +1,108 @@
+import { parentPort, workerData }   from 'worker_threads';
+
+import Events                       from 'backbone-esnext-events';
+import PluginManager                from 'typhonjs-plugin-manager';
+
+import DocGenerator                 from './DocGenerator.js';
+import DocSerializer                from './DocSerializer.js';
+
+/**
+ * Worker thread script for `ParallelDocGenerator` loaded by `ParallelDocWorkerBootstrap`. A local plugin eventbus is
+ * created loading the plugin configs passed in `workerData`. Each message received from the main thread contains a
+ * file path to process with `DocGenerator` into a new local DocDB. The resulting doc objects are serialized by
+ * `DocSerializer` with doc IDs local to the file and posted back to the main thread along with any invalid code
+ * logged. The doc objects are not resolved against other files as the local DocDB only contains the file processed;
+ * they are resolved by the main thread when merged.
+ */
+
+/**
+ * The local plugin eventbus.
+ * @type {TyphonEvents}
+ * @ignore
+ */
+const s_EVENTBUS = new Events();
+
+// The local plugin manager adds `plugins:*` event bindings to the local eventbus.
+new PluginManager({ eventbus: s_EVENTBUS });
+
+/**
+ * Stores the doc ID count for the file being processed.
+ * @type {number}
+ * @ignore
+ */
+let s_DOC_ID_COUNT = 0;
+
+/**
+ * Stores any invalid code logged for the file being processed.
+ * @type {object[]}
+ * @ignore
+ */
+let s_INVALID_CODE = [];
+
+// Provides file local doc IDs which are remapped by the main thread.
+s_EVENTBUS.on('tjsdoc:data:docdb:current:id:increment:get', () => s_DOC_ID_COUNT++);
+
+// Collects invalid code to log on the main thread.
+s_EVENTBUS.on('tjsdoc:system:invalid:code:add', ({ filePath, node, fatalError } = {}) =>
+{
+   s_INVALID_CODE.push(DocSerializer.serializeInvalidCode({ filePath, node, fatalError }, s_EVENTBUS));
+});
+
+/**
+ * Resolves when all plugins are loaded.
+ * @type {Promise}
+ * @ignore
+ */
+const s_PLUGINS_LOADED = s_EVENTBUS.triggerAsync('plugins:async:add:all', workerData.plugins);
+
+parentPort.on('message', async ({ index, filePath }) =>
+{
+   s_DOC_ID_COUNT = 0;
+   s_INVALID_CODE = [];
+
+   try
+   {
+      await s_PLUGINS_LOADED;
+
+      let ast;
+
+      try
+      {
+         ast = s_EVENTBUS.triggerSync('tjsdoc:system:parser:code:file:parse', filePath);
+      }
+      catch (fatalError)
+      {
+         if (workerData.handleError !== 'log') { throw fatalError; }
+
+         s_INVALID_CODE.push(DocSerializer.serializeInvalidCode({ filePath, fatalError }, s_EVENTBUS));
+
+         // No doc IDs are retrieved for a file which fails to parse.
+         s_POST_RESULT(index, { docIDCount: 0, docObjects: [] });
+         return;
+      }
+
+      const docDB = s_EVENTBUS.triggerSync('tjsdoc:system:docdb:create');
+      const pathResolver = s_EVENTBUS.triggerSync('tjsdoc:system:path:resolver:create', filePath);
+
+      s_POST_RESULT(index, new DocGenerator({ ast, docDB, pathResolver, eventbus: s_EVENTBUS,
+       handleError: workerData.handleError }).traverseSerialized());
+   }
+   catch (err)
+   {
+      parentPort.postMessage({ index, error: DocSerializer.serializeError(err) });
+   }
+});
+
+/**
+ * Posts the serialized doc objects generated for the file being processed along with any invalid code logged to the
+ * main thread.
+ *
+ * @param {number}                  index - The file index.
+ *
+ * @param {SerializedModuleDocs}    data - The serialized doc objects.
+ * @ignore
+ */
+const s_POST_RESULT = (index, data) =>
+{
+   parentPort.postMessage(Object.assign({ index, invalidCode: s_INVALID_CODE }, data));
+};
@@ -0,0 +1,11 @@
+/**
+ * Worker thread entry point for `ParallelDocGenerator`. This file is loaded directly by Node in the worker thread, so
+ * it is written in CommonJS. When the main thread runs from source with `babel-register` the worker thread also
+ * requires `babel-register` before loading `ParallelDocWorker`.
+ */
+
+const { workerData } = require('worker_threads');
+
+if (workerData.babelRegister) { require('babel-register'); }
+
+require('./ParallelDocWorker.js');
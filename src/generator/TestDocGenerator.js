@@ -1,26 +1,57 @@
-import * as Docs  from '../doc/';
+import babelGenerator  from 'babel-generator';
+import fs              from 'fs';
+
+import * as Docs       from '../doc/';
+
+import DocSerializer   from './DocSerializer.js';
 
 /**
- * Test doc generator. Provides static doc object generation for test files inserting into the given DocDB.
+ * Test doc generator. Provides static doc object generation for test files inserting into the given DocDB. Each
+ * traversal is performed by a separate TestDocGenerator instance which holds all state for the traversal. The static
+ * `resetAndTraverse` remains as a compatibility wrapper which creates an instance per invocation. An optional
+ * `DocCache` may be provided to read / write the doc objects generated per test file.
+ *
+ * TestDocGenerator is much simpler that DocGenerator. Mocha tests are parsed by default and Jest tests when the test
+ * type is `jest`.
+ *
+ * Mocha functions invoked are processed: 'context', 'describe', 'it', 'suite', 'test' and the hooks 'after',
+ * 'afterEach', 'before', 'beforeEach', 'setup', 'suiteSetup', 'suiteTeardown', 'teardown'.
+ *
+ * The `.only`, `.skip` and `.todo` variants along with prefixed aliases such as `xit`, `xdescribe` or Jest `fit` are
+ * processed with a test doc `status` of `only`, `skip` or `pending`. Tests without a callback are also `pending`.
+ *
+ * Jest functions invoked are processed: 'describe', 'it', 'test', 'describe.each', 'it.each', 'test.each' and the hooks
+ * 'afterAll', 'afterEach', 'beforeAll', 'beforeEach'. Snapshot matchers such as `expect(tree).toMatchSnapshot()` are
+ * processed as snapshot markers of the enclosing test. The `.each` tables of array / object literals or tagged
+ * templates are expanded to a test doc per row with the title interpolated from the row values which is a member of
+ * the test doc of the `.each` call.
  *
- * TestDocGenerator is much simpler that DocGenerator. Presently only parsing of Mocha tests are provided.
+ * Lifecycle hooks create test docs with the `hook` qualifier which are members of the enclosing `describe` test doc.
+ * The description is from the leading comment or the hook title / name and the source line range is available from
+ * `lineNumber` / `lineNumberEnd`.
  *
- * Mocha functions invoked are processed: 'context', 'describe', 'it', 'suite', 'test'.
+ * Test docs are members of the test file and any enclosing test docs by test names which are slugified test titles
+ * unique among sibling tests; e.g. `test/AddTest.js~add.adds-1-1`. The memberof chains are stable across
+ * regeneration and incremental builds.
  *
  * @example
- * TestDocGenerator.resetAndTraverse(ast, docDB, pathResolver, eventbus);
+ * new TestDocGenerator({ ast, docDB, pathResolver, eventbus }).traverse();
+ *
+ * // Compatibility wrapper
+ * TestDocGenerator.resetAndTraverse({ ast, docDB, pathResolver, eventbus });
  */
 export default class TestDocGenerator
 {
    /**
-    * Test type. For now only `mocha` is supported.
+    * Test type; `jest` or `mocha` which is the default.
     * @type {string}
     */
    static _type = void 0;
 
    /**
     * Sets any test type from the target project TJSDocConfig instance. By setting the test type in `onPreGenerate`
-    * it is possible to provide the same method signature for `resetAndTraverse` as `DocGenerator`.
+    * it is possible to provide the same method signature for `resetAndTraverse` as `DocGenerator`. The test type is
+    * the default for all TestDocGenerator instances.
     *
     * @param {PluginEvent} ev - The plugin event.
     */
@@ -30,7 +61,20 @@ export default class TestDocGenerator
    }
 
    /**
-    * Resets TestDocGenerator and traverses code for doc object / docDB insertion.
+    * Resets TestDocGenerator and traverses code for doc object / docDB insertion. This is a compatibility wrapper which
+    * creates a new TestDocGenerator instance for the given AST and performs the traversal.
+    *
+    * @param {object}   options - The options passed to the TestDocGenerator constructor.
+    *
+    * @see {@link TestDocGenerator#constructor}
+    */
+   static resetAndTraverse(options = {})
+   {
+      new TestDocGenerator(options).traverse();
+   }
+
+   /**
+    * Instantiates TestDocGenerator for a single traversal of the given AST.
     *
     * @param {AST}            ast - AST of test code.
     *
@@ -45,14 +89,20 @@ export default class TestDocGenerator
     *
     * @param {function}       [docFilter] - An optional function invoked with the static doc before inserting into the
     *                                       given DocDB.
+    *
+    * @param {string}         [type] - Test type; defaults to the test type set in `onRuntimePreGenerateAsync`.
+    *
+    * @param {DocCache}       [cache] - An optional cache to read / write the doc objects generated for the test code.
     */
-   static resetAndTraverse({ ast, docDB, pathResolver, eventbus, handleError = 'throw', docFilter = void 0 } = {})
+   constructor({ ast, docDB, pathResolver, eventbus, handleError = 'throw', docFilter = void 0,
+    type = TestDocGenerator._type, cache = void 0 } = {})
    {
       if (typeof ast !== 'object') { throw new TypeError(`'ast' is not an 'object'.`); }
 
       /**
        * AST of test code.
        * @type {AST}
+       * @private
        */
       this._ast = ast;
 
@@ -66,12 +116,14 @@ export default class TestDocGenerator
       /**
        * Path resolver associated with test code.
        * @type {PathResolver}
+       * @private
        */
       this._pathResolver = pathResolver;
 
       /**
        * Stores the plugin eventbus proxy.
        * @type {EventProxy}
+       * @private
        */
       this._eventbus = eventbus;
 
@@ -90,17 +142,111 @@ export default class TestDocGenerator
        */
       this._docFilter = docFilter;
 
-      // Gets the current global / main plugin DocDB counter doc ID then increment it.
-      const docID = eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get');
+      /**
+       * Test type; `jest` or `mocha` which is the default.
+       * @type {string}
+       * @private
+       */
+      this._type = type;
+
+      /**
+       * Optional cache to read / write the doc objects generated for the test code.
+       * @type {DocCache}
+       * @private
+       */
+      this._cache = cache;
+
+      /**
+       * Stores all doc IDs retrieved during traversal in order.
+       * @type {number[]}
+       * @private
+       */
+      this._docIDs = [];
 
       /**
        * The associated ES file / module ID.
        * @type {number}
+       * @private
        */
+      this._moduleID = void 0;
+
+      /**
+       * Stores the test names in use by the parent test node or the AST for top level tests.
+       * @type {Map<ASTNode|AST, Set<string>>}
+       * @private
+       */
+      this._testNames = new Map();
+
+      /**
+       * Indicates that traversal has been invoked.
+       * @type {boolean}
+       * @private
+       */
+      this._traversed = false;
+   }
+
+   /**
+    * Traverses test code for doc object / docDB insertion. A TestDocGenerator instance may only be traversed once.
+    *
+    * If a cache is available and has an entry for the test code the cached doc objects are inserted without traversal
+    * and any invalid code and warnings logged when the entry was stored are logged again otherwise the doc objects
+    * generated and the diagnostics logged are stored in the cache.
+    */
+   traverse()
+   {
+      if (this._traversed) { throw new Error(`'traverse' may only be invoked once.`); }
+
+      this._traversed = true;
+
+      if (this._cache)
+      {
+         // The doc filter and plugin options also affect the doc objects generated.
+         const cacheKey = this._cache.createKey(fs.readFileSync(this._pathResolver.absolutePath, 'utf8'), {
+            generator: 'TestDocGenerator',
+            filePath: this._pathResolver.filePath,
+            type: this._type,
+            docFilter: this._docFilter,
+            pluginOptions: this._eventbus.triggerSync('tjsdoc:data:docs:plugin:options:get')
+         });
+
+         const cachedDocs = this._cache.get(cacheKey);
+
+         if (cachedDocs)
+         {
+            for (const docObject of DocSerializer.deserialize(cachedDocs, this._eventbus))
+            {
+               this._insertStaticDoc(DocSerializer.toStaticDoc(docObject));
+            }
+
+            this._cache.replayDiagnostics(cachedDocs, this._eventbus);
+            return;
+         }
+
+         const diagnostics = this._cache.recordDiagnostics(this._eventbus, () => this._generate());
+
+         this._cache.set(cacheKey, Object.assign(DocSerializer.serialize(this._docDB, this._docIDs), diagnostics));
+      }
+      else
+      {
+         this._generate();
+      }
+   }
+
+   /**
+    * Generates all test doc objects of the test code.
+    *
+    * @private
+    */
+   _generate()
+   {
+      // Gets the current global / main plugin DocDB counter doc ID then increment it.
+      const docID = this._getNextDocID();
+
       this._moduleID = docID;
 
       // Test file doc
-      const staticDoc = Docs.ModuleTestFileDoc.create(docID, ast, ast, pathResolver, [], this._eventbus);
+      const staticDoc = Docs.ModuleTestFileDoc.create(docID, this._ast, this._ast, this._pathResolver, [],
+       this._eventbus);
 
       // Insert test file doc and reset.
       this._insertStaticDoc(staticDoc);
@@ -109,16 +255,92 @@ export default class TestDocGenerator
    }
 
    /**
-    * Gets a unique id.
+    * Creates and inserts a test doc for the given test node. Any leading comments of the comment node are parsed for
+    * doc tags.
+    *
+    * @param {ASTNode}  testNode - target test node.
+    *
+    * @param {string}   name - test function name used when the test title has no slug characters.
+    *
+    * @param {ASTNode}  [commentNode] - node with the leading comments of the test.
     *
-    * @returns {number} unique id.
     * @private
     */
-   static _getUniqueId()
+   _createTestDoc(testNode, name, commentNode = void 0)
    {
-      if (!this._sequence) { /** @type {number} */ this._sequence = 0; }
+      let tags = [];
 
-      return this._sequence++;
+      if (commentNode && commentNode.leadingComments && commentNode.leadingComments.length)
+      {
+         const comment = commentNode.leadingComments[commentNode.leadingComments.length - 1];
+
+         tags = this._eventbus.triggerSync('tjsdoc:system:parser:comment:parse', comment);
+      }
+
+      // The memberof chain of test docs is built from the test names.
+      testNode._tjsdocTestName = this._createTestName(testNode, name);
+
+      // Create the static doc with the next global doc ID and current file / module ID.
+      const staticDoc = Docs.TestDoc.create(this._getNextDocID(), this._moduleID, this._ast, testNode,
+       this._pathResolver, tags, this._eventbus);
+
+      // Insert test doc and reset.
+      this._insertStaticDoc(staticDoc);
+   }
+
+   /**
+    * Creates a test name which is stable across regeneration from the slugified test title or the test function name
+    * when the title has no slug characters. Test names colliding with a sibling test name are suffixed with `-2`,
+    * `-3`, etc. in source order; e.g. `describe('add')` -> `add` and a second `it('adds 1 + 1')` -> `adds-1-1-2`.
+    *
+    * @param {ASTNode}  testNode - target test node.
+    *
+    * @param {string}   name - test function name.
+    *
+    * @returns {string} The test name used in memberof chains.
+    * @private
+    */
+   _createTestName(testNode, name)
+   {
+      let parent = testNode.parent;
+
+      while (parent && !parent._tjsdocTestName) { parent = parent.parent; }
+
+      // Top level tests are siblings of the AST.
+      const siblingKey = parent || this._ast;
+
+      if (!this._testNames.has(siblingKey)) { this._testNames.set(siblingKey, new Set()); }
+
+      const siblingNames = this._testNames.get(siblingKey);
+
+      const title = testNode._tjsdocTestTitle !== void 0 ? testNode._tjsdocTestTitle :
+       s_TEST_TITLE(testNode.arguments[0]);
+
+      const baseName = s_SLUGIFY(title) || s_SLUGIFY(name);
+
+      let testName = baseName;
+
+      for (let cntr = 2; siblingNames.has(testName); cntr++) { testName = `${baseName}-${cntr}`; }
+
+      siblingNames.add(testName);
+
+      return testName;
+   }
+
+   /**
+    * Gets the next doc ID from the current global / main plugin DocDB counter and stores it as retrieved during
+    * traversal.
+    *
+    * @returns {number} The next doc ID.
+    * @private
+    */
+   _getNextDocID()
+   {
+      const docID = this._eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get');
+
+      this._docIDs.push(docID);
+
+      return docID;
    }
 
    /**
@@ -128,7 +350,7 @@ export default class TestDocGenerator
     *
     * @private
     */
-   static _insertStaticDoc(staticDoc)
+   _insertStaticDoc(staticDoc)
    {
       this._docDB.insertStaticDoc(staticDoc, this._docFilter);
    }
@@ -139,7 +361,7 @@ export default class TestDocGenerator
     * @param {ASTNode} node - target node.
     * @param {ASTNode} parentNode - parent node of target node.
     */
-   static push(node, parentNode)
+   push(node, parentNode)
    {
       if (node[s_ALREADY]) { return; }
 
@@ -147,63 +369,129 @@ export default class TestDocGenerator
 
       Reflect.defineProperty(node, 'parent', { value: parentNode });
 
-      // In the future other testing frameworks may be supported, but only Mocha is presently.
-      this._pushForMocha(node, parentNode);
+      switch (this._type)
+      {
+         case 'jest':
+            this._pushForJest(node);
+            break;
+
+         default:
+            this._pushForMocha(node);
+            break;
+      }
    }
 
    /**
-    * Push node as mocha test code.
+    * Push node as Jest test code.
     *
     * @param {ASTNode} node - target node.
     *
     * @private
     */
-   static _pushForMocha(node)
+   _pushForJest(node)
    {
+      // e.g. `expect(tree).toMatchSnapshot()`
+      if (node.type === 'CallExpression')
+      {
+         const snapshotTitle = s_JEST_SNAPSHOT_TITLE(node);
+
+         if (snapshotTitle)
+         {
+            node._tjsdocTestQualifier = 'snapshot';
+            node._tjsdocTestTitle = snapshotTitle;
+
+            this._createTestDoc(node, 'snapshot');
+         }
+
+         return;
+      }
+
       if (node.type !== 'ExpressionStatement') { return; }
 
       const expression = node.expression;
 
       if (expression.type !== 'CallExpression') { return; }
 
-      // Add a test doc for Mocha function types.
-      switch (expression.callee.name)
-      {
-         case 'describe':
-         case 'it':
-         case 'context':
-         case 'suite':
-         case 'test':
-            break;
+      const test = s_JEST_TEST(expression);
 
-         default:
-            return;
-      }
+      if (!test || (test.qualifier !== 'hook' && !expression.arguments.length)) { return; }
 
       expression[s_ALREADY] = true;
 
       Reflect.defineProperty(expression, 'parent', { value: node });
 
-      let tags = [];
+      const title = test.qualifier === 'hook' ? test.name : s_TEST_TITLE(expression.arguments[0]);
+
+      expression._tjsdocTestQualifier = test.qualifier;
+      expression._tjsdocTestStatus = s_TEST_STATUS(test, expression, test.qualifier);
+      expression._tjsdocTestTitle = title;
+
+      if (test.qualifier === 'hook') { expression._tjsdocTestHook = test.name; }
+
+      this._createTestDoc(expression, test.name, node);
 
-      if (node.leadingComments && node.leadingComments.length)
+      if (!test.table) { return; }
+
+      // Each row of an `.each` table is a member of the `.each` test doc.
+      s_JEST_TABLE_ROWS(test.table).forEach((row, index) =>
       {
-         const comment = node.leadingComments[node.leadingComments.length - 1];
+         const rowNode = {
+            type: 'CallExpression',
+            callee: expression.callee,
+            arguments: expression.arguments,
+            loc: expression.loc,
+            start: expression.start,
+            end: expression.end,
+            _tjsdocTestQualifier: test.qualifier,
+            _tjsdocTestStatus: expression._tjsdocTestStatus,
+            _tjsdocTestTitle: s_JEST_INTERPOLATE_TITLE(title, row, index)
+         };
+
+         Reflect.defineProperty(rowNode, 'parent', { value: expression });
+
+         this._createTestDoc(rowNode, test.name);
+      });
+   }
 
-         tags = this._eventbus.triggerSync('tjsdoc:system:parser:comment:parse', comment);
-      }
+   /**
+    * Push node as mocha test code.
+    *
+    * @param {ASTNode} node - target node.
+    *
+    * @private
+    */
+   _pushForMocha(node)
+   {
+      if (node.type !== 'ExpressionStatement') { return; }
 
-      const uniqueId = this._getUniqueId();
+      const expression = node.expression;
 
-      expression._tjsdocTestId = uniqueId;
-      expression._tjsdocTestName = expression.callee.name + uniqueId;
+      if (expression.type !== 'CallExpression' || !expression.arguments.length) { return; }
 
-      // Create the static doc with the next global doc ID and current file / module ID.
-      const staticDoc = Docs.TestDoc.create(this._eventbus.triggerSync('tjsdoc:data:docdb:current:id:increment:get'),
-       this._moduleID, this._ast, expression, this._pathResolver, tags, this._eventbus);
+      // Add a test doc for Mocha function types including `.only` / `.skip` variants; e.g. `it.skip` or `xit`.
+      const test = s_TEST_FUNCTION(expression.callee, s_MOCHA_QUALIFIERS);
 
-      // Insert test doc and reset.
-      this._insertStaticDoc(staticDoc);
+      if (!test) { return; }
+
+      expression[s_ALREADY] = true;
+
+      Reflect.defineProperty(expression, 'parent', { value: node });
+
+      const qualifier = s_MOCHA_QUALIFIERS[test.name];
+
+      expression._tjsdocTestQualifier = qualifier;
+      expression._tjsdocTestStatus = s_TEST_STATUS(test, expression, qualifier);
+
+      // Hooks may have an optional title; e.g. `beforeEach('create fixtures', fn)`.
+      if (qualifier === 'hook')
+      {
+         const titleNode = expression.arguments[0];
+
+         expression._tjsdocTestHook = test.name;
+         expression._tjsdocTestTitle = titleNode.type === 'StringLiteral' ? titleNode.value : test.name;
+      }
+
+      this._createTestDoc(expression, test.name, node);
    }
 
    /**
@@ -211,7 +499,7 @@ export default class TestDocGenerator
     *
     * @private
     */
-   static _traverse()
+   _traverse()
    {
       this._eventbus.trigger('typhonjs:ast:walker:traverse', this._ast,
       {
@@ -247,3 +535,409 @@ export default class TestDocGenerator
  * @ignore
  */
 const s_ALREADY = Symbol('already');
+
+/**
+ * Provides the test qualifiers of Jest functions.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_JEST_QUALIFIERS = {
+   afterAll: 'hook',
+   afterEach: 'hook',
+   beforeAll: 'hook',
+   beforeEach: 'hook',
+   describe: 'describe',
+   it: 'it',
+   test: 'it'
+};
+
+/**
+ * Provides the Jest snapshot matcher names.
+ * @type {string[]}
+ * @ignore
+ */
+const s_JEST_SNAPSHOT_MATCHERS = ['toMatchInlineSnapshot', 'toMatchSnapshot', 'toThrowErrorMatchingInlineSnapshot',
+ 'toThrowErrorMatchingSnapshot'];
+
+/**
+ * Formats a table value for a Jest title placeholder; `%p`, `%o` and `$variable` pretty format strings with quotes.
+ *
+ * @param {{known: boolean, value: *, code: string}}  data - table value data.
+ *
+ * @param {string}   format - placeholder format character.
+ *
+ * @returns {string} formatted value.
+ * @ignore
+ */
+const s_JEST_FORMAT_VALUE = (data, format) =>
+{
+   if (!data.known) { return data.code; }
+
+   switch (format)
+   {
+      case 's':
+         return String(data.value);
+
+      case 'd':
+      case 'f':
+         return String(Number(data.value));
+
+      case 'i':
+         return String(Math.trunc(Number(data.value)));
+
+      case 'j':
+         return JSON.stringify(data.value);
+
+      default:
+         return typeof data.value === 'string' ? JSON.stringify(data.value) : String(data.value);
+   }
+};
+
+/**
+ * Interpolates a Jest `.each` title with the values of a table row. Array rows replace printf placeholders such as
+ * `%s` / `%p` in order and object / tagged template rows replace `$variable` placeholders. `%#` / `$#` is the row
+ * index.
+ *
+ * @param {string}   title - `.each` title.
+ *
+ * @param {{args: object[], object: ?Object<string, object>}}   row - table row values.
+ *
+ * @param {number}   index - row index.
+ *
+ * @returns {string} interpolated title.
+ * @ignore
+ */
+const s_JEST_INTERPOLATE_TITLE = (title, row, index) =>
+{
+   if (row.object)
+   {
+      return title.replace(/\$(#|[A-Za-z_][\w]*)/g, (match, key) =>
+      {
+         if (key === '#') { return String(index); }
+
+         return key in row.object ? s_JEST_FORMAT_VALUE(row.object[key], '$') : match;
+      });
+   }
+
+   let argIndex = 0;
+
+   return title.replace(/%([%#dfijops])/g, (match, format) =>
+   {
+      if (format === '%') { return '%'; }
+      if (format === '#') { return String(index); }
+
+      return argIndex < row.args.length ? s_JEST_FORMAT_VALUE(row.args[argIndex++], format) : match;
+   });
+};
+
+/**
+ * Gets the title of a Jest snapshot marker; the hint string argument if any otherwise the matcher name. The matcher
+ * must be invoked on the result of `expect(...)` including modifiers like `.not` or `.resolves`.
+ *
+ * @param {ASTNode}  node - A CallExpression node.
+ *
+ * @returns {string|null} snapshot title or null if the node is not a snapshot matcher.
+ * @ignore
+ */
+const s_JEST_SNAPSHOT_TITLE = (node) =>
+{
+   const callee = node.callee;
+
+   if (callee.type !== 'MemberExpression' || callee.computed ||
+    !s_JEST_SNAPSHOT_MATCHERS.includes(callee.property.name))
+   {
+      return null;
+   }
+
+   let target = callee.object;
+
+   while (target.type === 'MemberExpression') { target = target.object; }
+
+   if (target.type !== 'CallExpression' || target.callee.type !== 'Identifier' || target.callee.name !== 'expect')
+   {
+      return null;
+   }
+
+   const hint = node.arguments.find((argument) => argument.type === 'StringLiteral');
+
+   return hint && callee.property.name === 'toMatchSnapshot' ? hint.value : callee.property.name;
+};
+
+/**
+ * Gets the rows of a Jest `.each` table. Array literal rows provide the values in order, object literal rows and
+ * tagged template rows provide the values by name.
+ *
+ * @param {ASTNode}  table - An ArrayExpression or a TemplateLiteral node of a tagged template.
+ *
+ * @returns {Array<{args: object[], object: ?Object<string, object>}>} table rows; empty if not statically known.
+ * @ignore
+ */
+const s_JEST_TABLE_ROWS = (table) =>
+{
+   switch (table.type)
+   {
+      case 'ArrayExpression':
+         return table.elements.map((element) =>
+         {
+            if (element && element.type === 'ArrayExpression')
+            {
+               return { args: element.elements.map(s_JEST_TABLE_VALUE), object: null };
+            }
+
+            if (element && element.type === 'ObjectExpression')
+            {
+               const object = {};
+
+               for (const property of element.properties)
+               {
+                  if (property.type !== 'ObjectProperty' || property.computed) { continue; }
+
+                  const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+
+                  object[key] = s_JEST_TABLE_VALUE(property.value);
+               }
+
+               return { args: [], object };
+            }
+
+            return { args: [s_JEST_TABLE_VALUE(element)], object: null };
+         });
+
+      // e.g. describe.each`a | b | expected ${1} | ${1} | ${2}`
+      case 'TemplateLiteral':
+      {
+         const headings = table.quasis[0].value.cooked.split('|').map((heading) => heading.trim()).filter(
+          (heading) => heading.length);
+
+         const rows = [];
+
+         if (!headings.length) { return rows; }
+
+         for (let cntr = 0; cntr + headings.length <= table.expressions.length; cntr += headings.length)
+         {
+            const object = {};
+
+            headings.forEach((heading, column) =>
+            {
+               object[heading] = s_JEST_TABLE_VALUE(table.expressions[cntr + column]);
+            });
+
+            rows.push({ args: [], object });
+         }
+
+         return rows;
+      }
+   }
+
+   return [];
+};
+
+/**
+ * Gets the value data of a Jest table value node. The value is known for literals otherwise the source code is used.
+ *
+ * @param {ASTNode}  node - A table value node.
+ *
+ * @returns {{known: boolean, value: *, code: string}} value data.
+ * @ignore
+ */
+const s_JEST_TABLE_VALUE = (node) =>
+{
+   if (!node) { return { known: true, value: void 0, code: 'undefined' }; }
+
+   const code = babelGenerator(node).code;
+
+   switch (node.type)
+   {
+      case 'BooleanLiteral':
+      case 'NumericLiteral':
+      case 'StringLiteral':
+         return { known: true, value: node.value, code };
+
+      case 'NullLiteral':
+         return { known: true, value: null, code };
+
+      case 'TemplateLiteral':
+         if (node.expressions.length === 0) { return { known: true, value: node.quasis[0].value.cooked, code }; }
+         break;
+   }
+
+   return { known: false, value: void 0, code };
+};
+
+/**
+ * Gets the Jest function of a test call expression including `.only` / `.skip` / `.todo` variants and `.each` calls;
+ * e.g. `describe.each(table)(title, fn)` or `describe.only.each(table)(title, fn)`.
+ *
+ * @param {ASTNode}  expression - A CallExpression node.
+ *
+ * @returns {{name: string, qualifier: string, status: ?string, table: ?ASTNode}|null} Jest function or null.
+ * @ignore
+ */
+const s_JEST_TEST = (expression) =>
+{
+   const callee = expression.callee;
+
+   let eachNode = null;
+   let table = null;
+
+   switch (callee.type)
+   {
+      // e.g. `describe.each([[1, 2]])('add %i', fn)`
+      case 'CallExpression':
+         eachNode = callee.callee;
+         table = callee.arguments[0];
+         break;
+
+      // e.g. describe.each`a | b ${1} | ${2}`('add $a', fn)
+      case 'TaggedTemplateExpression':
+         eachNode = callee.tag;
+         table = callee.quasi;
+         break;
+   }
+
+   if (!eachNode)
+   {
+      const test = s_TEST_FUNCTION(callee, s_JEST_QUALIFIERS);
+
+      return test ? { name: test.name, qualifier: s_JEST_QUALIFIERS[test.name], status: test.status, table: null } :
+       null;
+   }
+
+   if (eachNode.type !== 'MemberExpression' || eachNode.computed || eachNode.property.name !== 'each' || !table)
+   {
+      return null;
+   }
+
+   const test = s_TEST_FUNCTION(eachNode.object, s_JEST_QUALIFIERS);
+
+   const qualifier = test ? s_JEST_QUALIFIERS[test.name] : void 0;
+
+   return qualifier && qualifier !== 'hook' ? { name: test.name, qualifier, status: test.status, table } : null;
+};
+
+/**
+ * Provides the test qualifiers of Mocha functions.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_MOCHA_QUALIFIERS = {
+   after: 'hook',
+   afterEach: 'hook',
+   before: 'hook',
+   beforeEach: 'hook',
+   context: 'describe',
+   describe: 'describe',
+   it: 'it',
+   setup: 'hook',
+   suite: 'describe',
+   suiteSetup: 'hook',
+   suiteTeardown: 'hook',
+   teardown: 'hook',
+   test: 'it'
+};
+
+/**
+ * Converts a test title to a lowercase slug of ASCII letters / digits separated by `-`; e.g. `Adds 1 + 1` ->
+ * `adds-1-1`.
+ *
+ * @param {string}   title - test title.
+ *
+ * @returns {string} slug which is empty when the title has no ASCII letters / digits.
+ * @ignore
+ */
+const s_SLUGIFY = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Provides the test function names and status of prefixed test function aliases.
+ * @type {Object<string, {name: string, status: string}>}
+ * @ignore
+ */
+const s_TEST_ALIASES = {
+   fdescribe: { name: 'describe', status: 'only' },
+   fit: { name: 'it', status: 'only' },
+   xcontext: { name: 'context', status: 'skip' },
+   xdescribe: { name: 'describe', status: 'skip' },
+   xit: { name: 'it', status: 'skip' },
+   xtest: { name: 'test', status: 'skip' }
+};
+
+/**
+ * Resolves a test function callee to the test function name and status for the given test qualifiers. Identifiers
+ * may be test functions or prefixed aliases; e.g. `it` or `xit`. Member expressions are `.only`, `.skip` and `.todo`
+ * variants; e.g. `it.skip`.
+ *
+ * @param {ASTNode}                 callee - The callee node of a test call expression.
+ *
+ * @param {Object<string, string>}  qualifiers - The test qualifiers by test function name.
+ *
+ * @returns {{name: string, status: ?string}|null} test function or null.
+ * @ignore
+ */
+const s_TEST_FUNCTION = (callee, qualifiers) =>
+{
+   if (callee.type === 'Identifier')
+   {
+      if (qualifiers[callee.name]) { return { name: callee.name, status: null }; }
+
+      const alias = s_TEST_ALIASES[callee.name];
+
+      return alias && qualifiers[alias.name] ? { name: alias.name, status: alias.status } : null;
+   }
+
+   if (callee.type !== 'MemberExpression' || callee.computed || callee.object.type !== 'Identifier') { return null; }
+
+   const qualifier = qualifiers[callee.object.name];
+
+   if (!qualifier || qualifier === 'hook' || !s_TEST_MODIFIERS[callee.property.name]) { return null; }
+
+   return { name: callee.object.name, status: s_TEST_MODIFIERS[callee.property.name] };
+};
+
+/**
+ * Provides the test status of test function modifiers.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_TEST_MODIFIERS = {
+   only: 'only',
+   skip: 'skip',
+   todo: 'pending'
+};
+
+/**
+ * Gets the test status of a test call expression. Tests without a callback are `pending`.
+ *
+ * @param {{name: string, status: ?string}}  test - test function.
+ *
+ * @param {ASTNode}  expression - test call expression.
+ *
+ * @param {string}   qualifier - test qualifier.
+ *
+ * @returns {string|null} test status; `only`, `pending`, `skip` or null.
+ * @ignore
+ */
+const s_TEST_STATUS = (test, expression, qualifier) =>
+{
+   if (test.status) { return test.status; }
+
+   // e.g. `it('does something')`
+   return qualifier === 'it' && expression.arguments.length < 2 ? 'pending' : null;
+};
+
+/**
+ * Gets the title of a test from the first argument; string literals provide the value and any other node such
+ * as a class provides the source code.
+ *
+ * @param {ASTNode}  node - first argument node.
+ *
+ * @returns {string} test title.
+ * @ignore
+ */
+const s_TEST_TITLE = (node) =>
+{
+   if (node.type === 'StringLiteral') { return node.value; }
+
+   if (node.type === 'TemplateLiteral' && node.expressions.length === 0) { return node.quasis[0].value.cooked; }
+
+   return babelGenerator(node).code;
+};
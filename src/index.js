@@ -1,5 +1,6 @@
 import * as Docs           from './doc/';
 
+import DocCache            from './generator/DocCache.js';
 import DocGenerator        from './generator/DocGenerator.js';
 
 // TODO: uncommment the line below to use the old 1-pass algorithm and comment out the line above.
@@ -12,13 +13,18 @@ import ASTUtil             from './parser/ASTUtil.js';
 import CommentParser       from './parser/CommentParser.js';
 import ParamParser         from './parser/ParamParser.js';
 
-export { Docs, DocGenerator, TestDocGenerator };
+export { Docs, DocCache, DocGenerator, TestDocGenerator };
 
 /**
  * Wires up two events to retrieve the Babylon docs on the plugin eventbus.
  *
  * 'tjsdoc:data:docs:all:get': Returns all Babylon docs.
  *
+ * 'tjsdoc:data:docs:plugin:options:get': Returns the plugin options.
+ *
+ * The plugin option `emitterMethods` sets the emitter method names used to infer emitted events and is forwarded to
+ * the param parser plugin.
+ *
  * @param {PluginEvent} ev - The plugin event.
  *
  * @ignore
@@ -26,6 +32,7 @@ export { Docs, DocGenerator, TestDocGenerator };
 export async function onPluginLoad(ev)
 {
    const eventbus = ev.eventbus;
+   const pluginOptions = ev.pluginOptions || {};
 
    // Instances are being loaded into the plugin manager so auto log filtering needs an explicit filter.
    eventbus.trigger('log:filter:add', {
@@ -40,15 +47,29 @@ export async function onPluginLoad(ev)
       { name: 'tjsdoc-comment-parser', instance: new CommentParser() },
       { name: 'tjsdoc-doc-generator', instance: DocGenerator },
       { name: 'tjsdoc-doc-generator-test', instance: TestDocGenerator },
-      { name: 'tjsdoc-param-parser', instance: new ParamParser() }
+      {
+         name: 'tjsdoc-param-parser',
+         instance: new ParamParser(),
+         options: { emitterMethods: pluginOptions.emitterMethods }
+      }
    ]);
 
    // Add event binding to retrieve all Babylon and common doc object generator classes.
    eventbus.on('tjsdoc:data:docs:all:get', () => Docs);
 
+   // Add event binding to retrieve the plugin options which are included in doc cache keys.
+   eventbus.on('tjsdoc:data:docs:plugin:options:get', () => pluginOptions);
+
+   // Add event binding to get DocCache.
+   eventbus.on('tjsdoc:system:doc:cache:get', () => DocCache);
+
    // Add event binding to get DocGenerator.
    eventbus.on('tjsdoc:system:doc:generator:get', () => DocGenerator);
 
+   // Add event binding to get ParallelDocGenerator. It is loaded on demand as `worker_threads` requires Node 10.5+.
+   eventbus.on('tjsdoc:system:doc:generator:parallel:get', () =>
+    require('./generator/ParallelDocGenerator.js').default);
+
    // Add event binding to get TestDocGenerator.
    eventbus.on('tjsdoc:system:doc:generator:test:get', () => TestDocGenerator);
 }
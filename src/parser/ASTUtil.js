@@ -1,10 +1,149 @@
 import babelGenerator from 'babel-generator';
+import path           from 'path';
 
 /**
  * Provides several utility methods and event bindings to manipulate Babylon AST.
  */
 export default class ASTUtil
 {
+   /**
+    * Creates the equivalent ES export nodes for a top level CommonJS export statement whose value is an identifier,
+    * a `new` expression, a `require` call or an object literal of identifiers and `require` calls. The created nodes
+    * reference the child nodes of the given statement, so doc generation is the same as for ES exports. Any other
+    * CommonJS export values such as functions and classes are documented directly with `export` and `importStyle`
+    * determined by `findParentExport` and `findImportStyle`.
+    * e.g. ``exports.Foo = require('./Foo.js')`` creates the nodes for ``export { default as Foo } from './Foo.js'``.
+    *
+    * @param {ASTNode}  node - An ExpressionStatement node.
+    *
+    * @returns {ASTNode[]} created export nodes; empty if the statement is not a supported CommonJS export.
+    */
+   createExportNodesFromCommonJS(node)
+   {
+      if (node.type !== 'ExpressionStatement' || node.expression.type !== 'AssignmentExpression') { return []; }
+
+      const exportName = this.findCommonJSExportName(node.expression.left);
+
+      if (!exportName) { return []; }
+
+      const createNode = (props) => Object.assign({
+         loc: node.loc,
+         start: node.start,
+         end: node.end,
+         leadingComments: node.leadingComments,
+         trailingComments: node.trailingComments
+      }, props);
+
+      const createSpecifier = (local, exported) => ({
+         type: 'ExportSpecifier',
+         local: typeof local === 'string' ? { type: 'Identifier', name: local } : local,
+         exported: { type: 'Identifier', name: exported }
+      });
+
+      const createExport = (name, value) =>
+      {
+         const binding = this.findRequireBinding(value);
+
+         if (binding)
+         {
+            // `module.exports = require('./foo.js')` re-exports everything from the required module.
+            if (name === 'default' && binding.imported === 'default')
+            {
+               return createNode({
+                  type: 'ExportAllDeclaration',
+                  source: { type: 'StringLiteral', value: binding.source }
+               });
+            }
+
+            return createNode({
+               type: 'ExportNamedDeclaration',
+               source: { type: 'StringLiteral', value: binding.source },
+               specifiers: [createSpecifier(binding.imported, name)]
+            });
+         }
+
+         switch (value.type)
+         {
+            case 'Identifier':
+               return name === 'default' ? createNode({ type: 'ExportDefaultDeclaration', declaration: value }) :
+                createNode({ type: 'ExportNamedDeclaration', specifiers: [createSpecifier(value, name)] });
+
+            case 'NewExpression':
+               if (name === 'default') { return createNode({ type: 'ExportDefaultDeclaration', declaration: value }); }
+
+               return createNode({
+                  type: 'ExportNamedDeclaration',
+                  specifiers: [],
+                  declaration: {
+                     type: 'VariableDeclaration',
+                     kind: 'const',
+                     loc: node.loc,
+                     declarations: [{ type: 'VariableDeclarator', id: { type: 'Identifier', name }, init: value }]
+                  }
+               });
+         }
+
+         return null;
+      };
+
+      const value = node.expression.right;
+
+      // `module.exports = { Foo, Bar: require('./Bar.js') }` creates a named export for each property.
+      if (exportName === 'default' && value.type === 'ObjectExpression')
+      {
+         const exportNodes = [];
+
+         for (const property of value.properties)
+         {
+            if (property.type !== 'ObjectProperty' || property.computed || property.key.type !== 'Identifier')
+            {
+               return [];
+            }
+
+            const exportNode = property.value.type === 'Identifier' || this.findRequireBinding(property.value) ?
+             createExport(property.key.name, property.value) : null;
+
+            if (!exportNode) { return []; }
+
+            // Only the first export node retains the comments of the statement.
+            if (exportNodes.length > 0)
+            {
+               exportNode.leadingComments = void 0;
+               exportNode.trailingComments = void 0;
+            }
+
+            exportNodes.push(exportNode);
+         }
+
+         return exportNodes;
+      }
+
+      const exportNode = createExport(exportName, value);
+
+      return exportNode ? [exportNode] : [];
+   }
+
+   /**
+    * Creates the symbol table of an AST which maps every binding of the program, function, block, catch and named
+    * class expression scopes to its declaration node, kind and any import source. `var` declarations are hoisted to
+    * the nearest function scope. The symbol table is cached per program, so it should be created before any nodes
+    * are sanitized; e.g. once per traversal. The other scope methods create the symbol table when not cached.
+    *
+    * @param {AST}      ast - target AST.
+    *
+    * @returns {Scope} program scope.
+    */
+   createScope(ast)
+   {
+      const scope = { type: 'program', node: ast.program, parent: null, bindings: new Map(), children: [] };
+
+      for (const node of ast.program.body) { this._walkScope(node, ast.program, scope, scope); }
+
+      s_SCOPES.set(ast.program, scope);
+
+      return scope;
+   }
+
    /**
     * Create VariableDeclaration node that has NewExpression.
     *
@@ -68,78 +207,312 @@ export default class ASTUtil
    }
 
    /**
-    * find ClassDeclaration node.
+    * find ClassDeclaration node. When a node is given the name is resolved from the scope of the node.
     *
     * @param {AST} ast - find in this ast.
     *
     * @param {string} name - class name.
     *
+    * @param {ASTNode} [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
     * @returns {ASTNode|null} found ast node.
     */
-   findClassDeclarationNode(ast, name)
+   findClassDeclarationNode(ast, name, node = void 0)
    {
-      if (!name) { return null; }
+      const binding = this._findDeclarationBinding(ast, name, node, ['class']);
 
-      for (const node of ast.program.body)
+      return binding ? binding.node : null;
+   }
+
+   /**
+    * Finds all ES5 constructor function classes in the top level body. A function declaration or a variable declared
+    * function expression is considered a class when its prototype is assigned to, e.g. `Foo.prototype.bar = ...` or
+    * `Foo.prototype = { ... }`, or it inherits from another class by `util.inherits(Foo, Base)`,
+    * `Foo.prototype = Object.create(Base.prototype)` or `Object.setPrototypeOf(Foo.prototype, Base.prototype)`. The
+    * results are cached per AST.
+    *
+    * @param {AST}      ast - target AST.
+    *
+    * @returns {Map<string, {node: ASTNode, superClass: (ASTNode|null)}>} ES5 classes by name with the constructor
+    *                                                                     function node and any super class node.
+    */
+   findES5Classes(ast)
+   {
+      if (s_ES5_CLASSES.has(ast)) { return s_ES5_CLASSES.get(ast); }
+
+      const functions = new Map();
+      const classes = new Map();
+
+      const addClass = (name, superClass = null) =>
       {
-         if (node.type === 'ClassDeclaration' && node.id.name === name) { return node; }
+         if (!functions.has(name)) { return; }
+
+         const es5Class = classes.get(name) || { node: functions.get(name), superClass: null };
+
+         if (superClass) { es5Class.superClass = superClass; }
+
+         classes.set(name, es5Class);
+      };
+
+      const statements = ast.program.body.map((node) =>
+       (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') && node.declaration ?
+        node.declaration : node);
+
+      // Find all candidate constructor functions.
+      for (const node of statements)
+      {
+         if (node.type === 'FunctionDeclaration' && node.id)
+         {
+            functions.set(node.id.name, node);
+         }
+         else if (node.type === 'VariableDeclaration')
+         {
+            for (const declarator of node.declarations)
+            {
+               if (declarator.id.type === 'Identifier' && declarator.init &&
+                declarator.init.type === 'FunctionExpression')
+               {
+                  functions.set(declarator.id.name, declarator.init);
+               }
+            }
+         }
       }
 
-      return null;
+      for (const node of statements)
+      {
+         if (node.type !== 'ExpressionStatement') { continue; }
+
+         const expression = node.expression;
+
+         if (expression.type === 'AssignmentExpression')
+         {
+            const target = s_ES5_MEMBER_TARGET(expression.left);
+
+            if (!target || target.isStatic) { continue; }
+
+            // e.g. `Foo.prototype = Object.create(Base.prototype)`
+            const superClass = target.name === null && expression.right.type === 'CallExpression' &&
+             this.flattenMemberExpression(expression.right.callee) === 'Object.create' ?
+              s_PROTOTYPE_OWNER(expression.right.arguments[0]) : null;
+
+            addClass(target.className, superClass);
+         }
+         else if (expression.type === 'CallExpression' && expression.arguments.length === 2)
+         {
+            const callee = expression.callee;
+
+            const calleeName = callee.type === 'Identifier' ? callee.name :
+             callee.type === 'MemberExpression' ? s_PROPERTY_NAME(callee) : null;
+
+            const [subClass, superClass] = expression.arguments;
+
+            // e.g. `util.inherits(Foo, Base)`
+            if (calleeName === 'inherits' && subClass.type === 'Identifier')
+            {
+               addClass(subClass.name, superClass);
+            }
+
+            // e.g. `Object.setPrototypeOf(Foo.prototype, Base.prototype)`
+            if (calleeName === 'setPrototypeOf' && s_PROTOTYPE_OWNER(subClass))
+            {
+               addClass(s_PROTOTYPE_OWNER(subClass).name, s_PROTOTYPE_OWNER(superClass));
+            }
+         }
+      }
+
+      s_ES5_CLASSES.set(ast, classes);
+
+      return classes;
    }
 
    /**
-    * find FunctionDeclaration node.
+    * Finds the ES5 class membership of a member node. Supported member nodes are the constructor function itself,
+    * functions assigned to the class or prototype, methods / function values of an object assigned to the prototype
+    * and assignments to the class, prototype or `this` in the constructor function.
+    * e.g. can find ``{ className: 'Foo', name: 'bar', isStatic: false, isConstructor: false }`` from the function
+    * node of ``Foo.prototype.bar = function() {}``.
+    *
+    * @param {AST}      ast - target AST.
+    *
+    * @param {ASTNode}  node - A member node; parent nodes must be defined.
+    *
+    * @returns {{className: string, name: string, isStatic: boolean, isConstructor: boolean}|null} ES5 class membership.
+    */
+   findES5ClassMember(ast, node)
+   {
+      const classes = this.findES5Classes(ast);
+
+      if (classes.size === 0 || !node) { return null; }
+
+      // e.g. `function Foo() {}`
+      for (const [className, es5Class] of classes)
+      {
+         if (es5Class.node === node)
+         {
+            return { className, name: 'constructor', isStatic: false, isConstructor: true };
+         }
+      }
+
+      if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+       node.left.object.type === 'ThisExpression')
+      {
+         // e.g. `function Foo() { this.bar = 1; }`; the nearest function or method other than arrow functions must be
+         // the constructor function.
+         let parent = node.parent;
+
+         while (parent && ((!parent.type.includes('Function') && !parent.type.endsWith('Method')) ||
+          parent.type === 'ArrowFunctionExpression'))
+         {
+            parent = parent.parent;
+         }
+
+         for (const [className, es5Class] of classes)
+         {
+            if (parent && es5Class.node === parent)
+            {
+               return { className, name: s_PROPERTY_NAME(node.left), isStatic: false, isConstructor: false };
+            }
+         }
+
+         return null;
+      }
+
+      let assignment = node.type === 'AssignmentExpression' ? node : node.parent;
+      let name = null;
+
+      // e.g. `Foo.prototype = { bar() {}, baz: function() {} }`
+      if (node.type === 'ObjectMethod' || (assignment && assignment.type === 'ObjectProperty'))
+      {
+         const property = node.type === 'ObjectMethod' ? node : assignment;
+
+         if (property.computed) { return null; }
+
+         name = property.key.name || property.key.value;
+
+         const objectNode = property.parent;
+
+         assignment = objectNode && objectNode.type === 'ObjectExpression' ? objectNode.parent : null;
+      }
+
+      if (!assignment || assignment.type !== 'AssignmentExpression') { return null; }
+
+      const target = s_ES5_MEMBER_TARGET(assignment.left);
+
+      if (!target || !classes.has(target.className) || (target.name === null) === (name === null)) { return null; }
+
+      return {
+         className: target.className,
+         name: name || target.name,
+         isStatic: target.isStatic,
+         isConstructor: false
+      };
+   }
+
+   /**
+    * find FunctionDeclaration node. When a node is given the name is resolved from the scope of the node.
     *
     * @param {AST} ast - find in this ast.
     *
     * @param {string} name - function name.
     *
+    * @param {ASTNode} [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
     * @returns {ASTNode|null} found ast node.
     */
-   findFunctionDeclarationNode(ast, name)
+   findFunctionDeclarationNode(ast, name, node = void 0)
    {
-      if (!name) { return null; }
+      const binding = this._findDeclarationBinding(ast, name, node, ['function']);
 
-      for (const node of ast.program.body)
+      return binding ? binding.node : null;
+   }
+
+   /**
+    * Finds the exported name of a CommonJS export target. `module.exports` is the default export.
+    * e.g. can find ``foo`` from ``exports.foo`` or ``module.exports.foo`` and ``default`` from ``module.exports``.
+    *
+    * @param {ASTNode}  node - The left hand side node of an AssignmentExpression.
+    *
+    * @returns {string|null} exported name.
+    */
+   findCommonJSExportName(node)
+   {
+      if (!node || node.type !== 'MemberExpression') { return null; }
+
+      const propertyName = s_PROPERTY_NAME(node);
+
+      if (node.object.type === 'Identifier')
+      {
+         if (node.object.name === 'module' && propertyName === 'exports') { return 'default'; }
+         if (node.object.name === 'exports') { return propertyName; }
+
+         return null;
+      }
+
+      if (node.object.type === 'MemberExpression' && node.object.object.type === 'Identifier' &&
+       node.object.object.name === 'module' && s_PROPERTY_NAME(node.object) === 'exports')
       {
-         if (node.type === 'FunctionDeclaration' && node.id.name === name) { return node; }
+         return propertyName;
       }
 
       return null;
    }
 
    /**
-    * Finds any attached decorators
+    * Finds any attached decorators of a class, method, property or parameter node. Each decorator provides the full
+    * dotted name, the arguments source code and parsed arguments of call decorators. When the root identifier of the
+    * decorator is bound by an import declaration or `require` the source module is provided as `importSource` and
+    * `importPath` is the file path of the source module resolved by `findImportSourceFilePath` or the package name
+    * for an external package. `importPath` is null for a relative source module when no path resolver is given.
+    * e.g. ``@observable.ref`` has the name ``observable.ref`` and ``@Inject(TOKEN)`` the name ``Inject`` with the
+    * arguments ``(TOKEN)`` and an identifier parsed argument ``TOKEN``.
     *
-    * @param {ASTNode}  node - An AST node.
+    * @param {ASTNode}        node - An AST node.
+    *
+    * @param {AST}            [ast] - The AST of the node; if not provided the program node is found from the parent
+    *                                 nodes.
+    *
+    * @param {PathResolver}   [pathResolver] - The path resolver of the current file to resolve import paths.
     *
     * @returns {Array<Decorator>|undefined}
     */
-   findDecorators(node)
+   findDecorators(node, ast = void 0, pathResolver = void 0)
    {
       if (!node.decorators) { return; }
 
+      const program = ast ? ast.program : s_FIND_PROGRAM(node);
+
+      // Finds the import source and resolved import path of the root identifier of a dotted name.
+      const findImport = (name) =>
+      {
+         const binding = program ? this.findImportBinding({ program }, name.split('.')[0]) : null;
+
+         if (!binding) { return { importPath: null, importSource: null }; }
+
+         const filePath = pathResolver ? this.findImportSourceFilePath(binding.source, pathResolver) : null;
+
+         const isPackage = binding.source.charAt(0) !== '.' && binding.source.charAt(0) !== '/';
+
+         return { importPath: filePath || (isPackage ? binding.source : null), importSource: binding.source };
+      };
+
       const decorators = [];
 
       for (const decorator of node.decorators)
       {
-         const value = {};
+         const expression = decorator.expression;
+         const callee = expression.type === 'CallExpression' ? expression.callee : expression;
 
-         switch (decorator.expression.type)
-         {
-            case 'Identifier':
-               value.name = decorator.expression.name;
-               value.arguments = null;
-               break;
+         // e.g. `@observable.ref` or `@Foo.Bar()`
+         const name = babelGenerator(callee).code;
 
-            case 'CallExpression':
-               value.name = decorator.expression.callee.name;
-               value.arguments = babelGenerator(decorator.expression).code.replace(/^[^(]+/, '');
-               break;
+         const value = Object.assign({ name, arguments: null, parsedArguments: null }, findImport(name));
 
-            default:
-               throw new Error(`unknown decorator expression type: ${decorator.expression.type}`);
+         if (expression.type === 'CallExpression')
+         {
+            // e.g. `(1, 2)`
+            value.arguments = `(${expression.arguments.map((argument) => babelGenerator(argument).code).join(', ')})`;
+            value.parsedArguments = expression.arguments.map((argument) => s_DECORATOR_ARGUMENT(argument,
+             findImport));
          }
 
          decorators.push(value);
@@ -148,6 +521,30 @@ export default class ASTUtil
       return decorators;
    }
 
+   /**
+    * Find the import binding for a local name. The imported name is `default` for default imports and `*` for
+    * namespace imports. CommonJS `require` bindings are also found where the imported name is `default` for the
+    * value of `module.exports` of the required module. When a node is given the name is resolved from the scope of
+    * the node, so any local binding shadows an import.
+    * e.g. can find ``{ imported: 'Bar', local: 'Baz', source: './foo/bar.js' }`` from
+    * ``import { Bar as Baz } from './foo/bar.js'`` or ``const { Bar: Baz } = require('./foo/bar.js')`` by ``Baz``.
+    *
+    * @param {AST}      ast - target AST.
+    *
+    * @param {string}   name - local identifier name.
+    *
+    * @param {ASTNode}  [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
+    * @returns {{imported: string, local: string, source: string}|null} import binding.
+    */
+   findImportBinding(ast, name, node = void 0)
+   {
+      const binding = this.findScopeBinding(ast, name, node);
+
+      return binding && binding.source !== null ? { imported: binding.imported, local: name, source: binding.source } :
+       null;
+   }
+
    /**
     * Finds the start line number for an AST node.
     *
@@ -165,7 +562,8 @@ export default class ASTUtil
    }
 
    /**
-    * Determines the import style of the given node from it's parent node.
+    * Determines the import style of the given node from it's parent node. CommonJS `module.exports` assignments have
+    * the default import style and `exports.foo` assignments the named import style of the exported name.
     *
     * @param {ASTNode}  node - An AST node.
     *
@@ -191,122 +589,352 @@ export default class ASTUtil
          {
             importStyle = `{${name}}`;
 
-            break;
-         }
-         parent = parent.parent;
+            break;
+         }
+         else if (parent.type === 'AssignmentExpression')
+         {
+            const exportName = this.findCommonJSExportName(parent.left);
+
+            if (exportName)
+            {
+               importStyle = exportName === 'default' ? name : `{${exportName}}`;
+
+               break;
+            }
+         }
+         parent = parent.parent;
+      }
+
+      return importStyle;
+   }
+
+   /**
+    * Finds the file path of an import / `require` / re-export source module resolved against the current file. Only
+    * relative / absolute module paths are resolved; a source ending with `/` is resolved to `index.js` and a source
+    * without an extension is resolved with `.js`. Any other source is an external package.
+    * e.g. can find ``src/doc/index.js`` from ``'./doc/'`` in ``src/Foo.js``.
+    *
+    * @param {string}         source - The source module path.
+    *
+    * @param {PathResolver}   pathResolver - The path resolver of the current file.
+    *
+    * @returns {string|null} file path or null for an external package.
+    */
+   findImportSourceFilePath(source, pathResolver)
+   {
+      if (source.charAt(0) !== '.' && source.charAt(0) !== '/') { return null; }
+
+      if (source.endsWith('/')) { return pathResolver.resolve(`${source}index.js`); }
+
+      return pathResolver.resolve(path.extname(source) ? source : `${source}.js`);
+   }
+
+   /**
+    * Finds the namespace and member name of a property of a module scope object literal namespace. Object literals
+    * are namespaces when bound to a top level variable or the default export. The given node is an `ObjectMethod`,
+    * an `ObjectProperty` or the function value of an `ObjectProperty`. Parent nodes must be defined.
+    * e.g. can find ``{ namespace: 'api', name: 'fetch' }`` from ``export const api = { fetch() {} }``. The namespace
+    * is null for ``export default { fetch() {} }``.
+    *
+    * @param {ASTNode}  node - An AST node.
+    *
+    * @returns {{namespace: (string|null), name: string}|null} namespace member.
+    */
+   findObjectNamespaceMember(node)
+   {
+      if (!node) { return null; }
+
+      // e.g. `fetch: function() {}`
+      const property = node.type === 'ObjectMethod' || node.type === 'ObjectProperty' ? node : node.parent;
+
+      if (!property || property.computed) { return null; }
+
+      if (property.type !== 'ObjectMethod' && (property.type !== 'ObjectProperty' ||
+       (property !== node && property.value !== node)))
+      {
+         return null;
+      }
+
+      const objectNode = property.parent;
+
+      if (!objectNode || objectNode.type !== 'ObjectExpression' || !objectNode.parent) { return null; }
+
+      const name = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+
+      const owner = objectNode.parent;
+
+      switch (owner.type)
+      {
+         // e.g. `export default { fetch() {} }`
+         case 'ExportDefaultDeclaration':
+            return { namespace: null, name };
+
+         // e.g. `const api = { fetch() {} }` or `export const api = { fetch() {} }`
+         case 'VariableDeclarator':
+         {
+            if (owner.id.type !== 'Identifier' || owner.init !== objectNode || !owner.parent || !owner.parent.parent)
+            {
+               return null;
+            }
+
+            const parentType = owner.parent.parent.type;
+
+            return parentType === 'Program' || parentType === 'ExportNamedDeclaration' ?
+             { namespace: owner.id.name, name } : null;
+         }
+      }
+
+      return null;
+   }
+
+   /**
+    * Finds any parent export nodes including CommonJS export assignments.
+    *
+    * @param {ASTNode}  node - An AST node.
+    *
+    * @returns {boolean}
+    */
+   findParentExport(node)
+   {
+      let parent = node.parent;
+
+      let exported = false;
+
+      while (parent)
+      {
+         if (parent.type === 'ExportDefaultDeclaration')
+         {
+            exported = true;
+         }
+         else if (parent.type === 'ExportNamedDeclaration')
+         {
+            exported = true;
+         }
+         else if (parent.type === 'AssignmentExpression' && this.findCommonJSExportName(parent.left))
+         {
+            exported = true;
+         }
+
+         parent = parent.parent;
+      }
+
+      return exported;
+   }
+
+   /**
+    * find file path in import declaration or top level `require` binding by name.
+    * e.g. can find ``./foo/bar.js`` from ``import Bar from './foo/bar.js'`` or ``const Bar = require('./foo/bar.js')``
+    * by ``Bar``.
+    *
+    * @param {AST} ast - target AST.
+    * @param {string} name - identifier name.
+    *
+    * @returns {string|null} file path.
+    */
+   findPathInImportDeclaration(ast, name)
+   {
+      const binding = this.findImportBinding(ast, name);
+
+      return binding ? binding.source : null;
+   }
+
+   /**
+    * Finds all identifiers bound by a declarator id including nested, renamed and defaulted destructuring patterns
+    * along with the matching part of the initializer. The matching initializer is only found for object and array
+    * literals otherwise any default value of the pattern is used.
+    * e.g. can find ``b`` with init ``1`` and ``d`` with init ``2`` from
+    * ``const { a: { b }, c: d = 2 } = { a: { b: 1 } }``.
+    *
+    * @param {ASTNode}  node - A declarator id node.
+    *
+    * @param {ASTNode}  [init] - The initializer node.
+    *
+    * @returns {Array<{node: ASTNode, init: (ASTNode|undefined)}>} bound identifier nodes and matching initializers.
+    */
+   findPatternBindings(node, init = void 0)
+   {
+      const bindings = [];
+
+      const visit = (target, value) =>
+      {
+         if (!target) { return; }
+
+         switch (target.type)
+         {
+            case 'Identifier':
+               bindings.push({ node: target, init: value });
+               break;
+
+            case 'AssignmentPattern':
+               visit(target.left, value || target.right);
+               break;
+
+            case 'ArrayPattern':
+               target.elements.forEach((element, index) =>
+               {
+                  if (!element) { return; }
+
+                  if (element.type === 'RestElement') { visit(element.argument, void 0); return; }
+
+                  visit(element, value && value.type === 'ArrayExpression' ? value.elements[index] : void 0);
+               });
+               break;
+
+            case 'ObjectPattern':
+               for (const property of target.properties)
+               {
+                  if (property.type !== 'ObjectProperty') { visit(property.argument, void 0); continue; }
+
+                  const key = property.computed ? void 0 : property.key.name || property.key.value;
+
+                  const valueProperty = key !== void 0 && value && value.type === 'ObjectExpression' ?
+                   value.properties.find((prop) => prop.type === 'ObjectProperty' && !prop.computed &&
+                    (prop.key.name || prop.key.value) === key) : void 0;
+
+                  visit(property.value, valueProperty ? valueProperty.value : void 0);
+               }
+               break;
+
+            case 'RestElement':
+               visit(target.argument, void 0);
+               break;
+         }
+      };
+
+      visit(node, init);
+
+      return bindings;
+   }
+
+   /**
+    * Finds the module source and imported name of a `require` call. The imported name is `default` for the value of
+    * `module.exports` of the required module.
+    * e.g. can find ``{ imported: 'Bar', source: './foo.js' }`` from ``require('./foo.js').Bar``.
+    *
+    * @param {ASTNode}  node - An expression node.
+    *
+    * @returns {{imported: string, source: string}|null} require binding.
+    */
+   findRequireBinding(node)
+   {
+      if (!node) { return null; }
+
+      let imported = 'default';
+
+      if (node.type === 'MemberExpression')
+      {
+         imported = s_PROPERTY_NAME(node);
+
+         if (!imported) { return null; }
+
+         node = node.object;
+      }
+
+      if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'require' ||
+       node.arguments.length !== 1)
+      {
+         return null;
       }
 
-      return importStyle;
+      const source = node.arguments[0];
+
+      if (!source.type.includes('Literal') || typeof source.value !== 'string') { return null; }
+
+      return { imported, source: source.value };
    }
 
    /**
-    * Finds any parent export nodes.
+    * Finds the innermost scope which contains a node by source range. Nodes without source range data such as created
+    * nodes are in the program scope.
     *
-    * @param {ASTNode}  node - An AST node.
+    * @param {AST}      ast - target AST.
     *
-    * @returns {boolean}
+    * @param {ASTNode}  [node] - An AST node.
+    *
+    * @returns {Scope} scope of the node.
     */
-   findParentExport(node)
+   findScope(ast, node = void 0)
    {
-      let parent = node.parent;
+      let scope = s_SCOPES.get(ast.program) || this.createScope(ast);
 
-      let exported = false;
+      if (!node || typeof node.start !== 'number') { return scope; }
 
-      while (parent)
+      for (;;)
       {
-         if (parent.type === 'ExportDefaultDeclaration')
-         {
-            exported = true;
-         }
-         else if (parent.type === 'ExportNamedDeclaration')
-         {
-            exported = true;
-         }
+         const child = scope.children.find((entry) => entry.node.start <= node.start && node.end <= entry.node.end);
 
-         parent = parent.parent;
-      }
+         if (!child) { return scope; }
 
-      return exported;
+         scope = child;
+      }
    }
 
    /**
-    * find file path in import declaration by name.
-    * e.g. can find ``./foo/bar.js`` from ``import Bar from './foo/bar.js'`` by ``Bar``.
+    * Finds the binding of a name visible from the scope of a node by searching the scope chain, so nested bindings
+    * shadow outer bindings.
+    * e.g. can find the `import` binding ``{ kind: 'import', imported: 'default', source: './Foo.js', ... }`` from
+    * ``import Bar from './Foo.js'`` by ``Bar``.
     *
-    * @param {AST} ast - target AST.
-    * @param {string} name - identifier name.
+    * @param {AST}      ast - target AST.
     *
-    * @returns {string|null} file path.
+    * @param {string}   name - identifier name.
+    *
+    * @param {ASTNode}  [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
+    * @returns {ScopeBinding|null} binding.
     */
-   findPathInImportDeclaration(ast, name)
+   findScopeBinding(ast, name, node = void 0)
    {
-      let path = null;
+      if (!name) { return null; }
 
-      this._eventbus.trigger('typhonjs:ast:walker:traverse', ast,
+      for (let scope = this.findScope(ast, node); scope; scope = scope.parent)
       {
-         enterNode: (node) =>
-         {
-            if (node.type !== 'ImportDeclaration') { return; }
-
-            for (const spec of node.specifiers)
-            {
-               const localName = spec.local.name;
-               if (localName === name)
-               {
-                  path = node.source.value;
-                  return null;  // Quit traversal
-               }
-            }
-         }
-      });
+         if (scope.bindings.has(name)) { return scope.bindings.get(name); }
+      }
 
-      return path;
+      return null;
    }
 
    /**
-    * find VariableDeclaration node which has NewExpression.
+    * find VariableDeclaration node where the first declarator binds the name to a NewExpression. When a node is given
+    * the name is resolved from the scope of the node.
     *
     * @param {AST} ast - find in this ast.
     *
     * @param {string} name - variable name.
     *
+    * @param {ASTNode} [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
     * @returns {ASTNode|null} found ast node.
     */
-   findVariableDeclarationAndNewExpressionNode(ast, name)
+   findVariableDeclarationAndNewExpressionNode(ast, name, node = void 0)
    {
-      if (!name) { return null; }
+      const binding = this._findDeclarationBinding(ast, name, node, ['const', 'let', 'var']);
 
-      for (const node of ast.program.body)
-      {
-         if (node.type === 'VariableDeclaration' && node.declarations[0].init &&
-          node.declarations[0].init.type === 'NewExpression' && node.declarations[0].id.name === name)
-         {
-            return node;
-         }
-      }
+      if (!binding || binding.node.declarations[0] !== binding.declarator) { return null; }
 
-      return null;
+      const declarator = binding.declarator;
+
+      return declarator.id === binding.identifier && declarator.init && declarator.init.type === 'NewExpression' ?
+       binding.node : null;
    }
 
    /**
-    * find VariableDeclaration node.
+    * find VariableDeclaration node. When a node is given the name is resolved from the scope of the node.
     *
     * @param {AST} ast - find in this ast.
     *
     * @param {string} name - variable name.
     *
+    * @param {ASTNode} [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
     * @returns {ASTNode|null} found ast node.
     */
-   findVariableDeclarationNode(ast, name)
+   findVariableDeclarationNode(ast, name, node = void 0)
    {
-      if (!name) { return null; }
-
-      for (const node of ast.program.body)
-      {
-         if (node.type === 'VariableDeclaration' && node.declarations[0].id.name === name) { return node; }
-      }
+      const binding = this._findDeclarationBinding(ast, name, node, ['const', 'let', 'var']);
 
-      return null;
+      return binding ? binding.node : null;
    }
 
    /**
@@ -336,7 +964,8 @@ export default class ASTUtil
          }
          else // MemberExpression
          {
-            results.push(target.property.name);
+            // e.g. `this.#foo` has a PrivateName property.
+            results.push(target.property.type === 'PrivateName' ? `#${target.property.id.name}` : target.property.name);
             target = target.object;
          }
       }
@@ -460,6 +1089,7 @@ export default class ASTUtil
             break;
 
          case 'ClassMethod':
+         case 'ClassPrivateMethod':
             params = node.params || [];
             break;
 
@@ -532,8 +1162,16 @@ export default class ASTUtil
       this._eventbus.on('tjsdoc:system:ast:code:comment:first:line:from:node:get',
        this.getCodeCommentAndFirstLineFromNode, this);
 
+      this._eventbus.on('tjsdoc:system:ast:commonjs:export:name:find', this.findCommonJSExportName, this);
+
+      this._eventbus.on('tjsdoc:system:ast:commonjs:export:nodes:create', this.createExportNodesFromCommonJS, this);
+
       this._eventbus.on('tjsdoc:system:ast:decorators:find', this.findDecorators, this);
 
+      this._eventbus.on('tjsdoc:system:ast:es5:class:member:find', this.findES5ClassMember, this);
+
+      this._eventbus.on('tjsdoc:system:ast:es5:classes:find', this.findES5Classes, this);
+
       this._eventbus.on('tjsdoc:system:ast:export:declaration:class:find', this.findClassDeclarationExport, this);
 
       this._eventbus.on('tjsdoc:system:ast:file:comment:first:line:from:node:get',
@@ -541,6 +1179,10 @@ export default class ASTUtil
 
       this._eventbus.on('tjsdoc:system:ast:function:declaration:find', this.findFunctionDeclarationNode, this);
 
+      this._eventbus.on('tjsdoc:system:ast:import:binding:find', this.findImportBinding, this);
+
+      this._eventbus.on('tjsdoc:system:ast:import:source:file:path:find', this.findImportSourceFilePath, this);
+
       this._eventbus.on('tjsdoc:system:ast:import:style:find', this.findImportStyle, this);
 
       this._eventbus.on('tjsdoc:system:ast:line:number:start:find', this.findLineNumberStart, this);
@@ -553,10 +1195,22 @@ export default class ASTUtil
 
       this._eventbus.on('tjsdoc:system:ast:node:sanitize:children', this.sanitizeChildren, this);
 
+      this._eventbus.on('tjsdoc:system:ast:object:namespace:member:find', this.findObjectNamespaceMember, this);
+
       this._eventbus.on('tjsdoc:system:ast:parent:export:find', this.findParentExport, this);
 
       this._eventbus.on('tjsdoc:system:ast:path:import:declaration:find', this.findPathInImportDeclaration, this);
 
+      this._eventbus.on('tjsdoc:system:ast:pattern:bindings:find', this.findPatternBindings, this);
+
+      this._eventbus.on('tjsdoc:system:ast:require:binding:find', this.findRequireBinding, this);
+
+      this._eventbus.on('tjsdoc:system:ast:scope:binding:find', this.findScopeBinding, this);
+
+      this._eventbus.on('tjsdoc:system:ast:scope:create', this.createScope, this);
+
+      this._eventbus.on('tjsdoc:system:ast:scope:find', this.findScope, this);
+
       this._eventbus.on('tjsdoc:system:ast:variable:declaration:find', this.findVariableDeclarationNode, this);
 
       this._eventbus.on('tjsdoc:system:ast:variable:declaration:new:expression:create',
@@ -612,4 +1266,451 @@ export default class ASTUtil
 
       return JSON.parse(JSON.stringify(newNode));
    }
+
+   /**
+    * Finds the binding of a class, function or variable declaration. Top level declarations are only found as
+    * statements of the program body as exported declarations are processed from the export nodes.
+    *
+    * @param {AST}      ast - target AST.
+    *
+    * @param {string}   name - identifier name.
+    *
+    * @param {ASTNode}  [node] - resolve name from the scope of this node; defaults to the program scope.
+    *
+    * @param {string[]} kinds - accepted binding kinds.
+    *
+    * @returns {ScopeBinding|null} binding.
+    * @private
+    */
+   _findDeclarationBinding(ast, name, node, kinds)
+   {
+      const binding = this.findScopeBinding(ast, name, node);
+
+      if (!binding || !kinds.includes(binding.kind)) { return null; }
+
+      return binding.scope.type !== 'program' || ast.program.body.includes(binding.node) ? binding : null;
+   }
+
+   /**
+    * Finds a `require` binding for a local name in a VariableDeclaration node.
+    *
+    * @param {ASTNode}  node - A VariableDeclaration node.
+    *
+    * @param {string}   name - local identifier name.
+    *
+    * @returns {{imported: string, local: string, source: string}|null} require binding.
+    * @private
+    */
+   _findRequireDeclarationBinding(node, name)
+   {
+      for (const declarator of node.declarations)
+      {
+         const binding = this.findRequireBinding(declarator.init);
+
+         if (!binding) { continue; }
+
+         if (declarator.id.type === 'Identifier' && declarator.id.name === name)
+         {
+            return { imported: binding.imported, local: name, source: binding.source };
+         }
+
+         // Destructured bindings are only supported from the value of `module.exports`.
+         if (declarator.id.type === 'ObjectPattern' && binding.imported === 'default')
+         {
+            for (const property of declarator.id.properties)
+            {
+               if (property.type !== 'ObjectProperty' || property.computed || property.value.type !== 'Identifier' ||
+                property.value.name !== name)
+               {
+                  continue;
+               }
+
+               return { imported: property.key.name, local: name, source: binding.source };
+            }
+         }
+      }
+
+      return null;
+   }
+
+   /**
+    * Walks a node adding the bindings of any declarations to the given scopes and creating child scopes.
+    *
+    * @param {ASTNode}  node - An AST node.
+    *
+    * @param {ASTNode}  parentNode - The parent node.
+    *
+    * @param {Scope}    scope - The current scope.
+    *
+    * @param {Scope}    functionScope - The nearest function or program scope for `var` declarations.
+    *
+    * @private
+    */
+   _walkScope(node, parentNode, scope, functionScope)
+   {
+      const addBinding = (target, binding) =>
+      {
+         if (!target.bindings.has(binding.identifier.name))
+         {
+            target.bindings.set(binding.identifier.name, Object.assign({ name: binding.identifier.name, init: void 0,
+             declarator: null, imported: null, source: null, scope: target }, binding));
+         }
+      };
+
+      switch (node.type)
+      {
+         case 'ClassDeclaration':
+         case 'FunctionDeclaration':
+            if (node.id)
+            {
+               addBinding(scope, { kind: node.type === 'ClassDeclaration' ? 'class' : 'function', node,
+                identifier: node.id });
+            }
+            break;
+
+         // e.g. `import { Bar as Baz } from './foo/bar.js'`
+         case 'ImportDeclaration':
+            for (const spec of node.specifiers)
+            {
+               const imported = spec.type === 'ImportDefaultSpecifier' ? 'default' :
+                spec.type === 'ImportNamespaceSpecifier' ? '*' : spec.imported.name;
+
+               addBinding(scope, { kind: 'import', node, identifier: spec.local, imported,
+                source: node.source.value });
+            }
+            return;
+
+         case 'VariableDeclaration':
+            for (const declarator of node.declarations)
+            {
+               for (const { node: identifier, init } of this.findPatternBindings(declarator.id, declarator.init))
+               {
+                  // e.g. `const { Bar: Baz } = require('./foo/bar.js')`
+                  const requireBinding = this._findRequireDeclarationBinding({ declarations: [declarator] },
+                   identifier.name);
+
+                  addBinding(node.kind === 'var' ? functionScope : scope, Object.assign({ kind: node.kind, node,
+                   identifier, init, declarator }, requireBinding ?
+                    { imported: requireBinding.imported, source: requireBinding.source } : {}));
+               }
+            }
+            break;
+      }
+
+      const type = s_SCOPE_TYPE(node, parentNode);
+
+      if (type)
+      {
+         const childScope = { type, node, parent: scope, bindings: new Map(), children: [] };
+
+         scope.children.push(childScope);
+         scope = childScope;
+
+         if (type === 'function') { functionScope = childScope; }
+
+         // e.g. `const foo = function bar() {}` binds `bar` in the function scope.
+         if ((node.type === 'ClassExpression' || node.type === 'FunctionExpression') && node.id)
+         {
+            addBinding(scope, { kind: node.type === 'ClassExpression' ? 'class' : 'function', node,
+             identifier: node.id });
+         }
+
+         const params = node.type === 'CatchClause' ? [node.param] : node.params || [];
+
+         for (const param of params)
+         {
+            // e.g. TypeScript `constructor(private logger) {}`
+            const target = param && param.type === 'TSParameterProperty' ? param.parameter : param;
+
+            for (const { node: identifier, init } of this.findPatternBindings(target))
+            {
+               addBinding(scope, { kind: type === 'catch' ? 'catch' : 'param', node, identifier, init });
+            }
+         }
+      }
+
+      for (const key of Object.keys(node))
+      {
+         if (s_SCOPE_SKIP_KEYS.includes(key)) { continue; }
+
+         const value = node[key];
+
+         if (Array.isArray(value))
+         {
+            for (const child of value)
+            {
+               if (child && typeof child.type === 'string') { this._walkScope(child, node, scope, functionScope); }
+            }
+         }
+         else if (value && typeof value.type === 'string')
+         {
+            this._walkScope(value, node, scope, functionScope);
+         }
+      }
+   }
 }
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Gets the property name of a MemberExpression node for identifier or string literal properties.
+ *
+ * @param {ASTNode}  node - A MemberExpression node.
+ *
+ * @returns {string|null} property name.
+ * @ignore
+ */
+const s_PROPERTY_NAME = (node) =>
+{
+   if (!node.computed && node.property.type === 'Identifier') { return node.property.name; }
+
+   if (node.computed && node.property.type.includes('Literal') && typeof node.property.value === 'string')
+   {
+      return node.property.value;
+   }
+
+   return null;
+};
+
+/**
+ * Parses a decorator argument node as literal, identifier, object or array data. Any other expression provides the
+ * source code.
+ *
+ * @param {ASTNode}   node - A decorator argument node.
+ *
+ * @param {function(string): {importPath: ?string, importSource: ?string}}  findImport - Finds the import path and
+ *                                                                            source of an identifier name.
+ *
+ * @returns {DecoratorArgument} parsed argument.
+ * @ignore
+ */
+const s_DECORATOR_ARGUMENT = (node, findImport) =>
+{
+   switch (node.type)
+   {
+      case 'BooleanLiteral':
+      case 'NumericLiteral':
+      case 'StringLiteral':
+         return { type: 'literal', value: node.value };
+
+      case 'NullLiteral':
+         return { type: 'literal', value: null };
+
+      // e.g. `-1`
+      case 'UnaryExpression':
+         if (node.operator === '-' && node.argument.type === 'NumericLiteral')
+         {
+            return { type: 'literal', value: -node.argument.value };
+         }
+         break;
+
+      // e.g. `TOKEN` or `Tokens.LOGGER`
+      case 'Identifier':
+      case 'MemberExpression':
+      {
+         let target = node;
+
+         while (target.type === 'MemberExpression' && !target.computed) { target = target.object; }
+
+         if (target.type !== 'Identifier') { break; }
+
+         const name = babelGenerator(node).code;
+
+         return Object.assign({ type: 'identifier', name }, findImport(name));
+      }
+
+      case 'ArrayExpression':
+         return {
+            type: 'array',
+            elements: node.elements.map((element) => element ? s_DECORATOR_ARGUMENT(element, findImport) : null)
+         };
+
+      case 'ObjectExpression':
+      {
+         const properties = {};
+
+         for (const property of node.properties)
+         {
+            if (property.type !== 'ObjectProperty' || property.computed) { continue; }
+
+            const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+
+            properties[key] = s_DECORATOR_ARGUMENT(property.value, findImport);
+         }
+
+         return { type: 'object', properties };
+      }
+
+      case 'TemplateLiteral':
+         if (node.expressions.length === 0) { return { type: 'literal', value: node.quasis[0].value.cooked }; }
+         break;
+   }
+
+   return { type: 'expression', code: babelGenerator(node).code };
+};
+
+/**
+ * Caches ES5 classes found by `findES5Classes` per AST.
+ * @type {WeakMap<AST, Map<string, {node: ASTNode, superClass: (ASTNode|null)}>>}
+ * @ignore
+ */
+const s_ES5_CLASSES = new WeakMap();
+
+/**
+ * Gets the ES5 class target of an assignment; `Foo.prototype.bar` is an instance member `bar`, `Foo.bar` a static
+ * member `bar` and `Foo.prototype` the prototype itself where the name is null.
+ *
+ * @param {ASTNode}  node - The left hand side node of an AssignmentExpression.
+ *
+ * @returns {{className: string, name: (string|null), isStatic: boolean}|null} assignment target.
+ * @ignore
+ */
+const s_ES5_MEMBER_TARGET = (node) =>
+{
+   if (node.type !== 'MemberExpression') { return null; }
+
+   const name = s_PROPERTY_NAME(node);
+
+   if (!name) { return null; }
+
+   // e.g. `Foo.bar` or `Foo.prototype`
+   if (node.object.type === 'Identifier')
+   {
+      return name === 'prototype' ? { className: node.object.name, name: null, isStatic: false } :
+       { className: node.object.name, name, isStatic: true };
+   }
+
+   // e.g. `Foo.prototype.bar`
+   const owner = s_PROTOTYPE_OWNER(node.object);
+
+   return owner && name !== 'constructor' ? { className: owner.name, name, isStatic: false } : null;
+};
+
+/**
+ * Finds the program node from the parent nodes of a node.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {ASTNode|null} program node.
+ * @ignore
+ */
+const s_FIND_PROGRAM = (node) =>
+{
+   let parent = node;
+
+   while (parent && parent.type !== 'Program') { parent = parent.parent; }
+
+   return parent || null;
+};
+
+/**
+ * Gets the owner of a prototype member expression.
+ * e.g. ``Foo`` from ``Foo.prototype``.
+ *
+ * @param {ASTNode}  node - A MemberExpression node.
+ *
+ * @returns {ASTNode|null} owner node.
+ * @ignore
+ */
+const s_PROTOTYPE_OWNER = (node) =>
+{
+   return node && node.type === 'MemberExpression' && node.object.type === 'Identifier' &&
+    s_PROPERTY_NAME(node) === 'prototype' ? node.object : null;
+};
+
+/**
+ * Caches the symbol table created by `createScope` per program node.
+ * @type {WeakMap<ASTNode, Scope>}
+ * @ignore
+ */
+const s_SCOPES = new WeakMap();
+
+/**
+ * Provides the node keys which are not walked for scope bindings; `parent` is set on nodes once traversed.
+ * @type {string[]}
+ * @ignore
+ */
+const s_SCOPE_SKIP_KEYS = ['innerComments', 'leadingComments', 'loc', 'parent', 'returnType', 'trailingComments',
+ 'typeAnnotation', 'typeParameters'];
+
+/**
+ * Provides the scope types of scope creating nodes; the body block of a function or catch clause shares the scope of
+ * the function or catch clause.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @param {ASTNode}  parentNode - The parent node.
+ *
+ * @returns {string|null} scope type; `block`, `catch`, `class` or `function`.
+ * @ignore
+ */
+const s_SCOPE_TYPE = (node, parentNode) =>
+{
+   switch (node.type)
+   {
+      // A static block is a function scope as `var` declarations are scoped to it; e.g. `static { var foo; }`.
+      case 'ArrowFunctionExpression':
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ObjectMethod':
+      case 'StaticBlock':
+         return 'function';
+
+      case 'BlockStatement':
+         return parentNode.body === node && (parentNode.type === 'CatchClause' || s_SCOPE_TYPE(parentNode, void 0) ===
+          'function') ? null : 'block';
+
+      case 'CatchClause':
+         return 'catch';
+
+      case 'ClassExpression':
+         return node.id ? 'class' : null;
+
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'ForStatement':
+      case 'SwitchStatement':
+         return 'block';
+   }
+
+   return null;
+};
+
+/**
+ * @typedef {object} DecoratorArgument
+ * @property {string}   type - The argument type: `literal`, `identifier`, `object`, `array` or `expression`.
+ * @property {*}        [value] - The value of a literal argument.
+ * @property {string}   [name] - The dotted name of an identifier argument.
+ * @property {?string}  [importPath] - The resolved file path or package name of the source module of an identifier
+ *                                     argument bound by an import or `require`.
+ * @property {?string}  [importSource] - The source module of an identifier argument bound by an import or `require`.
+ * @property {Object<string, DecoratorArgument>}   [properties] - The parsed properties of an object argument.
+ * @property {Array<?DecoratorArgument>}           [elements] - The parsed elements of an array argument.
+ * @property {string}   [code] - The source code of any other expression argument.
+ */
+
+/**
+ * @typedef {object} Scope
+ * @property {string}   type - The scope type: `program`, `function`, `block`, `catch` or `class`.
+ * @property {ASTNode}  node - The scope creating node.
+ * @property {?Scope}   parent - The parent scope; null for the program scope.
+ * @property {Map<string, ScopeBinding>}   bindings - The bindings declared in the scope by name.
+ * @property {Scope[]}  children - The child scopes in source order.
+ */
+
+/**
+ * @typedef {object} ScopeBinding
+ * @property {string}   name - The bound name.
+ * @property {string}   kind - The binding kind: `catch`, `class`, `const`, `function`, `import`, `let`, `param` or
+ *                             `var`.
+ * @property {ASTNode}  node - The declaration node; e.g. a VariableDeclaration, ImportDeclaration or function node
+ *                             of a param.
+ * @property {ASTNode}  identifier - The bound identifier node.
+ * @property {ASTNode}  [init] - The matching initializer or default value of variables and params.
+ * @property {?ASTNode} declarator - The VariableDeclarator node of variables.
+ * @property {?string}  imported - The imported name of import and `require` bindings.
+ * @property {?string}  source - The import source of import and `require` bindings.
+ * @property {Scope}    scope - The scope of the binding.
+ */
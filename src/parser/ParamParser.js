@@ -6,7 +6,78 @@ import AbstractParamParser from 'tjsdoc-docs-common/src/parser/AbstractParamPars
 export default class ParamParser extends AbstractParamParser
 {
    /**
-    * Guess param type by using param default arguments.
+    * guess emitted events by using a function node or the callable body node. The string literal event names passed
+    * as the first argument to any emitter method are collected; e.g. `this.emit('change')`,
+    * `eventbus.triggerSync('app:data:get')` or `element.dispatchEvent(new CustomEvent('open'))`. Calls in nested arrow
+    * functions are included as they commonly are callbacks sharing `this` while calls in other nested functions are
+    * skipped. The emitter method names are configurable by the `emitterMethods` plugin option.
+    *
+    * @param {ASTNode} node - function node or callable body node.
+    *
+    * @example
+    * // returns `['change']`
+    * function foo() { this.emit('change', this.value); }
+    *
+    * @returns {string[]} emitted event names.
+    */
+   guessEmits(node)
+   {
+      const names = [];
+
+      if (!node) { return names; }
+
+      const emitterMethods = this._emitterMethods || s_DEFAULT_EMITTER_METHODS;
+
+      const isFunction = node.type.includes('Function') || node.type.endsWith('Method');
+
+      this._eventbus.trigger('typhonjs:ast:walker:traverse', isFunction ? node.body : node,
+      {
+         enterNode: (child) =>
+         {
+            if (child.type !== 'ArrowFunctionExpression' &&
+             (child.type.includes('Function') || child.type.endsWith('Method')))
+            {
+               return null;
+            }
+
+            if (child.type !== 'CallExpression' || child.arguments.length === 0) { return; }
+
+            const callee = child.callee;
+
+            // e.g. `emit('change')` or `this.emit('change')`
+            const methodName = callee.type === 'Identifier' ? callee.name :
+             callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : void 0;
+
+            if (!emitterMethods.includes(methodName)) { return; }
+
+            let eventNode = child.arguments[0];
+
+            // e.g. `dispatchEvent(new CustomEvent('open'))`
+            if (eventNode.type === 'NewExpression' && eventNode.arguments.length)
+            {
+               eventNode = eventNode.arguments[0];
+            }
+
+            let name = void 0;
+
+            if (eventNode.type === 'StringLiteral')
+            {
+               name = eventNode.value;
+            }
+            else if (eventNode.type === 'TemplateLiteral' && eventNode.expressions.length === 0)
+            {
+               name = eventNode.quasis[0].value.cooked;
+            }
+
+            if (name && !names.includes(name)) { names.push(name); }
+         }
+      });
+
+      return names;
+   }
+
+   /**
+    * Guess param type by using param default arguments. Any Flow / TypeScript type annotations take precedence.
     *
     * @param {Object} params - node of callable AST node.
     *
@@ -25,7 +96,8 @@ export default class ParamParser extends AbstractParamParser
 
       for (let i = 0; i < params.length; i++)
       {
-         const param = params[i];
+         // e.g. TypeScript `constructor(private a: number){}`
+         const param = params[i].type === 'TSParameterProperty' ? params[i].parameter : params[i];
          const result = {};
 
          switch (param.type)
@@ -185,6 +257,21 @@ export default class ParamParser extends AbstractParamParser
                break;
          }
 
+         // Flow / TypeScript type annotations take precedence over guessed types.
+         // e.g. func(a: number){}, func(a: number = 10){}, func(...a: number[]){}
+         const annotation = this.parseTypeAnnotation(param.typeAnnotation || (param.left && param.left.typeAnnotation));
+
+         if (annotation)
+         {
+            result.types = result.spread ? annotation.types.map((type) => `...${type.replace(/\[\]$/, '')}`) :
+             annotation.types;
+
+            if (annotation.nullable) { result.nullable = true; }
+         }
+
+         // e.g. func(a?: number){}
+         if (param.optional) { result.optional = true; }
+
          _params.push(result);
       }
 
@@ -192,34 +279,146 @@ export default class ParamParser extends AbstractParamParser
    }
 
    /**
-    * guess return type by using return node.
+    * guess return type by using a function node or the callable body node. The types of all `return` statements are
+    * collected as a union and `undefined` is added when a value is not returned on every code path. A union with an
+    * unknown type `*` collapses to `*`. When a function node is given async functions always return `Promise<T>`
+    * where `T` is `void` if no value is returned and generators return `Generator<T>` / `AsyncGenerator<T>` where `T`
+    * is the union of the `yield` argument types.
     *
-    * @param {ASTNode} body - callable body node.
+    * @param {ASTNode} node - function node or callable body node.
+    *
+    * @example
+    * // returns `{ types: ['number', 'undefined'] }`
+    * function foo(a) { if (a) { return 1; } }
+    *
+    * // returns `{ types: ['Promise<number|string>'] }`
+    * async function bar(a) { if (a) { return 1; } return 'b'; }
+    *
+    * // returns `{ types: ['Promise<void>'] }`
+    * async function baz(a) { a(); }
     *
     * @returns {ParsedParam|null}
     */
-   guessReturnParam(body)
+   guessReturnParam(node)
    {
-      const result = {};
+      if (!node) { return null; }
 
-      this._eventbus.trigger('typhonjs:ast:walker:traverse', body,
+      const isFunction = node.type.includes('Function') || node.type.endsWith('Method');
+      const body = isFunction ? node.body : node;
+
+      const returnTypes = [];
+      const yieldTypes = [];
+
+      let emptyReturn = false;
+
+      if (body.type !== 'BlockStatement')
       {
-         enterNode: (node) =>
+         // e.g. `() => 1`
+         if (isFunction) { returnTypes.push(...this.guessType(body).types); }
+      }
+      else
+      {
+         this._eventbus.trigger('typhonjs:ast:walker:traverse', body,
          {
-            // `return` in Function is not the body's `return`
-            if (node.type.includes('Function')) { return null; }
+            enterNode: (child) =>
+            {
+               // `return` and `yield` in nested functions / methods are not the body's `return` / `yield`.
+               if (child.type.includes('Function') || child.type.endsWith('Method')) { return null; }
 
-            if (node.type !== 'ReturnStatement') { return; }
+               switch (child.type)
+               {
+                  case 'ReturnStatement':
+                     if (child.argument) { returnTypes.push(...this.guessType(child.argument).types); }
+                     else { emptyReturn = true; }
+                     break;
+
+                  // e.g. `yield 1`; the types of a delegated `yield* iterable` are unknown.
+                  case 'YieldExpression':
+                     yieldTypes.push(...(child.argument && !child.delegate ? this.guessType(child.argument).types :
+                      ['*']));
+                     break;
+               }
+            }
+         });
 
-            if (!node.argument) { return; }
+         if (returnTypes.length && (emptyReturn || !s_IS_TERMINATED(body))) { returnTypes.push('undefined'); }
+      }
 
-            result.types = this.guessType(node.argument).types;
-         }
-      });
+      const types = s_UNION(returnTypes);
 
-      if (result.types) { return result; }
+      if (isFunction && node.generator)
+      {
+         const yieldUnion = s_UNION(yieldTypes).join('|') || '*';
 
-      return null;
+         return { types: [`${node.async ? 'AsyncGenerator' : 'Generator'}<${yieldUnion}>`] };
+      }
+
+      if (isFunction && node.async) { return { types: [`Promise<${types.join('|') || 'void'}>`] }; }
+
+      if (!types.length) { return null; }
+
+      return { types };
+   }
+
+   /**
+    * guess thrown classes by using a function node or the callable body node. The class names of all
+    * `throw new X()` statements are collected except for statements in nested functions and in `try` blocks that
+    * have a `catch` clause.
+    *
+    * @param {ASTNode} node - function node or callable body node.
+    *
+    * @example
+    * // returns `['TypeError', 'errors.NotFound']`
+    * function foo(a) { if (!a) { throw new TypeError('a'); } throw new errors.NotFound(); }
+    *
+    * @returns {string[]} thrown class names.
+    */
+   guessThrows(node)
+   {
+      const names = [];
+
+      if (!node) { return names; }
+
+      const walk = (target) =>
+      {
+         this._eventbus.trigger('typhonjs:ast:walker:traverse', target,
+         {
+            enterNode: (child) =>
+            {
+               // `throw` in nested functions / methods is not thrown by the body.
+               if (child.type.includes('Function') || child.type.endsWith('Method')) { return null; }
+
+               // Errors thrown in a `try` block with a `catch` clause are caught.
+               if (child.type === 'TryStatement' && child.handler)
+               {
+                  walk(child.handler.body);
+
+                  if (child.finalizer) { walk(child.finalizer); }
+
+                  return null;
+               }
+
+               if (child.type !== 'ThrowStatement' || !child.argument || child.argument.type !== 'NewExpression')
+               {
+                  return;
+               }
+
+               const callee = child.argument.callee;
+
+               if (callee.type !== 'Identifier' && callee.type !== 'MemberExpression') { return; }
+
+               const name = this._eventbus.triggerSync('tjsdoc:system:ast:member:expression:flatten', callee);
+
+               if (!names.includes(name)) { names.push(name); }
+            }
+         });
+      };
+
+      const isFunction = node.type.includes('Function') || node.type.endsWith('Method');
+
+      walk(isFunction ? node.body : node);
+
+      return names;
    }
 
    /**
@@ -309,4 +508,315 @@ export default class ParamParser extends AbstractParamParser
 
       return { types: ['*'] };
    }
+
+   /**
+    * Wires up the emits guess, throws guess and type annotation event bindings in addition to the event bindings of
+    * AbstractParamParser. The emitter method names for emits guessing are set from the `emitterMethods` plugin option.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    *
+    * @ignore
+    */
+   onPluginLoad(ev)
+   {
+      super.onPluginLoad(ev);
+
+      const emitterMethods = ev.pluginOptions ? ev.pluginOptions.emitterMethods : void 0;
+
+      if (emitterMethods !== void 0 && (!Array.isArray(emitterMethods) ||
+       !emitterMethods.every((method) => typeof method === 'string')))
+      {
+         throw new TypeError(`'emitterMethods' is not an 'array' of 'string'.`);
+      }
+
+      /**
+       * The method names of emitter calls whose first argument is an emitted event name.
+       * @type {string[]}
+       */
+      this._emitterMethods = emitterMethods || s_DEFAULT_EMITTER_METHODS;
+
+      ev.eventbus.on('tjsdoc:system:parser:param:emits:guess', this.guessEmits, this);
+
+      ev.eventbus.on('tjsdoc:system:parser:param:throws:guess', this.guessThrows, this);
+
+      ev.eventbus.on('tjsdoc:system:parser:param:type:annotation:parse', this.parseTypeAnnotation, this);
+   }
+
+   /**
+    * Parses a Flow / TypeScript type annotation node into TJSDoc types. A top level union type results in multiple
+    * types and a top level nullable type sets `nullable`.
+    *
+    * @param {ASTNode} node - type annotation node; `TypeAnnotation` / `TSTypeAnnotation` wrappers are unwrapped.
+    *
+    * @example
+    * // with function
+    * let result = ParamParser.parseTypeAnnotation(node.returnType);
+    *
+    * // with class property
+    * let result = ParamParser.parseTypeAnnotation(node.typeAnnotation);
+    *
+    * @returns {ParsedParam|null} parsed types or null if there is no type annotation.
+    */
+   parseTypeAnnotation(node)
+   {
+      node = s_UNWRAP_TYPE(node);
+
+      if (!node) { return null; }
+
+      const result = {};
+
+      // e.g. ?number
+      if (node.type === 'NullableTypeAnnotation')
+      {
+         result.nullable = true;
+         node = s_UNWRAP_TYPE(node.typeAnnotation);
+      }
+
+      const types = node.type === 'UnionTypeAnnotation' || node.type === 'TSUnionType' ? node.types : [node];
+
+      result.types = types.map((type) => s_TYPE_TO_STRING(type));
+
+      return result;
+   }
 }
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * The default method names of emitter calls for `guessEmits`.
+ * @type {string[]}
+ * @ignore
+ */
+const s_DEFAULT_EMITTER_METHODS = ['dispatchEvent', 'emit', 'trigger', 'triggerAsync', 'triggerSync'];
+
+/**
+ * Determines if a statement always completes by `return` or `throw`, so the code following the statement is not
+ * reachable. Loops are not analyzed and are considered to complete normally.
+ *
+ * @param {ASTNode}  node - A statement node.
+ *
+ * @returns {boolean} true if the statement always returns or throws.
+ * @ignore
+ */
+const s_IS_TERMINATED = (node) =>
+{
+   if (!node) { return false; }
+
+   switch (node.type)
+   {
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+         return true;
+
+      case 'BlockStatement':
+         return node.body.some(s_IS_TERMINATED);
+
+      case 'IfStatement':
+         return s_IS_TERMINATED(node.consequent) && s_IS_TERMINATED(node.alternate);
+
+      case 'LabeledStatement':
+         return s_IS_TERMINATED(node.body);
+
+      // A `switch` without `break` statements terminates when there is a `default` case and the last case terminates;
+      // cases without statements fall through.
+      case 'SwitchStatement':
+      {
+         const hasBreak = node.cases.some((switchCase) => switchCase.consequent.some((statement) =>
+          statement.type === 'BreakStatement'));
+
+         const lastCase = node.cases[node.cases.length - 1];
+
+         return !hasBreak && node.cases.some((switchCase) => switchCase.test === null) && !!lastCase &&
+          lastCase.consequent.some(s_IS_TERMINATED);
+      }
+
+      case 'TryStatement':
+         if (node.finalizer && s_IS_TERMINATED(node.finalizer)) { return true; }
+
+         return s_IS_TERMINATED(node.block) && (!node.handler || s_IS_TERMINATED(node.handler.body));
+   }
+
+   return false;
+};
+
+/**
+ * Maps Flow / TypeScript type annotation nodes without child types to TJSDoc types.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_SIMPLE_TYPES = {
+   AnyTypeAnnotation: '*',
+   BooleanLiteralTypeAnnotation: 'boolean',
+   BooleanTypeAnnotation: 'boolean',
+   EmptyTypeAnnotation: '*',
+   ExistsTypeAnnotation: '*',
+   FunctionTypeAnnotation: 'function',
+   MixedTypeAnnotation: '*',
+   NullLiteralTypeAnnotation: 'null',
+   NumberLiteralTypeAnnotation: 'number',
+   NumberTypeAnnotation: 'number',
+   NumericLiteralTypeAnnotation: 'number',
+   StringLiteralTypeAnnotation: 'string',
+   StringTypeAnnotation: 'string',
+   ThisTypeAnnotation: '*',
+   TypeofTypeAnnotation: '*',
+   VoidTypeAnnotation: 'void',
+   TSAnyKeyword: '*',
+   TSBooleanKeyword: 'boolean',
+   TSConstructorType: 'function',
+   TSFunctionType: 'function',
+   TSNeverKeyword: '*',
+   TSNullKeyword: 'null',
+   TSNumberKeyword: 'number',
+   TSObjectKeyword: 'Object',
+   TSStringKeyword: 'string',
+   TSSymbolKeyword: 'symbol',
+   TSThisType: '*',
+   TSTypeQuery: '*',
+   TSUndefinedKeyword: 'undefined',
+   TSUnknownKeyword: '*',
+   TSVoidKeyword: 'void'
+};
+
+/**
+ * Converts a qualified type name node to a string.
+ * e.g. ``Foo.Bar`` from Flow `QualifiedTypeIdentifier` or TypeScript `TSQualifiedName` nodes.
+ *
+ * @param {ASTNode}  node - A type name node.
+ *
+ * @returns {string} type name.
+ * @ignore
+ */
+const s_TYPE_NAME = (node) =>
+{
+   switch (node.type)
+   {
+      case 'QualifiedTypeIdentifier':
+         return `${s_TYPE_NAME(node.qualification)}.${node.id.name}`;
+
+      case 'TSQualifiedName':
+         return `${s_TYPE_NAME(node.left)}.${node.right.name}`;
+
+      default:
+         return node.name;
+   }
+};
+
+/**
+ * Converts a Flow / TypeScript type annotation node to a TJSDoc type string.
+ *
+ * @param {ASTNode}  node - A type annotation node.
+ *
+ * @returns {string} type string.
+ * @ignore
+ */
+const s_TYPE_TO_STRING = (node) =>
+{
+   node = s_UNWRAP_TYPE(node);
+
+   if (!node) { return '*'; }
+
+   if (node.type in s_SIMPLE_TYPES) { return s_SIMPLE_TYPES[node.type]; }
+
+   // Wraps union / intersection element types of array types.
+   const toElementString = (elementNode) =>
+   {
+      const type = s_TYPE_TO_STRING(elementNode);
+
+      return (/[|&]/).test(type) ? `(${type})` : type;
+   };
+
+   switch (node.type)
+   {
+      case 'ArrayTypeAnnotation':
+      case 'TSArrayType':
+         return `${toElementString(node.elementType)}[]`;
+
+      case 'GenericTypeAnnotation':
+      case 'TSTypeReference':
+      {
+         const name = s_TYPE_NAME(node.type === 'GenericTypeAnnotation' ? node.id : node.typeName);
+         const params = node.typeParameters ? node.typeParameters.params : [];
+
+         // e.g. Array<number> is converted to number[]
+         if (name === 'Array' && params.length === 1) { return `${toElementString(params[0])}[]`; }
+
+         return params.length ? `${name}<${params.map((param) => s_TYPE_TO_STRING(param)).join(', ')}>` : name;
+      }
+
+      case 'IntersectionTypeAnnotation':
+      case 'TSIntersectionType':
+         return node.types.map((type) => s_TYPE_TO_STRING(type)).join('&');
+
+      case 'NullableTypeAnnotation':
+         return `?${s_TYPE_TO_STRING(node.typeAnnotation)}`;
+
+      case 'ObjectTypeAnnotation':
+      case 'TSTypeLiteral':
+      {
+         // e.g. {a: number, b?: string} is converted to {"a": number, "b": string}
+         const properties = node.type === 'ObjectTypeAnnotation' ? node.properties : node.members;
+         const types = [];
+
+         for (const property of properties)
+         {
+            if (!property.key) { continue; }
+
+            const name = property.key.name || property.key.value;
+            const value = property.type === 'ObjectTypeProperty' ? property.value : property.typeAnnotation;
+
+            types.push(`"${name}": ${s_TYPE_TO_STRING(value)}`);
+         }
+
+         return types.length ? `{${types.join(', ')}}` : 'Object';
+      }
+
+      case 'TSLiteralType':
+         return typeof node.literal.value;
+
+      case 'TupleTypeAnnotation':
+      case 'TSTupleType':
+         return 'Array';
+
+      case 'UnionTypeAnnotation':
+      case 'TSUnionType':
+         return node.types.map((type) => s_TYPE_TO_STRING(type)).join('|');
+
+      default:
+         return '*';
+   }
+};
+
+/**
+ * Creates a union of the given types removing duplicates. A union with the unknown type `*` collapses to `*`.
+ *
+ * @param {string[]} types - The types to unite.
+ *
+ * @returns {string[]} union types.
+ * @ignore
+ */
+const s_UNION = (types) =>
+{
+   if (types.includes('*')) { return ['*']; }
+
+   return types.filter((type, index) => types.indexOf(type) === index);
+};
+
+/**
+ * Unwraps `TypeAnnotation`, `TSTypeAnnotation` and `TSParenthesizedType` nodes.
+ *
+ * @param {ASTNode}  node - A type annotation node.
+ *
+ * @returns {ASTNode|undefined} unwrapped type annotation node.
+ * @ignore
+ */
+const s_UNWRAP_TYPE = (node) =>
+{
+   while (node && (node.type === 'TypeAnnotation' || node.type === 'TSTypeAnnotation' ||
+    node.type === 'TSParenthesizedType'))
+   {
+      node = node.typeAnnotation;
+   }
+
+   return node;
+};
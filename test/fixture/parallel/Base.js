@@ -0,0 +1,18 @@
+/**
+ * Options of a base.
+ */
+export class Options {}
+
+/**
+ * A base.
+ */
+export default class Base
+{
+   /**
+    * @param {Options} options - The options.
+    */
+   constructor(options)
+   {
+      this.options = options;
+   }
+}
@@ -0,0 +1,19 @@
+import Base, { Options } from './Base.js';
+
+/**
+ * Extends {@link Base}.
+ */
+export default class Foo extends Base
+{
+   /**
+    * @param {Base} base - Another base.
+    *
+    * @returns {Options} The options.
+    */
+   run(base)
+   {
+      this.emit('run', base);
+
+      return new Options();
+   }
+}
@@ -0,0 +1,4 @@
+/**
+ * A zed.
+ */
+export default class Zed {}
@@ -0,0 +1,2 @@
+export { default as Foo } from './Foo.js';
+export * from './Base.js';
@@ -0,0 +1,13 @@
+import Zed from './Zed.js';
+
+/**
+ * The default import is processed after this file, so the type name is not resolved.
+ *
+ * @param {Zed} zed - A zed.
+ *
+ * @returns {boolean} True if the zed is a `Zed`.
+ */
+export function later(zed)
+{
+   return zed instanceof Zed;
+}
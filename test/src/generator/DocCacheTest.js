@@ -0,0 +1,134 @@
+import { assert }   from 'chai';
+import Events       from 'backbone-esnext-events';
+import fs           from 'fs';
+import os           from 'os';
+import path         from 'path';
+
+import ASTUtil      from '../../../src/parser/ASTUtil.js';
+import DocCache     from '../../../src/generator/DocCache.js';
+
+/**
+ * Removes a directory and all of its contents.
+ *
+ * @param {string}   dirPath - The directory to remove.
+ */
+const removeDir = (dirPath) =>
+{
+   for (const entry of fs.readdirSync(dirPath))
+   {
+      const entryPath = path.join(dirPath, entry);
+
+      if (fs.statSync(entryPath).isDirectory()) { removeDir(entryPath); }
+      else { fs.unlinkSync(entryPath); }
+   }
+
+   fs.rmdirSync(dirPath);
+};
+
+/** @test {DocCache} */
+describe('DocCache:', () =>
+{
+   let directory;
+
+   beforeEach(() => { directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tjsdoc-cache-')); });
+
+   afterEach(() => removeDir(directory));
+
+   it('throws when the directory is not a string', () =>
+   {
+      assert.throws(() => new DocCache(), TypeError, `'directory' is not a 'string'.`);
+   });
+
+   it('creates keys from the contents, config and generator options', () =>
+   {
+      const cache = new DocCache({ directory, config: { access: ['public'] } });
+      const key = cache.createKey('class Foo {}', { filePath: 'src/Foo.js' });
+
+      assert.match(key, /^[0-9a-f]{64}$/);
+      assert.strictEqual(cache.createKey('class Foo {}', { filePath: 'src/Foo.js' }), key);
+      assert.notStrictEqual(cache.createKey('class Bar {}', { filePath: 'src/Foo.js' }), key);
+      assert.notStrictEqual(cache.createKey('class Foo {}', { filePath: 'src/Bar.js' }), key);
+      assert.notStrictEqual(new DocCache({ directory }).createKey('class Foo {}', { filePath: 'src/Foo.js' }), key);
+   });
+
+   it('includes function options by their source code in keys', () =>
+   {
+      const cache = new DocCache({ directory });
+
+      const publicKey = cache.createKey('', { docFilter: (doc) => doc.access === 'public' });
+      const privateKey = cache.createKey('', { docFilter: (doc) => doc.access === 'private' });
+
+      assert.notStrictEqual(publicKey, privateKey);
+      assert.strictEqual(cache.createKey('', { docFilter: (doc) => doc.access === 'public' }), publicKey);
+   });
+
+   it('gets data set for a key and misses unknown keys and unreadable entries', () =>
+   {
+      const cache = new DocCache({ directory: path.join(directory, 'nested') });
+      const key = cache.createKey('class Foo {}');
+      const data = { docIDCount: 1, docObjects: [{ __docId__: 0, longname: 'src/Foo.js' }] };
+
+      assert.isUndefined(cache.get(key));
+
+      cache.set(key, data);
+
+      assert.deepEqual(cache.get(key), data);
+      assert.isTrue(fs.existsSync(path.join(directory, 'nested', key.slice(0, 2), `${key}.json`)));
+
+      fs.writeFileSync(path.join(directory, 'nested', key.slice(0, 2), `${key}.json`), '{');
+
+      assert.isUndefined(cache.get(key));
+   });
+
+   it('records and replays invalid code and warnings', () =>
+   {
+      const cache = new DocCache({ directory });
+      const eventbus = new Events();
+
+      new ASTUtil().onPluginLoad({ eventbus });
+
+      const diagnostics = cache.recordDiagnostics(eventbus, () =>
+      {
+         eventbus.trigger('tjsdoc:system:invalid:code:add',
+          { filePath: 'src/Foo.js', node: { type: 'Identifier', start: 1, end: 2 }, fatalError: new Error('bad') });
+
+         eventbus.trigger('log:warn', 'warning', 1);
+      });
+
+      assert.lengthOf(diagnostics.invalidCode, 1);
+      assert.deepEqual(diagnostics.warnings, [['warning', 1]]);
+
+      // The recording listeners are removed after the callback.
+      eventbus.trigger('log:warn', 'ignored');
+
+      assert.lengthOf(diagnostics.warnings, 1);
+
+      const invalidCode = [];
+      const warnings = [];
+
+      eventbus.on('tjsdoc:system:invalid:code:add', (data) => invalidCode.push(data));
+      eventbus.on('log:warn', (...args) => warnings.push(args));
+
+      cache.replayDiagnostics(JSON.parse(JSON.stringify(diagnostics)), eventbus);
+
+      assert.lengthOf(invalidCode, 1);
+      assert.strictEqual(invalidCode[0].filePath, 'src/Foo.js');
+      assert.deepEqual(invalidCode[0].node, { type: 'Identifier', start: 1, end: 2 });
+      assert.strictEqual(invalidCode[0].fatalError.message, 'bad');
+      assert.deepEqual(warnings, [['warning', 1]]);
+   });
+
+   it('removes the recording listeners when the callback throws', () =>
+   {
+      const cache = new DocCache({ directory });
+      const eventbus = new Events();
+      const off = eventbus.off;
+      const removed = [];
+
+      eventbus.off = (name, callback) => { removed.push(name); return off.call(eventbus, name, callback); };
+
+      assert.throws(() => cache.recordDiagnostics(eventbus, () => { throw new Error('failed'); }), 'failed');
+
+      assert.sameMembers(removed, ['tjsdoc:system:invalid:code:add', 'log:warn']);
+   });
+});
@@ -0,0 +1,610 @@
+import { assert }         from 'chai';
+
+import DocGenerator       from '../../../src/generator/DocGenerator.js';
+
+import { parseCode }      from '../../utils/parseSource.js';
+import TestDocDB          from '../../utils/TestDocDB.js';
+import TestPathResolver   from '../../utils/TestPathResolver.js';
+
+import { createRuntime, generateDocs }   from '../../utils/testRuntime.js';
+
+/** @test {DocGenerator} */
+describe('DocGenerator class private members and static blocks:', () =>
+{
+   // Babylon 6 does not parse private names or static blocks, so `@babel/parser` is used.
+   const code =
+    `export default class Foo
+     {
+        /** @type {number} */
+        #bar = 1;
+
+        /**
+         * @param {string} qux - A qux.
+         */
+        #baz(qux)
+        {
+           return this.#bar;
+        }
+
+        static
+        {
+           /** @type {number} */
+           this.corge = 2;
+        }
+     }`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code, { babel: true })); });
+
+   it('creates private doc objects for private properties', () =>
+   {
+      const doc = docDB.find({ category: 'ClassProperty', name: '#bar' })[0];
+
+      assert.isTrue(doc.isPrivateName);
+      assert.strictEqual(doc.access, 'private');
+      assert.strictEqual(doc.memberof, 'src/Foo.js~Foo');
+      assert.deepEqual(doc.type.types, ['number']);
+   });
+
+   it('creates private doc objects for private methods', () =>
+   {
+      const doc = docDB.find({ category: 'ClassMethod', name: '#baz' })[0];
+
+      assert.isTrue(doc.isPrivateName);
+      assert.strictEqual(doc.access, 'private');
+      assert.strictEqual(doc.memberof, 'src/Foo.js~Foo');
+      assert.deepEqual(doc.params.map((param) => param.name), ['qux']);
+   });
+
+   it('creates static member doc objects for `this` assignments in static blocks', () =>
+   {
+      const doc = docDB.find({ category: 'ClassMember', name: 'corge' })[0];
+
+      assert.isTrue(doc.static);
+      assert.isFalse(doc.isPrivateName);
+      assert.strictEqual(doc.memberof, 'src/Foo.js~Foo');
+   });
+});
+
+/** @test {ClassMemberDoc#_$type} */
+describe('DocGenerator member types from method params:', () =>
+{
+   const code =
+    `import Logger from './Logger.js';
+
+     export default class Foo
+     {
+        /**
+         * @param {?Logger} logger - A logger.
+         *
+         * @param {number} count - A count documented for another name.
+         *
+         * @param {object} options - Options.
+         *
+         * @param {string} options.name - A name.
+         */
+        constructor(logger, amount, { name, level = 1 }, retries = 3)
+        {
+           this.logger = logger;
+           this.secondLogger = logger;
+           this.amount = amount;
+           this.name = name;
+           this.level = level;
+           this.retries = retries;
+        }
+     }`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code)); });
+
+   const findType = (name) => docDB.find({ category: 'ClassMember', name })[0].type;
+
+   it('takes the type of a typed @param', () =>
+   {
+      assert.deepEqual(findType('logger'), { types: ['Logger'], nullable: true });
+   });
+
+   it('creates a separate type for each member of the same param', () =>
+   {
+      assert.deepEqual(findType('secondLogger'), findType('logger'));
+      assert.notStrictEqual(findType('secondLogger'), findType('logger'));
+   });
+
+   it('does not take the type of a @param with another name', () =>
+   {
+      assert.deepEqual(findType('amount'), { types: ['*'] });
+   });
+
+   it('does not take the type of a dotted @param for a destructured param', () =>
+   {
+      assert.deepEqual(findType('name'), { types: ['*'] });
+   });
+
+   it('guesses the type of destructured and default params from the default value', () =>
+   {
+      assert.deepEqual(findType('level'), { types: ['number'] });
+      assert.deepEqual(findType('retries'), { types: ['number'] });
+   });
+});
+
+/** @test {ParamParser#parseTypeAnnotation} */
+describe('DocGenerator Flow type annotations:', () =>
+{
+   const code =
+    `/** Foo. */
+     export function foo(a: number, b: ?string = 'b', ...c: Array<number>): Promise<number> {}
+
+     /** Bar. */
+     export function bar(a): void { return a; }
+
+     /** Baz. */
+     export const baz: Map<string, number> = new Map();
+
+     /** Qux. */
+     export default class Qux
+     {
+        /** Corge. */
+        corge: number | string = 1;
+
+        /**
+         * Run.
+         * @param {string} a - A documented param.
+         */
+        run(a: number): boolean { return a; }
+     }`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code, { plugins: ['flow'] })); });
+
+   it('takes param types from type annotations', () =>
+   {
+      const params = docDB.find({ category: 'ModuleFunction', name: 'foo' })[0].params;
+
+      assert.deepEqual(params.map((param) => param.types), [['number'], ['string'], ['...number']]);
+      assert.isTrue(params[1].nullable);
+      assert.isTrue(params[1].optional);
+      assert.isTrue(params[2].spread);
+   });
+
+   it('takes return types from type annotations and skips `void`', () =>
+   {
+      assert.deepEqual(docDB.find({ category: 'ModuleFunction', name: 'foo' })[0].return.types, ['Promise<number>']);
+      assert.isUndefined(docDB.find({ category: 'ModuleFunction', name: 'bar' })[0].return);
+      assert.deepEqual(docDB.find({ category: 'ClassMethod', name: 'run' })[0].return.types, ['boolean']);
+   });
+
+   it('takes variable and class property types from type annotations', () =>
+   {
+      assert.deepEqual(docDB.find({ category: 'ModuleVariable', name: 'baz' })[0].type.types,
+       ['Map<string, number>']);
+
+      assert.deepEqual(docDB.find({ category: 'ClassProperty', name: 'corge' })[0].type.types, ['number', 'string']);
+   });
+
+   it('prefers documented @param types over type annotations', () =>
+   {
+      assert.deepEqual(docDB.find({ category: 'ClassMethod', name: 'run' })[0].params[0].types, ['string']);
+   });
+});
+
+/** @test {EventBindingDoc} */
+describe('DocGenerator event bindings:', () =>
+{
+   const code =
+    `export default class Plugin
+     {
+        /**
+         * Finds a value.
+         *
+         * @param {string} name - A name.
+         *
+         * @returns {number} A value.
+         */
+        find(name) { return 1; }
+
+        /** Creates a plugin. */
+        static create() {}
+
+        /**
+         * Adds the event bindings.
+         *
+         * @param {PluginEvent} ev - The plugin event.
+         */
+        onPluginLoad(ev)
+        {
+           ev.eventbus.on('test:find', this.find, this);
+
+           const eventbus = ev.eventbus;
+           eventbus.on(\`test:template\`, this.find, this);
+
+           this._eventbus = ev.eventbus;
+           this._eventbus.on('test:create', this.create);
+
+           [1].forEach(() => { ev.eventbus.on('test:arrow', (a = 1) => 'a'); });
+
+           const bus = ev.other;
+           bus.on('test:local', this.find, this);
+           other.on('test:global', this.find, this);
+           this._other.on('test:member', this.find, this);
+           ev.eventbus.on(\`test:\${name}\`, this.find, this);
+           ev.eventbus.on('test:handlerless');
+           ev.eventbus.once('test:once', this.find, this);
+
+           function nested() { ev.eventbus.on('test:nested', this.find, this); }
+        }
+
+        /**
+         * Adds no event bindings.
+         *
+         * @param {PluginEvent} ev - The plugin event.
+         */
+        load(ev) { ev.eventbus.on('test:load', this.find, this); }
+     }`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code)); });
+
+   it('creates doc objects for the bindings of the plugin eventbus in `onPluginLoad`', () =>
+   {
+      const docs = docDB.find({ category: 'EventBinding' });
+
+      assert.sameMembers(docs.map((doc) => doc.name), ['test:find', 'test:template', 'test:create', 'test:arrow']);
+
+      for (const doc of docs) { assert.strictEqual(doc.memberof, 'src/Foo.js~Plugin'); }
+   });
+
+   it('resolves handler methods and links them with the bindings', () =>
+   {
+      const doc = docDB.find({ category: 'EventBinding', name: 'test:find' })[0];
+      const handlerDoc = docDB.find({ category: 'ClassMethod', name: 'find' })[0];
+
+      assert.strictEqual(doc.eventHandler, 'src/Foo.js~Plugin#find');
+      assert.isFalse(doc.eventHandlerInline);
+      assert.deepEqual(doc.params.map((param) => param.name), ['name']);
+      assert.deepEqual(doc.return.types, ['number']);
+
+      const templateDoc = docDB.find({ category: 'EventBinding', name: 'test:template' })[0];
+
+      assert.sameMembers(handlerDoc.eventBindings, [doc.longname, templateDoc.longname]);
+
+      assert.strictEqual(docDB.find({ category: 'EventBinding', name: 'test:create' })[0].eventHandler,
+       'src/Foo.js~Plugin.create');
+   });
+
+   it('guesses params and return of inline handlers', () =>
+   {
+      const doc = docDB.find({ category: 'EventBinding', name: 'test:arrow' })[0];
+
+      assert.isNull(doc.eventHandler);
+      assert.isTrue(doc.eventHandlerInline);
+      assert.deepEqual(doc.params.map((param) => param.types), [['number']]);
+      assert.deepEqual(doc.return.types, ['string']);
+   });
+
+   it('resolves handler functions of function plugins', async () =>
+   {
+      const { docDB: functionDocDB } = await generateDocs(
+       `/**
+         * Helps.
+         *
+         * @param {number} a - A value.
+         */
+        export function helper(a) {}
+
+        /**
+         * Adds the event bindings.
+         *
+         * @param {PluginEvent} ev - The plugin event.
+         */
+        export function onPluginLoad(ev) { ev.eventbus.on('test:helper', helper); }`);
+
+      const doc = functionDocDB.find({ category: 'EventBinding', name: 'test:helper' })[0];
+
+      assert.strictEqual(doc.memberof, 'src/Foo.js');
+      assert.strictEqual(doc.eventHandler, 'src/Foo.js~helper');
+      assert.deepEqual(doc.params.map((param) => param.types), [['number']]);
+
+      assert.deepEqual(functionDocDB.find({ category: 'ModuleFunction', name: 'helper' })[0].eventBindings,
+       [doc.longname]);
+   });
+});
+
+/** @test {DocGenerator#traverse} */
+describe('DocGenerator instances:', () =>
+{
+   /**
+    * Creates a DocGenerator for in memory source code.
+    *
+    * @param {Events}      eventbus - The plugin eventbus.
+    *
+    * @param {TestDocDB}   docDB - The target DocDB.
+    *
+    * @param {string}      code - The source code.
+    *
+    * @param {string}      filePath - The file path of the source code.
+    *
+    * @param {object}      [options] - Additional DocGenerator options.
+    *
+    * @returns {DocGenerator} DocGenerator.
+    */
+   const createGenerator = (eventbus, docDB, code, filePath, options = {}) => new DocGenerator(Object.assign(
+    { ast: parseCode(code), docDB, pathResolver: new TestPathResolver(filePath), eventbus, code }, options));
+
+   let eventbus;
+
+   beforeEach(async () => { ({ eventbus } = await createRuntime()); });
+
+   it('keeps the state of each traversal in separate instances', () =>
+   {
+      const docDB = new TestDocDB();
+
+      const first = createGenerator(eventbus, docDB, `export default class A { /** Run. */ run() {} }`, 'src/A.js');
+      const second = createGenerator(eventbus, docDB, `export default class B { /** Run. */ run() {} }`, 'src/B.js');
+
+      second.traverse();
+      first.traverse();
+
+      const classDocs = ['A', 'B'].map((name) => docDB.find({ name })[0]);
+      const methodDocs = docDB.find({ name: 'run' });
+
+      assert.notStrictEqual(classDocs[0].__moduleID__, classDocs[1].__moduleID__);
+
+      assert.deepEqual(methodDocs.map((doc) => doc.memberof), ['src/B.js~B', 'src/A.js~A']);
+      assert.deepEqual(methodDocs.map((doc) => doc.__moduleID__), [classDocs[1].__moduleID__,
+       classDocs[0].__moduleID__]);
+   });
+
+   it('throws when an instance is traversed twice', () =>
+   {
+      const generator = createGenerator(eventbus, new TestDocDB(), `export default class A {}`, 'src/A.js');
+
+      generator.traverse();
+
+      assert.throws(() => generator.traverse(), Error, `'traverse' may only be invoked once.`);
+   });
+
+   it('does not leave state behind after a traversal throws', () =>
+   {
+      const docFilter = () => { throw new Error('filter failed'); };
+
+      const code = `export default class A {}`;
+
+      assert.throws(() => DocGenerator.resetAndTraverse({ ast: parseCode(code), docDB: new TestDocDB(),
+       pathResolver: new TestPathResolver('src/A.js'), eventbus, code, docFilter }), 'filter failed');
+
+      const docDB = new TestDocDB();
+
+      DocGenerator.resetAndTraverse({ ast: parseCode(code), docDB, pathResolver: new TestPathResolver('src/B.js'),
+       eventbus, code });
+
+      const doc = docDB.find({ name: 'A' })[0];
+
+      assert.strictEqual(doc.longname, 'src/B.js~A');
+      assert.isTrue(doc.export);
+      assert.strictEqual(doc.memberof, 'src/B.js');
+   });
+});
+
+/** @test {DocGenerator#_mergeAccessorDoc} */
+describe('DocGenerator accessor pairs:', () =>
+{
+   const code =
+    `export default class Foo
+     {
+        /** Gets the value. */
+        get value() { return 1; }
+
+        /**
+         * Sets the value.
+         *
+         * @param {string} value - A value.
+         */
+        set value(value) {}
+
+        /** Gets a read only value. */
+        get readOnly() { return 1; }
+
+        /** Sets a write only value. */
+        set writeOnly(value = 'a') {}
+
+        /** Gets the static value. */
+        static get value() { return 'a'; }
+     }`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code)); });
+
+   /**
+    * Finds the accessor doc objects with the given name and static-ness.
+    *
+    * @param {string}   name - The accessor name.
+    *
+    * @param {boolean}  [isStatic=false] - The static-ness of the accessor.
+    *
+    * @returns {DocObject[]} The accessor doc objects.
+    */
+   const findAccessors = (name, isStatic = false) =>
+    docDB.find({ category: 'ClassMember', name }).filter((doc) => doc.static === isStatic);
+
+   it('merges a getter / setter pair into a single accessor doc object', () =>
+   {
+      const docs = findAccessors('value');
+
+      assert.lengthOf(docs, 1);
+      assert.strictEqual(docs[0].qualifier, 'accessor');
+      assert.isFalse(docs[0].readonly);
+      assert.isFalse(docs[0].writeonly);
+   });
+
+   it('merges the descriptions and reconciles the type from the getter and setter', () =>
+   {
+      const doc = findAccessors('value')[0];
+
+      assert.strictEqual(doc.description, 'Gets the value.\nSets the value.');
+      assert.deepEqual(doc.type.types, ['number', 'string']);
+   });
+
+   it('marks unpaired getters as readonly and unpaired setters as writeonly', () =>
+   {
+      const getter = findAccessors('readOnly')[0];
+      const setter = findAccessors('writeOnly')[0];
+
+      assert.strictEqual(getter.qualifier, 'get');
+      assert.isTrue(getter.readonly);
+      assert.isFalse(getter.writeonly);
+
+      assert.strictEqual(setter.qualifier, 'set');
+      assert.isFalse(setter.readonly);
+      assert.isTrue(setter.writeonly);
+   });
+
+   it('pairs accessors by static-ness', () =>
+   {
+      const docs = findAccessors('value', true);
+
+      assert.lengthOf(docs, 1);
+      assert.strictEqual(docs[0].qualifier, 'get');
+      assert.isTrue(docs[0].readonly);
+      assert.deepEqual(docs[0].type.types, ['string']);
+   });
+});
+
+/** @test {DocGenerator#_processNamedExport} */
+describe('DocGenerator renamed exports:', () =>
+{
+   const code =
+    `/** Internal foo. */
+     function internalFoo() {}
+
+     /** Bar. */
+     class Bar {}
+
+     /** Qux. */
+     export function qux() {}
+
+     export { internalFoo as foo, internalFoo as default, internalFoo };
+     export { Bar as Baz };
+     export { qux as quux };`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateDocs(code)); });
+
+   it('exports the doc object of the local name of renamed export specifiers', () =>
+   {
+      const doc = docDB.find({ category: 'ModuleClass', name: 'Bar' })[0];
+
+      assert.isTrue(doc.export);
+      assert.deepEqual(doc.exportedAs, ['Baz']);
+      assert.deepEqual(doc.importStyles, ['{Baz}']);
+      assert.strictEqual(doc.importStyle, '{Baz}');
+
+      assert.lengthOf(docDB.find({ name: 'Baz' }), 0);
+   });
+
+   it('records every public import form of a doc object exported under several names', () =>
+   {
+      const doc = docDB.find({ category: 'ModuleFunction', name: 'internalFoo' })[0];
+
+      assert.isTrue(doc.export);
+      assert.deepEqual(doc.exportedAs, ['foo', 'default', 'internalFoo']);
+      assert.deepEqual(doc.importStyles, ['{foo}', 'internalFoo', '{internalFoo}']);
+      assert.strictEqual(doc.importStyle, '{foo}');
+   });
+
+   it('keeps the export name of a directly exported declaration', () =>
+   {
+      const doc = docDB.find({ category: 'ModuleFunction', name: 'qux' })[0];
+
+      assert.deepEqual(doc.exportedAs, ['qux', 'quux']);
+      assert.deepEqual(doc.importStyles, ['{qux}', '{quux}']);
+      assert.strictEqual(doc.importStyle, '{qux}');
+   });
+});
+
+/** @test {DocGenerator#_findExportDoc} */
+describe('DocGenerator export linking by declaration:', () =>
+{
+   const code =
+    `import Ext from './Ext.js';
+
+     /** @typedef {object} Foo */
+
+     /** Foo class. */
+     class Foo
+     {
+        /** Creates Foo. */
+        constructor()
+        {
+           /** A member named baz. */
+           this.baz = 1;
+        }
+
+        /** A method named bar. */
+        bar() {}
+     }
+
+     /** Bar. */
+     function bar() {}
+
+     /** Baz. */
+     const baz = 1;
+
+     export { Foo, bar, baz, Ext };
+     export { nothing };
+     export default missing;`;
+
+   const lines = code.split('\n');
+
+   /**
+    * Returns the line number of the first line containing the given text.
+    *
+    * @param {string}   text - The text to find.
+    *
+    * @returns {number} line number.
+    */
+   const lineOf = (text) => lines.findIndex((line) => line.includes(text)) + 1;
+
+   let docDB, warnings;
+
+   before(async () => { ({ docDB, warnings } = await generateDocs(code)); });
+
+   it('exports only the module level declaration doc objects', () =>
+   {
+      assert.deepEqual(docDB.find({ category: 'ModuleClass', name: 'Foo' })[0].exportedAs, ['Foo']);
+      assert.deepEqual(docDB.find({ category: 'ModuleFunction', name: 'bar' })[0].exportedAs, ['bar']);
+      assert.deepEqual(docDB.find({ category: 'ModuleVariable', name: 'baz' })[0].exportedAs, ['baz']);
+   });
+
+   it('does not export typedefs or class members with the same name', () =>
+   {
+      const docs = [
+         ...docDB.find({ name: 'Foo' }).filter((doc) => doc.category !== 'ModuleClass'),
+         ...docDB.find({ category: 'ClassMethod', name: 'bar' }),
+         ...docDB.find({ category: 'ClassMember', name: 'baz' })
+      ];
+
+      assert.lengthOf(docs, 3);
+
+      for (const doc of docs) { assert.notProperty(doc, 'exportedAs'); }
+   });
+
+   it('reports exports without a module level declaration as warnings', () =>
+   {
+      const messages = warnings.map((args) => String(args[0])).filter((message) =>
+       message.startsWith('Unresolved export'));
+
+      assert.lengthOf(messages, 2);
+
+      assert.strictEqual(messages[0], `Unresolved export of 'nothing' in 'src/Foo.js' at line ${
+       lineOf('export { nothing }')}; no module level declaration doc object found.`);
+
+      assert.strictEqual(messages[1], `Unresolved export of 'missing' in 'src/Foo.js' at line ${
+       lineOf('export default missing')}; no module level declaration doc object found.`);
+   });
+});
@@ -0,0 +1,117 @@
+import { assert }      from 'chai';
+import Events          from 'backbone-esnext-events';
+
+import ASTUtil         from '../../../src/parser/ASTUtil.js';
+import DocSerializer   from '../../../src/generator/DocSerializer.js';
+
+/**
+ * Creates a plugin eventbus with a doc ID counter and the ASTUtil event bindings.
+ *
+ * @param {number}   [docID=0] - The next doc ID.
+ *
+ * @returns {Events} eventbus.
+ */
+const createEventbus = (docID = 0) =>
+{
+   const eventbus = new Events();
+
+   eventbus.on('tjsdoc:data:docdb:current:id:increment:get', () => docID++);
+
+   new ASTUtil().onPluginLoad({ eventbus });
+
+   return eventbus;
+};
+
+/**
+ * Provides the `find` query of DocDB by doc ID for the doc objects of a traversal.
+ *
+ * @param {DocObject[]} docObjects - The doc objects.
+ *
+ * @returns {{find: function}} docDB.
+ */
+const createDocDB = (docObjects) =>
+({
+   find: ({ __docId__ }) => docObjects.filter((docObject) => docObject.__docId__ === __docId__)
+});
+
+/** @test {DocSerializer} */
+describe('DocSerializer:', () =>
+{
+   it('serializes doc objects with file local doc IDs and deserializes them with new doc IDs', () =>
+   {
+      const docDB = createDocDB([
+         { __docId__: 10, longname: 'src/Foo.js', ___id: 1 },
+         { __docId__: 12, __moduleID__: 10, longname: 'src/Foo.js~Foo', ___id: 2 },
+         { __docId__: 13, longname: 'other', ___id: 3 }
+      ]);
+
+      const data = DocSerializer.serialize(docDB, [10, 11, 12]);
+
+      assert.deepEqual(data, {
+         docIDCount: 3,
+         docObjects: [
+            { __docId__: 0, longname: 'src/Foo.js' },
+            { __docId__: 2, __moduleID__: 0, longname: 'src/Foo.js~Foo' }
+         ]
+      });
+
+      // The doc ID retrieved by the traversal without a doc object is still retrieved when deserializing.
+      const docObjects = DocSerializer.deserialize(JSON.parse(JSON.stringify(data)), createEventbus(100));
+
+      assert.deepEqual(docObjects, [
+         { __docId__: 100, longname: 'src/Foo.js' },
+         { __docId__: 102, __moduleID__: 100, longname: 'src/Foo.js~Foo' }
+      ]);
+
+      assert.strictEqual(DocSerializer.toStaticDoc(docObjects[1]).value, docObjects[1]);
+   });
+
+   it('serializes and deserializes the module doc ID', () =>
+   {
+      const docDB = createDocDB([{ __docId__: 20, longname: 'src/Foo.js' }]);
+
+      const data = DocSerializer.serialize(docDB, [19, 20], 20);
+
+      assert.strictEqual(data.moduleID, 1);
+      assert.notProperty(DocSerializer.serialize(docDB, [19, 20]), 'moduleID');
+
+      const docObjects = DocSerializer.deserialize(data, createEventbus(50));
+
+      assert.strictEqual(data.moduleID, 51);
+      assert.strictEqual(docObjects[0].__docId__, 51);
+   });
+
+   it('serializes and deserializes errors', () =>
+   {
+      const error = new TypeError('bad');
+
+      const data = JSON.parse(JSON.stringify(DocSerializer.serializeError(error)));
+      const recreated = DocSerializer.deserializeError(data);
+
+      assert.instanceOf(recreated, Error);
+      assert.strictEqual(recreated.name, 'TypeError');
+      assert.strictEqual(recreated.message, 'bad');
+      assert.strictEqual(recreated.stack, error.stack);
+
+      assert.deepEqual(DocSerializer.serializeError('thrown'), { name: 'Error', message: 'thrown', stack: void 0 });
+   });
+
+   it('serializes invalid code with a sanitized node', () =>
+   {
+      const node = { type: 'ClassDeclaration', start: 0, end: 10, body: { type: 'ClassBody', body: [] },
+       leadingComments: [{ type: 'CommentBlock', value: '* Foo ' }] };
+
+      const data = JSON.parse(JSON.stringify(DocSerializer.serializeInvalidCode(
+       { filePath: 'src/Foo.js', node, fatalError: new SyntaxError('unexpected') }, createEventbus())));
+
+      assert.strictEqual(data.filePath, 'src/Foo.js');
+      assert.isUndefined(data.node.body);
+      assert.strictEqual(data.node.start, 0);
+      assert.deepEqual(data.node.leadingComments, node.leadingComments);
+
+      const invalidCode = DocSerializer.deserializeInvalidCode(data);
+
+      assert.strictEqual(invalidCode.fatalError.name, 'SyntaxError');
+      assert.strictEqual(invalidCode.fatalError.message, 'unexpected');
+   });
+});
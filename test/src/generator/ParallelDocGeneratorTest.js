@@ -0,0 +1,83 @@
+import { assert }             from 'chai';
+import path                   from 'path';
+
+import DocGenerator           from '../../../src/generator/DocGenerator.js';
+import ParallelDocGenerator   from '../../../src/generator/ParallelDocGenerator.js';
+
+import TestDocDB              from '../../utils/TestDocDB.js';
+
+import { createRuntime, plugins }   from '../../utils/testRuntime.js';
+
+/**
+ * The fixture file paths in processing order.
+ * @type {string[]}
+ */
+const filePaths = ['Base.js', 'Foo.js', 'index.js', 'later.js', 'Zed.js'].map((fileName) =>
+ path.posix.join('test', 'fixture', 'parallel', fileName));
+
+/**
+ * Returns all doc objects of a DocDB as plain data.
+ *
+ * @param {TestDocDB}   docDB - A DocDB.
+ *
+ * @returns {object[]} doc objects.
+ */
+const toData = (docDB) => JSON.parse(JSON.stringify(docDB.find()));
+
+/** @test {ParallelDocGenerator} */
+describe('ParallelDocGenerator:', () =>
+{
+   it('throws when a plugin config has an instance', () =>
+   {
+      assert.throws(() => new ParallelDocGenerator({ filePaths, docDB: new TestDocDB(),
+       plugins: [{ name: 'stateful', instance: {} }] }), TypeError,
+        `'plugins' entry 'stateful' has an 'instance' which can not be loaded by worker threads.`);
+   });
+
+   it('generates the same doc objects and doc IDs as a serial run', async () =>
+   {
+      const serial = await createRuntime();
+      const serialDocDB = new TestDocDB();
+
+      for (const filePath of filePaths)
+      {
+         new DocGenerator({
+            ast: serial.eventbus.triggerSync('tjsdoc:system:parser:code:file:parse', filePath),
+            docDB: serialDocDB,
+            pathResolver: serial.eventbus.triggerSync('tjsdoc:system:path:resolver:create', filePath),
+            eventbus: serial.eventbus
+         }).traverse();
+      }
+
+      const parallel = await createRuntime();
+      const parallelDocDB = new TestDocDB();
+
+      await new ParallelDocGenerator({ filePaths, docDB: parallelDocDB, eventbus: parallel.eventbus, plugins,
+       workerCount: 2 }).traverseAsync();
+
+      const docObjects = toData(parallelDocDB);
+
+      assert.deepEqual(docObjects, toData(serialDocDB));
+
+      // Doc IDs are assigned in file order without gaps.
+      assert.deepEqual(docObjects.map((doc) => doc.__docId__), docObjects.map((doc, index) => index));
+
+      // Default and named imports of files merged earlier are resolved on the main thread.
+      const runDoc = parallelDocDB.find({ longname: 'test/fixture/parallel/Foo.js~Foo#run' })[0];
+
+      assert.deepEqual(runDoc.params[0].types, ['test/fixture/parallel/Base.js~Base']);
+      assert.deepEqual(runDoc.return.types, ['test/fixture/parallel/Base.js~Options']);
+
+      // A default import of a file merged later is not resolved in either run.
+      const laterDoc = parallelDocDB.find({ longname: 'test/fixture/parallel/later.js~later' })[0];
+
+      assert.deepEqual(laterDoc.params[0].types, ['Zed']);
+
+      // Emitted events are aggregated to the class.
+      const fooDoc = parallelDocDB.find({ longname: 'test/fixture/parallel/Foo.js~Foo' })[0];
+
+      assert.deepEqual(fooDoc.emits.map((entry) => entry.types), [['run']]);
+
+      assert.lengthOf(parallel.invalidCode, 0);
+   });
+});
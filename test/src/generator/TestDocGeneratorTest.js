@@ -0,0 +1,364 @@
+import { assert }            from 'chai';
+
+import TestDocGenerator      from '../../../src/generator/TestDocGenerator.js';
+
+import { parseCode }         from '../../utils/parseSource.js';
+import TestDocDB             from '../../utils/TestDocDB.js';
+import TestPathResolver      from '../../utils/TestPathResolver.js';
+
+import { createRuntime, generateTestDocs }  from '../../utils/testRuntime.js';
+
+/**
+ * Finds the test doc object with the given description.
+ *
+ * @param {TestDocDB}   docDB - The DocDB containing the test doc objects.
+ *
+ * @param {string}      description - The test description.
+ *
+ * @returns {DocObject} The test doc object.
+ */
+const findTest = (docDB, description) =>
+{
+   const docs = docDB.find({ description });
+
+   assert.lengthOf(docs, 1, `test doc '${description}'`);
+
+   return docs[0];
+};
+
+/** @test {TestDocGenerator#_pushForMocha} */
+describe('TestDocGenerator Mocha test status:', () =>
+{
+   const code =
+    `describe('add', () =>
+     {
+        it('adds', () => {});
+        it.skip('adds skipped', () => {});
+        it.only('adds only', () => {});
+        xit('adds x', () => {});
+        it('adds pending');
+        test.skip('adds test skipped', () => {});
+
+        describe.skip('nested skipped', () => { it('adds nested', () => {}); });
+        xdescribe('nested x', () => {});
+        context.only('nested only', () => {});
+     });`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateTestDocs(code)); });
+
+   it('creates test docs without a status for tests with a callback', () =>
+   {
+      assert.notProperty(findTest(docDB, 'add'), 'status');
+      assert.notProperty(findTest(docDB, 'adds'), 'status');
+      assert.notProperty(findTest(docDB, 'adds nested'), 'status');
+   });
+
+   it('creates test docs with a status for `.only` / `.skip` variants and prefixed aliases', () =>
+   {
+      const tests = ['adds skipped', 'adds only', 'adds x', 'adds test skipped', 'nested skipped', 'nested x',
+       'nested only'].map((description) => findTest(docDB, description));
+
+      assert.deepEqual(tests.map((doc) => doc.status), ['skip', 'only', 'skip', 'skip', 'skip', 'skip', 'only']);
+      assert.deepEqual(tests.map((doc) => doc.qualifier), ['it', 'it', 'it', 'it', 'describe', 'describe', 'describe']);
+   });
+
+   it('creates pending test docs for tests without a callback', () =>
+   {
+      const doc = findTest(docDB, 'adds pending');
+
+      assert.strictEqual(doc.status, 'pending');
+      assert.strictEqual(doc.qualifier, 'it');
+   });
+
+   it('creates test docs of variants as members of the enclosing test doc', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'adds skipped').memberof, 'test/FooTest.js~add');
+      assert.strictEqual(findTest(docDB, 'adds nested').memberof, 'test/FooTest.js~add.nested-skipped');
+   });
+});
+
+/** @test {TestDocGenerator#_pushForMocha} */
+describe('TestDocGenerator Mocha lifecycle hooks:', () =>
+{
+   const code =
+    `describe('add', () =>
+     {
+        /** Creates the fixtures. */
+        beforeEach(() =>
+        {
+           fixtures = [];
+        });
+
+        after('close the database', () => {});
+
+        describe('nested', () =>
+        {
+           suiteSetup(() => {});
+        });
+
+        it('adds', () => {});
+     });
+
+     before(() => {});`;
+
+   const lines = code.split('\n');
+
+   /**
+    * Returns the line number of the first line containing the given text.
+    *
+    * @param {string}   text - The text to find.
+    *
+    * @returns {number} line number.
+    */
+   const lineOf = (text) => lines.findIndex((line) => line.includes(text)) + 1;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateTestDocs(code)); });
+
+   it('creates hook test docs as members of the enclosing describe test doc', () =>
+   {
+      const doc = findTest(docDB, 'Creates the fixtures.');
+
+      assert.strictEqual(doc.qualifier, 'hook');
+      assert.strictEqual(doc.hook, 'beforeEach');
+      assert.strictEqual(doc.memberof, 'test/FooTest.js~add');
+
+      assert.strictEqual(findTest(docDB, 'suiteSetup').memberof, 'test/FooTest.js~add.nested');
+      assert.strictEqual(findTest(docDB, 'before').memberof, 'test/FooTest.js');
+   });
+
+   it('describes hooks by the leading comment otherwise the hook title or name', () =>
+   {
+      const doc = findTest(docDB, 'close the database');
+
+      assert.strictEqual(doc.hook, 'after');
+      assert.strictEqual(findTest(docDB, 'suiteSetup').hook, 'suiteSetup');
+   });
+
+   it('sets the source line range of hooks', () =>
+   {
+      const doc = findTest(docDB, 'Creates the fixtures.');
+
+      assert.strictEqual(doc.lineNumberEnd, lineOf('fixtures = [];') + 1);
+      assert.strictEqual(findTest(docDB, 'close the database').lineNumberEnd, lineOf('close the database'));
+   });
+
+   it('does not set a hook or a status for tests', () =>
+   {
+      const doc = findTest(docDB, 'adds');
+
+      assert.notProperty(doc, 'hook');
+      assert.notProperty(doc, 'status');
+      assert.notProperty(doc, 'lineNumberEnd');
+   });
+});
+
+/** @test {TestDocGenerator#_createTestName} */
+describe('TestDocGenerator test names:', () =>
+{
+   const code =
+    `describe('Add Numbers', () =>
+     {
+        describe('adds 1 + 1', () => { it('first', () => {}); });
+        describe('Adds 1 + 1!', () => { it('second', () => {}); });
+        describe('adds 1 + 1', () => { it('third', () => {}); });
+
+        describe('other', () => { describe('adds 1 + 1', () => { it('nested', () => {}); }); });
+     });
+
+     describe('add numbers', () => { it('collision', () => {}); });
+
+     describe(Foo, () => { it('class title', () => {}); });
+
+     describe('+++', () => { it('no slug', () => {}); });`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateTestDocs(code)); });
+
+   it('creates memberof chains from slugified test titles', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'first').memberof, 'test/FooTest.js~add-numbers.adds-1-1');
+      assert.strictEqual(findTest(docDB, 'class title').memberof, 'test/FooTest.js~foo');
+      assert.strictEqual(findTest(docDB, 'nested').memberof, 'test/FooTest.js~add-numbers.other.adds-1-1');
+      assert.strictEqual(findTest(docDB, 'nested').testDepth, 3);
+   });
+
+   it('suffixes test names colliding with sibling test names in source order', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'second').memberof, 'test/FooTest.js~add-numbers.adds-1-1-2');
+      assert.strictEqual(findTest(docDB, 'third').memberof, 'test/FooTest.js~add-numbers.adds-1-1-3');
+      assert.strictEqual(findTest(docDB, 'collision').memberof, 'test/FooTest.js~add-numbers-2');
+   });
+
+   it('uses the test function name for titles without slug characters', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'no slug').memberof, 'test/FooTest.js~describe');
+   });
+
+   it('creates the same memberof chains when regenerated', async () =>
+   {
+      const { docDB: otherDocDB } = await generateTestDocs(`describe('other file', () => { it('other', () => {}); });`,
+       { filePath: 'test/OtherTest.js' });
+
+      const { docDB: regeneratedDocDB } = await generateTestDocs(code);
+
+      assert.strictEqual(findTest(otherDocDB, 'other').memberof, 'test/OtherTest.js~other-file');
+
+      assert.deepEqual(regeneratedDocDB.find().map((doc) => doc.memberof), docDB.find().map((doc) => doc.memberof));
+   });
+});
+
+/** @test {TestDocGenerator#_pushForJest} */
+describe('TestDocGenerator Jest tests:', () =>
+{
+   const code =
+    `describe('math', () =>
+     {
+        beforeAll(() => {});
+
+        /** Cleans up. */
+        afterEach(() => {});
+
+        test('renders', () =>
+        {
+           expect(tree).toMatchSnapshot('tree');
+           expect(other).not.toMatchInlineSnapshot();
+           snapshot.toMatchSnapshot();
+        });
+
+        test.each([[1, 1, 2], [1, 2, 3]])('add %i + %i = %i', (a, b, expected) => {});
+
+        describe.each\`
+           a      | b    | expected
+           \${1}   | \${1} | \${2}
+           \${'x'} | \${b} | \${3}
+        \`('$a + $b', ({ a, b, expected }) =>
+        {
+           test('returns $expected', () => {});
+        });
+
+        it.each([{ name: 'one' }])('object $name row $#', ({ name }) => {});
+
+        test.only.each([['only']])('only %s', (value) => {});
+
+        test.todo('later');
+
+        fit('focused', () => {});
+
+        xtest('skipped', () => {});
+
+        suite('not jest', () => {});
+     });`;
+
+   let docDB;
+
+   before(async () => { ({ docDB } = await generateTestDocs(code, { type: 'jest' })); });
+
+   it('creates describe / it test docs', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'math').qualifier, 'describe');
+      assert.strictEqual(findTest(docDB, 'renders').qualifier, 'it');
+      assert.strictEqual(findTest(docDB, 'renders').memberof, 'test/FooTest.js~math');
+
+      assert.lengthOf(docDB.find({ description: 'not jest' }), 0);
+   });
+
+   it('creates hook test docs', () =>
+   {
+      const doc = findTest(docDB, 'beforeAll');
+
+      assert.strictEqual(doc.qualifier, 'hook');
+      assert.strictEqual(doc.hook, 'beforeAll');
+      assert.strictEqual(doc.memberof, 'test/FooTest.js~math');
+
+      assert.strictEqual(findTest(docDB, 'Cleans up.').hook, 'afterEach');
+   });
+
+   it('creates snapshot test docs as members of the enclosing test doc', () =>
+   {
+      const docs = docDB.find({ qualifier: 'snapshot' });
+
+      assert.sameMembers(docs.map((doc) => doc.description), ['tree', 'toMatchInlineSnapshot']);
+
+      for (const doc of docs) { assert.strictEqual(doc.memberof, 'test/FooTest.js~math.renders'); }
+   });
+
+   it('expands `.each` array tables to a test doc per row with interpolated titles', () =>
+   {
+      const doc = findTest(docDB, 'add %i + %i = %i');
+
+      assert.strictEqual(doc.qualifier, 'it');
+
+      const rows = [findTest(docDB, 'add 1 + 1 = 2'), findTest(docDB, 'add 1 + 2 = 3')];
+
+      for (const row of rows)
+      {
+         assert.strictEqual(row.qualifier, 'it');
+         assert.strictEqual(row.memberof, 'test/FooTest.js~math.add-i-i-i');
+      }
+
+      assert.strictEqual(findTest(docDB, 'object "one" row 0').memberof, 'test/FooTest.js~math.object-name-row');
+   });
+
+   it('expands `.each` tagged template tables to a test doc per row with interpolated titles', () =>
+   {
+      assert.strictEqual(findTest(docDB, '$a + $b').qualifier, 'describe');
+
+      for (const description of ['1 + 1', '"x" + b'])
+      {
+         const row = findTest(docDB, description);
+
+         assert.strictEqual(row.qualifier, 'describe');
+         assert.strictEqual(row.memberof, 'test/FooTest.js~math.a-b');
+      }
+
+      assert.strictEqual(findTest(docDB, 'returns $expected').memberof, 'test/FooTest.js~math.a-b');
+   });
+
+   it('sets the status of `.only` / `.skip` / `.todo` variants and prefixed aliases', () =>
+   {
+      assert.strictEqual(findTest(docDB, 'only %s').status, 'only');
+      assert.strictEqual(findTest(docDB, 'only only').status, 'only');
+      assert.strictEqual(findTest(docDB, 'later').status, 'pending');
+      assert.strictEqual(findTest(docDB, 'focused').status, 'only');
+      assert.strictEqual(findTest(docDB, 'skipped').status, 'skip');
+   });
+});
+
+/** @test {TestDocGenerator#traverse} */
+describe('TestDocGenerator instances:', () =>
+{
+   let eventbus;
+
+   beforeEach(async () => { ({ eventbus } = await createRuntime()); });
+
+   it('throws when an instance is traversed twice', () =>
+   {
+      const generator = new TestDocGenerator({ ast: parseCode(`it('adds', () => {});`), docDB: new TestDocDB(),
+       pathResolver: new TestPathResolver('test/FooTest.js'), eventbus });
+
+      generator.traverse();
+
+      assert.throws(() => generator.traverse(), Error, `'traverse' may only be invoked once.`);
+   });
+
+   it('does not leave state behind after a traversal throws', () =>
+   {
+      const code = `describe('add', () => { it('adds', () => {}); });`;
+      const docFilter = () => { throw new Error('filter failed'); };
+
+      assert.throws(() => TestDocGenerator.resetAndTraverse({ ast: parseCode(code), docDB: new TestDocDB(),
+       pathResolver: new TestPathResolver('test/FooTest.js'), eventbus, docFilter }), 'filter failed');
+
+      const docDB = new TestDocDB();
+
+      TestDocGenerator.resetAndTraverse({ ast: parseCode(code), docDB,
+       pathResolver: new TestPathResolver('test/FooTest.js'), eventbus });
+
+      assert.strictEqual(findTest(docDB, 'adds').memberof, 'test/FooTest.js~add');
+   });
+});
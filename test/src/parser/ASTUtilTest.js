@@ -0,0 +1,504 @@
+import { assert }   from 'chai';
+import path         from 'path';
+
+import ASTUtil      from '../../../src/parser/ASTUtil.js';
+import parseSource  from '../../utils/parseSource.js';
+
+const astUtil = new ASTUtil();
+
+/** @test {ASTUtil#findImportBinding} */
+describe('ASTUtil findImportBinding:', () =>
+{
+   it('finds default, named, renamed and namespace imports', () =>
+   {
+      const ast = parseSource(
+       `import Foo from './Foo.js';
+        import { Bar, Baz as Qux } from './bar/index.js';
+        import * as ns from './ns.js';`);
+
+      assert.deepEqual(astUtil.findImportBinding(ast, 'Foo'),
+       { imported: 'default', local: 'Foo', source: './Foo.js' });
+
+      assert.deepEqual(astUtil.findImportBinding(ast, 'Bar'),
+       { imported: 'Bar', local: 'Bar', source: './bar/index.js' });
+
+      assert.deepEqual(astUtil.findImportBinding(ast, 'Qux'),
+       { imported: 'Baz', local: 'Qux', source: './bar/index.js' });
+
+      assert.deepEqual(astUtil.findImportBinding(ast, 'ns'), { imported: '*', local: 'ns', source: './ns.js' });
+   });
+
+   it('returns null for local bindings and unknown names', () =>
+   {
+      const ast = parseSource(`import Foo from './Foo.js'; const Bar = 1;`);
+
+      assert.isNull(astUtil.findImportBinding(ast, 'Bar'));
+      assert.isNull(astUtil.findImportBinding(ast, 'Baz'));
+   });
+
+   it('finds the import path by local name', () =>
+   {
+      const ast = parseSource(`import { Bar as Baz } from './foo/bar.js';`);
+
+      assert.strictEqual(astUtil.findPathInImportDeclaration(ast, 'Baz'), './foo/bar.js');
+      assert.isNull(astUtil.findPathInImportDeclaration(ast, 'Bar'));
+   });
+});
+
+/** @test {ASTUtil#createExportNodesFromCommonJS} */
+describe('ASTUtil CommonJS exports:', () =>
+{
+   const expression = (code) => parseSource(code).program.body[0];
+
+   it('finds the exported name of export targets', () =>
+   {
+      assert.strictEqual(astUtil.findCommonJSExportName(expression('module.exports = 1;').expression.left), 'default');
+      assert.strictEqual(astUtil.findCommonJSExportName(expression('exports.foo = 1;').expression.left), 'foo');
+      assert.strictEqual(astUtil.findCommonJSExportName(expression('module.exports.bar = 1;').expression.left), 'bar');
+      assert.isNull(astUtil.findCommonJSExportName(expression('foo.exports = 1;').expression.left));
+   });
+
+   it('finds require bindings', () =>
+   {
+      const binding = (code) => astUtil.findRequireBinding(expression(code).expression);
+
+      assert.deepEqual(binding(`require('./foo.js');`), { imported: 'default', source: './foo.js' });
+      assert.deepEqual(binding(`require('./foo.js').Bar;`), { imported: 'Bar', source: './foo.js' });
+      assert.isNull(binding(`require(foo);`));
+      assert.isNull(binding(`load('./foo.js');`));
+   });
+
+   it('creates export nodes for identifiers, new expressions and requires', () =>
+   {
+      const [defaultNode] = astUtil.createExportNodesFromCommonJS(expression('module.exports = Foo;'));
+
+      assert.strictEqual(defaultNode.type, 'ExportDefaultDeclaration');
+      assert.strictEqual(defaultNode.declaration.name, 'Foo');
+
+      const [namedNode] = astUtil.createExportNodesFromCommonJS(expression('exports.bar = new Bar();'));
+
+      assert.strictEqual(namedNode.type, 'ExportNamedDeclaration');
+      assert.strictEqual(namedNode.declaration.declarations[0].id.name, 'bar');
+      assert.strictEqual(namedNode.declaration.declarations[0].init.type, 'NewExpression');
+
+      const [reexportNode] = astUtil.createExportNodesFromCommonJS(expression(`exports.Foo = require('./Foo.js');`));
+
+      assert.strictEqual(reexportNode.type, 'ExportNamedDeclaration');
+      assert.strictEqual(reexportNode.source.value, './Foo.js');
+      assert.strictEqual(reexportNode.specifiers[0].local.name, 'default');
+      assert.strictEqual(reexportNode.specifiers[0].exported.name, 'Foo');
+
+      const [allNode] = astUtil.createExportNodesFromCommonJS(expression(`module.exports = require('./Foo.js');`));
+
+      assert.strictEqual(allNode.type, 'ExportAllDeclaration');
+      assert.strictEqual(allNode.source.value, './Foo.js');
+   });
+
+   it('creates a named export for each property of an exported object literal', () =>
+   {
+      const exportNodes = astUtil.createExportNodesFromCommonJS(expression(
+       `/** comment */ module.exports = { Foo, Bar: require('./Bar.js') };`));
+
+      assert.lengthOf(exportNodes, 2);
+      assert.strictEqual(exportNodes[0].specifiers[0].exported.name, 'Foo');
+      assert.strictEqual(exportNodes[1].source.value, './Bar.js');
+      assert.strictEqual(exportNodes[1].specifiers[0].exported.name, 'Bar');
+      assert.lengthOf(exportNodes[0].leadingComments, 1);
+      assert.isUndefined(exportNodes[1].leadingComments);
+
+      assert.lengthOf(astUtil.createExportNodesFromCommonJS(expression('module.exports = { foo: 1 };')), 0);
+   });
+
+   it('does not create export nodes for functions', () =>
+   {
+      assert.lengthOf(astUtil.createExportNodesFromCommonJS(expression('exports.foo = function() {};')), 0);
+   });
+
+   it('finds require bindings in the scope and the import style of export assignments', () =>
+   {
+      const ast = parseSource(`const { Bar: Baz } = require('./foo/bar.js'); module.exports.qux = function() {};`);
+
+      assert.deepEqual(astUtil.findImportBinding(ast, 'Baz'),
+       { imported: 'Bar', local: 'Baz', source: './foo/bar.js' });
+
+      const functionNode = ast.program.body[1].expression.right;
+
+      assert.strictEqual(astUtil.findImportStyle(functionNode, 'qux'), '{qux}');
+      assert.isTrue(astUtil.findParentExport(functionNode));
+   });
+});
+
+/** @test {ASTUtil#findPatternBindings} */
+describe('ASTUtil findPatternBindings:', () =>
+{
+   const bindings = (code) =>
+   {
+      const declarator = parseSource(code).program.body[0].declarations[0];
+
+      return astUtil.findPatternBindings(declarator.id, declarator.init).map(({ node, init }) =>
+       ({ name: node.name, init: init ? init.value || init.type : void 0 }));
+   };
+
+   it('finds identifiers with matching initializers of nested and defaulted object patterns', () =>
+   {
+      assert.deepEqual(bindings('const { a: { b }, c: d = 2 } = { a: { b: 1 } };'),
+       [{ name: 'b', init: 1 }, { name: 'd', init: 2 }]);
+   });
+
+   it('finds identifiers with matching initializers of array patterns and rest elements', () =>
+   {
+      assert.deepEqual(bindings(`const [a, , b = 'x', ...c] = [1, 2];`),
+       [{ name: 'a', init: 1 }, { name: 'b', init: 'x' }, { name: 'c', init: void 0 }]);
+
+      assert.deepEqual(bindings('const { a, ...b } = { a: 1, c: 2 };'),
+       [{ name: 'a', init: 1 }, { name: 'b', init: void 0 }]);
+   });
+
+   it('uses default values when the initializer is not an object or array literal', () =>
+   {
+      assert.deepEqual(bindings('const { a, b = 2 } = foo();'), [{ name: 'a', init: void 0 }, { name: 'b', init: 2 }]);
+   });
+
+   it('finds a plain identifier', () =>
+   {
+      assert.deepEqual(bindings('let a = 1;'), [{ name: 'a', init: 1 }]);
+   });
+});
+
+/** @test {ASTUtil#findES5Classes} */
+describe('ASTUtil ES5 classes:', () =>
+{
+   const code =
+    `function Base() {}
+     Base.prototype.foo = function() {};
+
+     var Foo = function() { this.bar = 1; var init = () => { this.baz = 2; }; };
+     util.inherits(Foo, Base);
+     Foo.create = function() {};
+     Foo.prototype = { qux() {}, quux: function() {} };
+
+     function Bar() {}
+     Bar.prototype = Object.create(Base.prototype);
+
+     function notAClass() { this.foo = 1; }`;
+
+   it('finds constructor functions with prototype members and their super classes', () =>
+   {
+      const classes = astUtil.findES5Classes(parseSource(code));
+
+      assert.sameMembers(Array.from(classes.keys()), ['Base', 'Foo', 'Bar']);
+      assert.isNull(classes.get('Base').superClass);
+      assert.strictEqual(classes.get('Foo').superClass.name, 'Base');
+      assert.strictEqual(classes.get('Bar').superClass.name, 'Base');
+      assert.strictEqual(classes.get('Foo').node.type, 'FunctionExpression');
+   });
+
+   it('finds the class membership of member nodes', () =>
+   {
+      const ast = parseSource(code);
+      const body = ast.program.body;
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, body[0]),
+       { className: 'Base', name: 'constructor', isStatic: false, isConstructor: true });
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, body[1].expression.right),
+       { className: 'Base', name: 'foo', isStatic: false, isConstructor: false });
+
+      const constructorBody = body[2].declarations[0].init.body.body;
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, constructorBody[0].expression),
+       { className: 'Foo', name: 'bar', isStatic: false, isConstructor: false });
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, constructorBody[1].declarations[0].init.body.body[0].expression),
+       { className: 'Foo', name: 'baz', isStatic: false, isConstructor: false });
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, body[4].expression.right),
+       { className: 'Foo', name: 'create', isStatic: true, isConstructor: false });
+
+      const properties = body[5].expression.right.properties;
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, properties[0]),
+       { className: 'Foo', name: 'qux', isStatic: false, isConstructor: false });
+
+      assert.deepEqual(astUtil.findES5ClassMember(ast, properties[1].value),
+       { className: 'Foo', name: 'quux', isStatic: false, isConstructor: false });
+
+      assert.isNull(astUtil.findES5ClassMember(ast, body[8].body.body[0].expression));
+   });
+});
+
+/** @test {ASTUtil#findObjectNamespaceMember} */
+describe('ASTUtil findObjectNamespaceMember:', () =>
+{
+   it('finds members of top level and exported object literal namespaces', () =>
+   {
+      const ast = parseSource(
+       `export const api = { fetch() {}, 'post': function() {} };
+        const util = { format: () => {} };`);
+
+      const apiProperties = ast.program.body[0].declaration.declarations[0].init.properties;
+
+      assert.deepEqual(astUtil.findObjectNamespaceMember(apiProperties[0]), { namespace: 'api', name: 'fetch' });
+      assert.deepEqual(astUtil.findObjectNamespaceMember(apiProperties[1].value), { namespace: 'api', name: 'post' });
+
+      const utilProperty = ast.program.body[1].declarations[0].init.properties[0];
+
+      assert.deepEqual(astUtil.findObjectNamespaceMember(utilProperty.value), { namespace: 'util', name: 'format' });
+   });
+
+   it('finds members of a default exported object literal without a namespace', () =>
+   {
+      const ast = parseSource('export default { fetch() {} };');
+
+      assert.deepEqual(astUtil.findObjectNamespaceMember(ast.program.body[0].declaration.properties[0]),
+       { namespace: null, name: 'fetch' });
+   });
+
+   it('does not find members of nested, function scope or computed object literals', () =>
+   {
+      const ast = parseSource(
+       `const a = { b: { c() {} } };
+        function d() { const e = { f() {} }; }
+        const g = { [h]() {} };`);
+
+      const body = ast.program.body;
+
+      assert.isNull(astUtil.findObjectNamespaceMember(body[0].declarations[0].init.properties[0].value.properties[0]));
+      assert.isNull(astUtil.findObjectNamespaceMember(body[1].body.body[0].declarations[0].init.properties[0]));
+      assert.isNull(astUtil.findObjectNamespaceMember(body[2].declarations[0].init.properties[0]));
+   });
+});
+
+/** @test {ASTUtil#findDecorators} */
+describe('ASTUtil findDecorators:', () =>
+{
+   const ast = parseSource(
+    `import { observable } from 'mobx';
+     import { Inject, Tokens } from './di.js';
+     const { Component } = require('./component.js');
+
+     @Component({ selector: 'app-foo', inputs: ['a', -1], debug: null, tag: \`x\` })
+     class Foo
+     {
+        @observable.ref bar = 1;
+
+        @Inject(Tokens.LOGGER, 2, bar())
+        baz() {}
+
+        qux() {}
+     }`);
+
+   const classNode = ast.program.body[3];
+
+   const pathResolver = { resolve: (filePath) => path.posix.join('src', filePath) };
+
+   it('finds the name, resolved import path and parsed arguments of call decorators', () =>
+   {
+      const decorators = astUtil.findDecorators(classNode, ast, pathResolver);
+
+      assert.lengthOf(decorators, 1);
+      assert.strictEqual(decorators[0].name, 'Component');
+      assert.strictEqual(decorators[0].importPath, 'src/component.js');
+      assert.strictEqual(decorators[0].importSource, './component.js');
+      assert.strictEqual(decorators[0].arguments.replace(/\s+/g, ' '),
+       `({ selector: 'app-foo', inputs: ['a', -1], debug: null, tag: \`x\` })`);
+
+      assert.deepEqual(decorators[0].parsedArguments, [{
+         type: 'object',
+         properties: {
+            selector: { type: 'literal', value: 'app-foo' },
+            inputs: { type: 'array', elements: [{ type: 'literal', value: 'a' }, { type: 'literal', value: -1 }] },
+            debug: { type: 'literal', value: null },
+            tag: { type: 'literal', value: 'x' }
+         }
+      }]);
+   });
+
+   it('finds member expression decorators without arguments', () =>
+   {
+      assert.deepEqual(astUtil.findDecorators(classNode.body.body[0], ast, pathResolver), [{ name: 'observable.ref',
+       arguments: null, parsedArguments: null, importPath: 'mobx', importSource: 'mobx' }]);
+   });
+
+   it('parses identifier arguments with resolved import paths and keeps the code of other expressions', () =>
+   {
+      const [decorator] = astUtil.findDecorators(classNode.body.body[1], void 0, pathResolver);
+
+      assert.strictEqual(decorator.arguments, '(Tokens.LOGGER, 2, bar())');
+
+      assert.deepEqual(decorator.parsedArguments, [
+         { type: 'identifier', name: 'Tokens.LOGGER', importPath: 'src/di.js', importSource: './di.js' },
+         { type: 'literal', value: 2 },
+         { type: 'expression', code: 'bar()' }
+      ]);
+   });
+
+   it('only provides the import path of packages without a path resolver', () =>
+   {
+      assert.strictEqual(astUtil.findDecorators(classNode.body.body[0])[0].importPath, 'mobx');
+
+      const [decorator] = astUtil.findDecorators(classNode);
+
+      assert.isNull(decorator.importPath);
+      assert.strictEqual(decorator.importSource, './component.js');
+   });
+
+   it('returns undefined without decorators', () =>
+   {
+      assert.isUndefined(astUtil.findDecorators(classNode.body.body[2]));
+   });
+});
+
+/** @test {ASTUtil#findScopeBinding} */
+describe('ASTUtil scope:', () =>
+{
+   const ast = parseSource(
+    `import Foo from './Foo.js';
+     const bar = new Foo();
+
+     function baz(Foo, { qux = 1 })
+     {
+        if (qux) { var hoisted = 1; let blocked = 2; }
+
+        try { baz(); } catch (err) { const bar = 3; }
+
+        return function named() { return Foo; };
+     }`);
+
+   const functionNode = ast.program.body[2];
+   const [ifNode, tryNode, returnNode] = functionNode.body.body;
+
+   it('finds program scope bindings', () =>
+   {
+      const binding = astUtil.findScopeBinding(ast, 'Foo');
+
+      assert.strictEqual(binding.kind, 'import');
+      assert.strictEqual(binding.imported, 'default');
+      assert.strictEqual(binding.source, './Foo.js');
+      assert.strictEqual(binding.scope.type, 'program');
+
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'bar').kind, 'const');
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'baz').kind, 'function');
+   });
+
+   it('shadows outer bindings by params and nested declarations', () =>
+   {
+      const param = astUtil.findScopeBinding(ast, 'Foo', returnNode);
+
+      assert.strictEqual(param.kind, 'param');
+      assert.strictEqual(param.node, functionNode);
+      assert.isNull(astUtil.findImportBinding(ast, 'Foo', returnNode));
+
+      const defaulted = astUtil.findScopeBinding(ast, 'qux', returnNode);
+
+      assert.strictEqual(defaulted.kind, 'param');
+      assert.strictEqual(defaulted.init.value, 1);
+
+      const catchBody = tryNode.handler.body.body[0];
+
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'bar', catchBody).init.value, 3);
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'err', catchBody).kind, 'catch');
+      assert.isNull(astUtil.findVariableDeclarationAndNewExpressionNode(ast, 'bar', catchBody));
+      assert.strictEqual(astUtil.findVariableDeclarationAndNewExpressionNode(ast, 'bar'), ast.program.body[1]);
+   });
+
+   it('hoists var declarations to the function scope and keeps let declarations in the block scope', () =>
+   {
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'hoisted', returnNode).scope.type, 'function');
+      assert.isNull(astUtil.findScopeBinding(ast, 'blocked', returnNode));
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'blocked', ifNode.consequent.body[1]).scope.type, 'block');
+      assert.isNull(astUtil.findScopeBinding(ast, 'hoisted'));
+   });
+
+   it('binds the name of a named function expression in its own scope', () =>
+   {
+      const namedNode = returnNode.argument;
+
+      assert.strictEqual(astUtil.findScopeBinding(ast, 'named', namedNode.body).node, namedNode);
+      assert.isNull(astUtil.findScopeBinding(ast, 'named', returnNode));
+   });
+
+   it('creates the scope for nodes with parent links', () =>
+   {
+      const scope = astUtil.createScope(ast);
+
+      assert.strictEqual(astUtil.findScope(ast), scope);
+      assert.strictEqual(astUtil.findScope(ast, returnNode).node, functionNode);
+   });
+});
+
+/** @test {ASTUtil#flattenMemberExpression} */
+describe('ASTUtil class private members and static blocks:', () =>
+{
+   // Babylon 6 does not parse private names or static blocks.
+   const ast = parseSource(
+    `class Foo
+     {
+        #bar = 1;
+
+        #baz(qux, { quux })
+        {
+           return this.#bar;
+        }
+
+        static
+        {
+           var hoisted = new Foo();
+           this.corge = hoisted;
+        }
+     }`, { babel: true });
+
+   const [barNode, bazNode, staticNode] = ast.program.body[0].body.body;
+
+   it('parses the Babel 7 node types', () =>
+   {
+      assert.deepEqual([barNode.type, bazNode.type, staticNode.type],
+       ['ClassPrivateProperty', 'ClassPrivateMethod', 'StaticBlock']);
+   });
+
+   it('flattens member expressions with private names', () =>
+   {
+      assert.strictEqual(astUtil.flattenMemberExpression(bazNode.body.body[0].argument), 'this.#bar');
+   });
+
+   it('gets the params of private methods', () =>
+   {
+      assert.deepEqual(astUtil.getMethodParamsFromNode(bazNode), ['qux', '*']);
+   });
+
+   it('declares var declarations of static blocks in the static block scope', () =>
+   {
+      const binding = astUtil.findScopeBinding(ast, 'hoisted', staticNode.body[1]);
+
+      assert.strictEqual(binding.kind, 'var');
+      assert.strictEqual(binding.scope.node, staticNode);
+      assert.isNull(astUtil.findScopeBinding(ast, 'hoisted'));
+      assert.strictEqual(astUtil.findVariableDeclarationAndNewExpressionNode(ast, 'hoisted', staticNode.body[1]),
+       staticNode.body[0]);
+   });
+});
+
+/** @test {ASTUtil#findImportSourceFilePath} */
+describe('ASTUtil findImportSourceFilePath:', () =>
+{
+   // Resolves against `src/Foo.js` like the path resolver of the current file.
+   const pathResolver = { resolve: (filePath) => path.posix.join('src', filePath) };
+
+   it('resolves relative sources with and without an extension', () =>
+   {
+      assert.strictEqual(astUtil.findImportSourceFilePath('./Bar.js', pathResolver), 'src/Bar.js');
+      assert.strictEqual(astUtil.findImportSourceFilePath('./Bar', pathResolver), 'src/Bar.js');
+      assert.strictEqual(astUtil.findImportSourceFilePath('../lib/Bar.mjs', pathResolver), 'lib/Bar.mjs');
+   });
+
+   it('resolves directory sources to index.js', () =>
+   {
+      assert.strictEqual(astUtil.findImportSourceFilePath('./doc/', pathResolver), 'src/doc/index.js');
+   });
+
+   it('returns null for package sources', () =>
+   {
+      assert.isNull(astUtil.findImportSourceFilePath('mobx', pathResolver));
+      assert.isNull(astUtil.findImportSourceFilePath('@scope/pkg/Bar.js', pathResolver));
+   });
+});
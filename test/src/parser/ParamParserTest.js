@@ -0,0 +1,401 @@
+import { assert }                        from 'chai';
+import Events                            from 'backbone-esnext-events';
+import { onPluginLoad as onWalkerLoad }  from 'typhonjs-ast-walker';
+
+import ASTUtil        from '../../../src/parser/ASTUtil.js';
+import ParamParser    from '../../../src/parser/ParamParser.js';
+import parseSource    from '../../utils/parseSource.js';
+
+/**
+ * Creates a ParamParser loaded on a plugin eventbus with the AST walker and ASTUtil event bindings.
+ *
+ * @param {object}   [pluginOptions] - The ParamParser plugin options.
+ *
+ * @returns {ParamParser} ParamParser.
+ */
+const createParamParser = (pluginOptions = {}) =>
+{
+   const eventbus = new Events();
+   const paramParser = new ParamParser();
+
+   onWalkerLoad({ eventbus });
+
+   new ASTUtil().onPluginLoad({ eventbus });
+
+   paramParser.onPluginLoad({ eventbus, pluginOptions });
+
+   return paramParser;
+};
+
+/**
+ * Parses source code and returns the first statement node.
+ *
+ * @param {string}   code - The source code to parse.
+ *
+ * @param {object}   [options] - The `parseSource` options.
+ *
+ * @returns {ASTNode} first statement node.
+ */
+const parseFunction = (code, options = {}) => parseSource(code, options).program.body[0];
+
+/**
+ * Parses Flow annotated source code with Babylon and returns the first statement node.
+ *
+ * @param {string}   code - The source code to parse.
+ *
+ * @returns {ASTNode} first statement node.
+ */
+const parseFlowFunction = (code) => parseFunction(code, { plugins: ['flow'] });
+
+/**
+ * Parses TypeScript source code with `@babel/parser` and returns the first statement node.
+ *
+ * @param {string}   code - The source code to parse.
+ *
+ * @returns {ASTNode} first statement node.
+ */
+const parseTypeScriptFunction = (code) => parseFunction(code, { babel: true, plugins: ['typescript'] });
+
+const paramParser = createParamParser();
+
+/** @test {ParamParser#guessEmits} */
+describe('ParamParser guessEmits:', () =>
+{
+   it('guesses string and template literal event names of the default emitter methods', () =>
+   {
+      const node = parseFunction(
+       `function foo(a)
+        {
+           this.emit('change', a);
+           eventbus.trigger(\`app:open\`);
+           eventbus.triggerSync('app:data:get');
+           eventbus.triggerAsync('app:data:get');
+           emit('close');
+        }`);
+
+      assert.deepEqual(paramParser.guessEmits(node), ['change', 'app:open', 'app:data:get', 'close']);
+   });
+
+   it('guesses the event name of a dispatched event instance', () =>
+   {
+      const node = parseFunction(`function foo() { this.dispatchEvent(new CustomEvent('open', { detail: 1 })); }`);
+
+      assert.deepEqual(paramParser.guessEmits(node), ['open']);
+   });
+
+   it('skips computed, template literal with expressions and non literal event names', () =>
+   {
+      const node = parseFunction(
+       `function foo(name)
+        {
+           this.emit(name);
+           this.emit(\`app:\${name}\`);
+           this['emit']('computed');
+           this.dispatchEvent(new CustomEvent());
+           this.emit();
+           this.on('change', name);
+        }`);
+
+      assert.deepEqual(paramParser.guessEmits(node), []);
+   });
+
+   it('includes nested arrow functions and skips other nested functions', () =>
+   {
+      const node = parseFunction(
+       `function foo()
+        {
+           setTimeout(() => this.emit('later'));
+           setTimeout(function() { this.emit('skipped'); });
+           const obj = { bar() { this.emit('skipped'); } };
+           class Bar { baz() { this.emit('skipped'); } }
+        }`);
+
+      assert.deepEqual(paramParser.guessEmits(node), ['later']);
+   });
+
+   it('guesses from a callable body node', () =>
+   {
+      const node = parseFunction(`function foo() { this.emit('change'); }`);
+
+      assert.deepEqual(paramParser.guessEmits(node.body), ['change']);
+      assert.deepEqual(paramParser.guessEmits(void 0), []);
+   });
+
+   it('guesses the emitter methods of the `emitterMethods` plugin option', () =>
+   {
+      const node = parseFunction(`function foo() { this.emit('change'); this.publish('topic'); }`);
+
+      assert.deepEqual(createParamParser({ emitterMethods: ['publish'] }).guessEmits(node), ['topic']);
+   });
+
+   it('throws when the `emitterMethods` plugin option is not an array of strings', () =>
+   {
+      const message = `'emitterMethods' is not an 'array' of 'string'.`;
+
+      assert.throws(() => createParamParser({ emitterMethods: 'emit' }), TypeError, message);
+      assert.throws(() => createParamParser({ emitterMethods: ['emit', 1] }), TypeError, message);
+   });
+});
+
+/** @test {ParamParser#guessReturnParam} */
+describe('ParamParser guessReturnParam:', () =>
+{
+   it('guesses a union of the returned types', () =>
+   {
+      const node = parseFunction(`function foo(a) { if (a) { return 1; } return 'b'; }`);
+
+      assert.deepEqual(paramParser.guessReturnParam(node), { types: ['number', 'string'] });
+   });
+
+   it('adds undefined when a value is not returned on every code path', () =>
+   {
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(`function foo(a) { if (a) { return 1; } }`)),
+       { types: ['number', 'undefined'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { if (a) { return; } return 1; }`)), { types: ['number', 'undefined'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { while (a) { return 1; } }`)), { types: ['number', 'undefined'] });
+   });
+
+   it('does not add undefined when every code path returns or throws', () =>
+   {
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { if (a) { return 1; } else { throw new Error(); } }`)), { types: ['number'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a)
+        {
+           switch (a)
+           {
+              case 1:
+              case 2: return 'a';
+              default: return 'b';
+           }
+        }`)), { types: ['string'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { try { a(); } finally { return true; } }`)), { types: ['boolean'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { try { return a(); } catch (err) { return false; } }`)), { types: ['*'] });
+   });
+
+   it('collapses a union with an unknown type to `*`', () =>
+   {
+      const node = parseFunction(`function foo(a) { if (a) { return a; } return 1; }`);
+
+      assert.deepEqual(paramParser.guessReturnParam(node), { types: ['*'] });
+   });
+
+   it('returns null when no value is returned', () =>
+   {
+      assert.isNull(paramParser.guessReturnParam(parseFunction(`function foo(a) { a(); return; }`)));
+      assert.isNull(paramParser.guessReturnParam(void 0));
+   });
+
+   it('skips returns of nested functions and guesses arrow function expression bodies', () =>
+   {
+      assert.isNull(paramParser.guessReturnParam(parseFunction(
+       `function foo(a) { a.map((b) => { return 1; }); a.map(function(b) { return 1; }); }`)));
+
+      const arrow = parseFunction(`const foo = (a) => 1;`).declarations[0].init;
+
+      assert.deepEqual(paramParser.guessReturnParam(arrow), { types: ['number'] });
+   });
+
+   it('guesses from a callable body node', () =>
+   {
+      const node = parseFunction(`function foo(a) { if (a) { return 1; } return 'b'; }`);
+
+      assert.deepEqual(paramParser.guessReturnParam(node.body), { types: ['number', 'string'] });
+   });
+
+   it('guesses a Promise for async functions', () =>
+   {
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `async function foo(a) { if (a) { return 1; } return 'b'; }`)), { types: ['Promise<number|string>'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `async function foo(a) { if (a) { return 1; } }`)), { types: ['Promise<number|undefined>'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(`async function foo(a) { await a(); }`)),
+       { types: ['Promise<void>'] });
+   });
+
+   it('guesses a Generator or AsyncGenerator of the yielded types', () =>
+   {
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(
+       `function* foo() { yield 1; yield 'a'; yield 2; return true; }`)), { types: ['Generator<number|string>'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(`async function* foo() { yield 1; }`)),
+       { types: ['AsyncGenerator<number>'] });
+
+      assert.deepEqual(paramParser.guessReturnParam(parseFunction(`function* foo() {}`)),
+       { types: ['Generator<*>'] });
+   });
+
+   it('guesses `*` for delegated yields', () =>
+   {
+      const node = parseFunction(`function* foo(a) { yield 1; yield* a; }`);
+
+      assert.deepEqual(paramParser.guessReturnParam(node), { types: ['Generator<*>'] });
+   });
+});
+
+/** @test {ParamParser#guessThrows} */
+describe('ParamParser guessThrows:', () =>
+{
+   it('guesses the thrown class names including dotted names once', () =>
+   {
+      const node = parseFunction(
+       `function foo(a)
+        {
+           if (!a) { throw new TypeError('a'); }
+           if (a < 0) { throw new TypeError('b'); }
+           throw new errors.http.NotFound();
+        }`);
+
+      assert.deepEqual(paramParser.guessThrows(node), ['TypeError', 'errors.http.NotFound']);
+   });
+
+   it('skips thrown values which are not a new class instance', () =>
+   {
+      const node = parseFunction(
+       `function foo(a) { if (a) { throw a; } if (!a) { throw 'a'; } throw new (a())(); }`);
+
+      assert.deepEqual(paramParser.guessThrows(node), []);
+   });
+
+   it('skips try blocks with a catch clause and walks the catch and finally blocks', () =>
+   {
+      const node = parseFunction(
+       `function foo(a)
+        {
+           try { throw new TypeError(); }
+           catch (err) { throw new RangeError(); }
+           finally { throw new SyntaxError(); }
+
+           try { throw new EvalError(); }
+           finally { a(); }
+        }`);
+
+      assert.deepEqual(paramParser.guessThrows(node), ['RangeError', 'SyntaxError', 'EvalError']);
+   });
+
+   it('skips nested functions', () =>
+   {
+      const node = parseFunction(
+       `function foo(a)
+        {
+           a.map(() => { throw new TypeError(); });
+           a.map(function() { throw new RangeError(); });
+        }`);
+
+      assert.deepEqual(paramParser.guessThrows(node), []);
+   });
+
+   it('guesses from a callable body node', () =>
+   {
+      const node = parseFunction(`function foo() { throw new Error(); }`);
+
+      assert.deepEqual(paramParser.guessThrows(node.body), ['Error']);
+      assert.deepEqual(paramParser.guessThrows(void 0), []);
+   });
+});
+
+/** @test {ParamParser#parseTypeAnnotation} */
+describe('ParamParser parseTypeAnnotation:', () =>
+{
+   it('parses Flow type annotations', () =>
+   {
+      const node = parseFlowFunction(
+       `function foo(a: number, b: Array<Foo>, c: (number | string)[], d: Foo.Bar, e: Map<string, boolean>,
+         f: A & B, g: { x: number, y?: string }, h: {}, i: [number, string], j: mixed): Promise<void> {}`);
+
+      const types = node.params.map((param) => paramParser.parseTypeAnnotation(param.typeAnnotation).types);
+
+      assert.deepEqual(types, [['number'], ['Foo[]'], ['(number|string)[]'], ['Foo.Bar'], ['Map<string, boolean>'],
+       ['A&B'], ['{"x": number, "y": string}'], ['Object'], ['Array'], ['*']]);
+
+      assert.deepEqual(paramParser.parseTypeAnnotation(node.returnType), { types: ['Promise<void>'] });
+   });
+
+   it('parses Flow nullable and union types', () =>
+   {
+      const node = parseFlowFunction(`function foo(a: ?string, b: number | string, c: ?(number | null)) {}`);
+
+      assert.deepEqual(paramParser.parseTypeAnnotation(node.params[0].typeAnnotation),
+       { nullable: true, types: ['string'] });
+
+      assert.deepEqual(paramParser.parseTypeAnnotation(node.params[1].typeAnnotation), { types: ['number', 'string'] });
+
+      assert.deepEqual(paramParser.parseTypeAnnotation(node.params[2].typeAnnotation),
+       { nullable: true, types: ['number', 'null'] });
+   });
+
+   it('parses TypeScript type annotations', () =>
+   {
+      const node = parseTypeScriptFunction(
+       `function foo(a: number, b: string | null, c: Array<Foo>, d: Foo.Bar, e: 'x', f: [number, string],
+         g: { x: number }, h: unknown, i: () => void): void {}`);
+
+      const types = node.params.map((param) => paramParser.parseTypeAnnotation(param.typeAnnotation).types);
+
+      assert.deepEqual(types, [['number'], ['string', 'null'], ['Foo[]'], ['Foo.Bar'], ['string'], ['Array'],
+       ['{"x": number}'], ['*'], ['function']]);
+
+      assert.deepEqual(paramParser.parseTypeAnnotation(node.returnType), { types: ['void'] });
+   });
+
+   it('returns null without a type annotation', () =>
+   {
+      const node = parseFunction(`function foo(a) {}`);
+
+      assert.isNull(paramParser.parseTypeAnnotation(node.params[0].typeAnnotation));
+      assert.isNull(paramParser.parseTypeAnnotation(node.returnType));
+   });
+});
+
+/** @test {ParamParser#guessParams} */
+describe('ParamParser guessParams type annotations:', () =>
+{
+   it('prefers Flow type annotations over guessed types', () =>
+   {
+      const node = parseFlowFunction(`function foo(a: number, b: ?string = 'b', c?: Foo, ...d: Array<number>) {}`);
+
+      const params = paramParser.guessParams(node.params);
+
+      assert.deepEqual(params[0], { name: 'a', types: ['number'] });
+
+      assert.strictEqual(params[1].name, 'b');
+      assert.deepEqual(params[1].types, ['string']);
+      assert.isTrue(params[1].nullable);
+      assert.isTrue(params[1].optional);
+      assert.strictEqual(params[1].defaultValue, 'b');
+
+      assert.deepEqual(params[2], { name: 'c', types: ['Foo'], optional: true });
+
+      assert.deepEqual(params[3], { name: 'd', types: ['...number'], spread: true });
+   });
+
+   it('prefers TypeScript type annotations of parameter properties', () =>
+   {
+      const node = parseTypeScriptFunction(`class Foo { constructor(private a: number, readonly b = 'b') {} }`);
+
+      const params = paramParser.guessParams(node.body.body[0].params);
+
+      assert.deepEqual(params[0], { name: 'a', types: ['number'] });
+      assert.deepEqual(params[1].types, ['string']);
+      assert.strictEqual(params[1].name, 'b');
+   });
+
+   it('guesses types of params without type annotations', () =>
+   {
+      const params = paramParser.guessParams(parseFunction(`function foo(a, b = 1) {}`).params);
+
+      assert.deepEqual(params[0], { name: 'a', types: ['*'] });
+      assert.deepEqual(params[1].types, ['number']);
+   });
+});
@@ -0,0 +1,48 @@
+/**
+ * Provides the DocDB queries used by doc generation for unit tests; `find` by equality of all query properties and
+ * `insertStaticDoc` through an optional doc filter. Doc objects are stored by reference, so updates to doc objects
+ * found are kept like the runtime DocDB.
+ */
+export default class TestDocDB
+{
+   /**
+    * Instantiates TestDocDB.
+    */
+   constructor()
+   {
+      /**
+       * The doc objects in insertion order.
+       * @type {DocObject[]}
+       * @private
+       */
+      this._docObjects = [];
+   }
+
+   /**
+    * Finds all doc objects matching every property of the given query.
+    *
+    * @param {object}   [query={}] - An equality query; e.g. `{ category: 'ModuleClass' }`.
+    *
+    * @returns {DocObject[]} matching doc objects.
+    */
+   find(query = {})
+   {
+      const keys = Object.keys(query);
+
+      return this._docObjects.filter((docObject) => keys.every((key) => docObject[key] === query[key]));
+   }
+
+   /**
+    * Inserts the doc object of a static doc unless the doc filter rejects the static doc.
+    *
+    * @param {StaticDoc}   staticDoc - A static doc.
+    *
+    * @param {function}    [docFilter] - An optional function invoked with the static doc before inserting.
+    */
+   insertStaticDoc(staticDoc, docFilter = void 0)
+   {
+      if (typeof docFilter === 'function' && !docFilter(staticDoc)) { return; }
+
+      this._docObjects.push(staticDoc.value);
+   }
+}
@@ -0,0 +1,56 @@
+import path from 'path';
+
+/**
+ * Provides the PathResolver accessors used by doc generation for unit tests. File paths are relative to the current
+ * working directory with `/` separators.
+ */
+export default class TestPathResolver
+{
+   /**
+    * Instantiates TestPathResolver.
+    *
+    * @param {string}   filePath - The file path of the source code.
+    */
+   constructor(filePath)
+   {
+      /**
+       * The absolute file path.
+       * @type {string}
+       * @private
+       */
+      this._absolutePath = path.resolve(filePath);
+
+      /**
+       * The relative file path with `/` separators.
+       * @type {string}
+       * @private
+       */
+      this._filePath = path.relative(process.cwd(), this._absolutePath).split(path.sep).join('/');
+   }
+
+   /**
+    * Returns the absolute file path.
+    *
+    * @returns {string} absolute path.
+    */
+   get absolutePath() { return this._absolutePath; }
+
+   /**
+    * Returns the relative file path.
+    *
+    * @returns {string} file path.
+    */
+   get filePath() { return this._filePath; }
+
+   /**
+    * Resolves a module path against the directory of the source code.
+    *
+    * @param {string}   modulePath - A relative module path.
+    *
+    * @returns {string} The relative file path of the module.
+    */
+   resolve(modulePath)
+   {
+      return path.posix.join(path.posix.dirname(this._filePath), modulePath);
+   }
+}
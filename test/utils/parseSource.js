@@ -0,0 +1,91 @@
+import * as babelParser   from '@babel/parser';
+import * as babylon       from 'babylon';
+
+/**
+ * Provides the Babylon parser options for unit tests which enable the same ES module / proposal syntax as
+ * `tjsdoc-babylon`.
+ * @type {object}
+ */
+export const parserOptions =
+{
+   sourceType: 'module',
+   plugins: ['asyncGenerators', 'classProperties', 'decorators', 'doExpressions', 'dynamicImport',
+    'exportExtensions', 'functionBind', 'functionSent', 'jsx', 'objectRestSpread']
+};
+
+/**
+ * Provides the Babel 7 parser options for unit tests of syntax which Babylon 6 does not parse; class private
+ * properties / methods (`PrivateName`, `ClassPrivateProperty`, `ClassPrivateMethod`) and static blocks
+ * (`StaticBlock`).
+ * @type {object}
+ */
+export const babelParserOptions =
+{
+   sourceType: 'module',
+   plugins: ['classPrivateMethods', 'classPrivateProperties', 'classProperties', 'classStaticBlock',
+    'decorators-legacy', 'objectRestSpread']
+};
+
+/**
+ * Parses source code into an AST without parent nodes like the runtime parser.
+ *
+ * @param {string}   code - The source code to parse.
+ *
+ * @param {boolean}  [babel=false] - Parses with `@babel/parser` instead of Babylon.
+ *
+ * @param {string[]} [plugins=[]] - Additional parser plugins; e.g. `flow` or `typescript`.
+ *
+ * @returns {AST} parsed AST.
+ */
+export function parseCode(code, { babel = false, plugins = [] } = {})
+{
+   const options = babel ? babelParserOptions : parserOptions;
+
+   return (babel ? babelParser : babylon).parse(code,
+    Object.assign({}, options, { plugins: options.plugins.concat(plugins) }));
+}
+
+/**
+ * Parses source code into an AST and defines the non-enumerable `parent` property of every node like the doc
+ * generator traversal does.
+ *
+ * @param {string}   code - The source code to parse.
+ *
+ * @param {boolean}  [babel=false] - Parses with `@babel/parser` instead of Babylon.
+ *
+ * @param {string[]} [plugins=[]] - Additional parser plugins; e.g. `flow` or `typescript`.
+ *
+ * @returns {AST} parsed AST.
+ */
+export default function parseSource(code, { babel = false, plugins = [] } = {})
+{
+   const ast = parseCode(code, { babel, plugins });
+
+   const setParent = (node, parent) =>
+   {
+      if (parent) { Reflect.defineProperty(node, 'parent', { value: parent }); }
+
+      for (const key of Object.keys(node))
+      {
+         if (key === 'loc' || key.endsWith('Comments')) { continue; }
+
+         const value = node[key];
+
+         if (Array.isArray(value))
+         {
+            for (const child of value)
+            {
+               if (child && typeof child.type === 'string') { setParent(child, node); }
+            }
+         }
+         else if (value && typeof value.type === 'string')
+         {
+            setParent(value, node);
+         }
+      }
+   };
+
+   setParent(ast.program, void 0);
+
+   return ast;
+}
@@ -0,0 +1,125 @@
+import Events          from 'backbone-esnext-events';
+import fs              from 'fs';
+import path            from 'path';
+import PluginManager   from 'typhonjs-plugin-manager';
+
+import DocGenerator        from '../../src/generator/DocGenerator.js';
+import TestDocGenerator    from '../../src/generator/TestDocGenerator.js';
+
+import { parseCode }       from './parseSource.js';
+import TestDocDB           from './TestDocDB.js';
+import TestPathResolver    from './TestPathResolver.js';
+
+/**
+ * Provides the plugin configs of the test runtime which may be loaded by `ParallelDocGenerator` worker threads.
+ * @type {PluginConfig[]}
+ */
+export const plugins = [{ name: 'tjsdoc-test-runtime', target: path.resolve(__dirname, 'testRuntime.js') }];
+
+/**
+ * Creates a main plugin eventbus loading the test runtime along with the DocDB ID counter, invalid code logging and
+ * warning logging which are provided by the main DocDB, `InvalidCodeLogger` and the logger in TJSDoc.
+ *
+ * @returns {Promise<{eventbus: Events, invalidCode: object[], warnings: Array<*[]>}>} The eventbus and the
+ *                                                                                   invalid code / warnings logged.
+ */
+export async function createRuntime()
+{
+   const eventbus = new Events();
+   const invalidCode = [];
+   const warnings = [];
+
+   let docID = 0;
+
+   new PluginManager({ eventbus });
+
+   eventbus.on('tjsdoc:data:docdb:current:id:increment:get', () => docID++);
+   eventbus.on('tjsdoc:system:invalid:code:add', (data) => invalidCode.push(data));
+   eventbus.on('log:warn', (...args) => warnings.push(args));
+
+   await eventbus.triggerAsync('plugins:async:add:all', plugins);
+
+   return { eventbus, invalidCode, warnings };
+}
+
+/**
+ * Generates the doc objects of in memory source code with `DocGenerator` into a new DocDB.
+ *
+ * @param {string}   code - The source code.
+ *
+ * @param {boolean}  [babel=false] - Parses with `@babel/parser` instead of Babylon.
+ *
+ * @param {string}   [filePath='src/Foo.js'] - The file path of the source code.
+ *
+ * @param {string[]} [plugins=[]] - Additional parser plugins; e.g. `flow` or `typescript`.
+ *
+ * @param {object}   [options] - Additional options passed to the DocGenerator constructor.
+ *
+ * @returns {Promise<{docDB: TestDocDB, eventbus: Events, invalidCode: object[], warnings: Array<*[]>}>} The DocDB,
+ *                                                                          eventbus and invalid code / warnings logged.
+ */
+export async function generateDocs(code,
+ { babel = false, filePath = 'src/Foo.js', plugins = [], options = {} } = {})
+{
+   const { eventbus, invalidCode, warnings } = await createRuntime();
+   const docDB = new TestDocDB();
+
+   const ast = parseCode(code, { babel, plugins });
+   const pathResolver = new TestPathResolver(filePath);
+
+   new DocGenerator(Object.assign({ ast, docDB, pathResolver, eventbus, code }, options)).traverse();
+
+   return { docDB, eventbus, invalidCode, warnings };
+}
+
+/**
+ * Generates the test doc objects of in memory test code with `TestDocGenerator` into a new DocDB.
+ *
+ * @param {string}   code - The test code.
+ *
+ * @param {string}   [filePath='test/FooTest.js'] - The file path of the test code.
+ *
+ * @param {string}   [type] - The test type; `jest` or `mocha` which is the default.
+ *
+ * @returns {Promise<{docDB: TestDocDB, eventbus: Events, invalidCode: object[], warnings: Array<*[]>}>} The DocDB,
+ *                                                                          eventbus and invalid code / warnings logged.
+ */
+export async function generateTestDocs(code, { filePath = 'test/FooTest.js', type = void 0 } = {})
+{
+   const { eventbus, invalidCode, warnings } = await createRuntime();
+   const docDB = new TestDocDB();
+
+   const pathResolver = new TestPathResolver(filePath);
+
+   new TestDocGenerator({ ast: parseCode(code), docDB, pathResolver, eventbus, type }).traverse();
+
+   return { docDB, eventbus, invalidCode, warnings };
+}
+
+/**
+ * Adds the runtime event bindings used by doc generation which are provided by `tjsdoc-babylon` /
+ * `tjsdoc-runtime-common` in TJSDoc along with the AST walker and this module as plugins. The DocDB ID counter and
+ * `tjsdoc:system:invalid:code:add` are not bound as worker threads provide them.
+ *
+ * @param {PluginEvent} ev - The plugin event.
+ */
+export async function onPluginLoad(ev)
+{
+   const eventbus = ev.eventbus;
+
+   eventbus.on('tjsdoc:system:docdb:create', () => new TestDocDB());
+
+   eventbus.on('tjsdoc:system:filepath:to:name', (filePath) => path.basename(filePath, path.extname(filePath)));
+
+   eventbus.on('tjsdoc:system:parser:code:file:parse', (filePath) => parseCode(fs.readFileSync(filePath, 'utf8')));
+
+   eventbus.on('tjsdoc:system:path:resolver:create', (filePath) => new TestPathResolver(filePath));
+
+   eventbus.on('typhonjs:util:file:lines:read', ({ filePath, lineStart, lineEnd }) =>
+    fs.readFileSync(filePath, 'utf8').split('\n').slice(Math.max(lineStart, 0), lineEnd));
+
+   await eventbus.triggerAsync('plugins:async:add:all', [
+      { name: 'typhonjs-ast-walker' },
+      { name: 'tjsdoc-docs-babylon', target: path.resolve(__dirname, '../../src/index.js') }
+   ]);
+}